@@ -0,0 +1,70 @@
+/**
+ * AI configuration resolved per data source
+ *
+ * Defaults come from AI_PROVIDER / AI_MODEL / AI_TEMPERATURE / AI_MAX_TOKENS.
+ * Any of them can be overridden for a single source by prefixing the source
+ * name, e.g. AI_HARVEST_MODEL=openai/gpt-4o-mini or AI_EMAIL_PROVIDER=anthropic.
+ */
+
+const DEFAULTS = {
+  provider: 'openrouter',
+  model: 'gpt-4o',
+  temperature: 0.7,
+  maxTokens: 1500,
+  maxInputTokens: 12000,
+  timeout: 30000,
+  maxRetries: 3,
+  repairAttempts: 1
+};
+
+/**
+ * Read a setting for a source, falling back to the global value
+ * @param {string} source The data source
+ * @param {string} key The setting suffix (e.g. 'MODEL')
+ * @returns {string|undefined} The raw environment value
+ */
+function readSetting(source, key) {
+  if (source) {
+    const sourceValue = process.env[`AI_${source.toUpperCase()}_${key}`];
+    if (sourceValue !== undefined && sourceValue !== '') {
+      return sourceValue;
+    }
+  }
+
+  const globalValue = process.env[`AI_${key}`];
+  return globalValue !== undefined && globalValue !== '' ? globalValue : undefined;
+}
+
+/**
+ * Parse a numeric setting, keeping the default when it is not a number
+ * @param {string|undefined} value The raw value
+ * @param {number} fallback The default value
+ * @returns {number} The parsed number
+ */
+function toNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Get the AI settings to use for a source
+ * @param {string} source The data source (slack, zendesk, harvest, email, ...)
+ * @returns {Object} Provider name, model and generation parameters
+ */
+function getAIConfig(source) {
+  return {
+    source: source || null,
+    provider: (readSetting(source, 'PROVIDER') || DEFAULTS.provider).toLowerCase(),
+    model: readSetting(source, 'MODEL') || DEFAULTS.model,
+    temperature: toNumber(readSetting(source, 'TEMPERATURE'), DEFAULTS.temperature),
+    maxTokens: toNumber(readSetting(source, 'MAX_TOKENS'), DEFAULTS.maxTokens),
+    maxInputTokens: toNumber(readSetting(source, 'MAX_INPUT_TOKENS'), DEFAULTS.maxInputTokens),
+    timeout: toNumber(readSetting(source, 'TIMEOUT_MS'), DEFAULTS.timeout),
+    maxRetries: toNumber(readSetting(source, 'MAX_RETRIES'), DEFAULTS.maxRetries),
+    repairAttempts: toNumber(readSetting(source, 'REPAIR_ATTEMPTS'), DEFAULTS.repairAttempts)
+  };
+}
+
+module.exports = {
+  getAIConfig
+};
@@ -0,0 +1,261 @@
+const { getAIConfig } = require('./aiConfig');
+const { getProvider } = require('./providers');
+const { SUMMARY_SCHEMA_VERSION, getSchema, validateSummaryResponse } = require('./summaryValidator');
+const { AIValidationError, AIBudgetExceededError } = require('./errors');
+const { estimateCost } = require('./pricing');
+const { renderPrompt } = require('./promptRenderer');
+const feedbackHandler = require('../memory/feedbackHandler');
+const usageLedger = require('../memory/usageLedger');
+const logger = require('../utils/logger');
+
+/**
+ * Process data with AI using the provider configured for the source
+ *
+ * The response is validated against the summary schema. Invalid responses get
+ * a repair round-trip with the validation errors; if the model still can't
+ * produce a valid response an AIValidationError is thrown.
+ * @param {string} promptTemplate The prompt template
+ * @param {Object} data The data to process
+ * @param {Object} [options] Processing options
+ * @param {string} [options.source] The data source, used to pick provider and model
+ * @param {string} [options.schemaVersion] The response schema version to enforce
+ * @param {string} [options.promptName] The prompt's name, e.g. 'slack-summary' (keys recorded fake-provider fixtures)
+ * @param {Object} [options.variables] Extra prompt variables, e.g. { DATE_RANGE }
+ * @param {Array<Object>} [options.replyTemplates] Reply templates ({ id, name, subject, body }) for
+ *   suggested messages to start from instead of being drafted from scratch
+ * @param {Function} [options.onProgress] Called with progress events; also streams response tokens
+ * @returns {Promise<Object>} The AI processing result
+ */
+async function processWithAI(promptTemplate, data, options = {}) {
+  try {
+    const config = await applyBudget(getAIConfig(options.source));
+    const provider = getProvider(config.provider);
+    const schemaVersion = options.schemaVersion || SUMMARY_SCHEMA_VERSION;
+
+    // Get feedback patterns to improve AI responses
+    const feedbackPatterns = await feedbackHandler.getFeedbackPatterns();
+
+    // Replace placeholders in the prompt template
+    const prompt = renderPrompt(promptTemplate, {
+      DATA: JSON.stringify(data, null, 2),
+      CLIENT_CONTEXT: data && data.context ? JSON.stringify(data.context, null, 2) : 'No client context available.',
+      DATE_RANGE: 'the most recent period',
+      FOUNDER_NAME: process.env.FOUNDER_NAME || 'the founder',
+      TONE: feedbackPatterns.patterns.tone,
+      SOURCE: options.source || 'source',
+      ...options.variables
+    });
+
+    // Create a system message that includes feedback patterns
+    const systemMessage = `You are a helpful AI assistant that summarizes data and provides actionable insights.
+
+Based on user feedback, please follow these guidelines:
+- Tone: ${feedbackPatterns.patterns.tone}
+- Length: ${feedbackPatterns.patterns.length}
+- Style: ${feedbackPatterns.patterns.style}
+
+Format your response as a JSON object with the following structure:
+{
+  "summary": "A concise summary of the key points",
+  "action_items": ["Action item 1", "Action item 2", ...],
+  "suggested_messages": [
+    {
+      "recipient": "The person to send the message to",
+      "subject": "Optional subject line for emails",
+      "message": "The suggested message content"
+    },
+    ...
+  ]
+}${buildTemplateInstructions(options.replyTemplates)}`;
+
+    logger.info(`Making AI request with provider: ${provider.name}, model: ${config.model}${options.source ? ` (source: ${options.source})` : ''}`);
+
+    const messages = [
+      { role: 'system', content: systemMessage },
+      { role: 'user', content: prompt }
+    ];
+    const metadata = { source: options.source, promptName: options.promptName, data }; // Used by the offline fake provider
+    const onProgress = options.onProgress || (() => {});
+
+    onProgress({ type: 'ai_started', source: options.source, provider: provider.name, model: config.model });
+
+    let response = await completeWithRetry(provider, config, messages, metadata, options.onProgress);
+    let validation = validateSummaryResponse(response.content, schemaVersion);
+    let attempts = 1;
+
+    // Ask the model to repair its own output using the validation errors
+    while (!validation.valid && attempts <= config.repairAttempts) {
+      logger.warn(`AI response failed ${schemaVersion} validation (attempt ${attempts}): ${validation.errors.join('; ')}`);
+      onProgress({ type: 'ai_repair', source: options.source, attempt: attempts, errors: validation.errors });
+
+      messages.push(
+        { role: 'assistant', content: response.content },
+        { role: 'user', content: buildRepairPrompt(validation.errors, schemaVersion) }
+      );
+
+      response = await completeWithRetry(provider, config, messages, { ...metadata, repairAttempt: attempts }, options.onProgress);
+      validation = validateSummaryResponse(response.content, schemaVersion);
+      attempts++;
+    }
+
+    if (!validation.valid) {
+      throw new AIValidationError(`AI response failed ${schemaVersion} validation after ${attempts} attempt(s)`, {
+        schemaVersion,
+        errors: validation.errors,
+        rawResponse: response.content,
+        attempts
+      });
+    }
+
+    onProgress({ type: 'ai_completed', source: options.source, tokens: response.usage.totalTokens });
+
+    return validation.value;
+  } catch (error) {
+    logger.error('Error in processWithAI:', error);
+
+    // Validation and budget failures keep their type so routes can report them
+    if (error instanceof AIValidationError || error instanceof AIBudgetExceededError) {
+      throw error;
+    }
+
+    // Add more context to the error
+    throw new Error(`AI processing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Enforce the monthly AI budget on a resolved config
+ * @param {Object} config The resolved AI config
+ * @returns {Promise<Object>} The config to use (possibly with a cheaper model)
+ */
+async function applyBudget(config) {
+  const budget = await usageLedger.checkBudget();
+
+  if (!budget.exceeded) {
+    return config;
+  }
+
+  const downgradeModel = process.env.AI_BUDGET_DOWNGRADE_MODEL;
+
+  if (budget.action === usageLedger.BUDGET_ACTIONS.DOWNGRADE && downgradeModel) {
+    logger.warn(`Monthly AI budget exceeded ($${budget.spent} of $${budget.budget}), downgrading ${config.model} to ${downgradeModel}`);
+    return {
+      ...config,
+      provider: (process.env.AI_BUDGET_DOWNGRADE_PROVIDER || config.provider).toLowerCase(),
+      model: downgradeModel
+    };
+  }
+
+  throw new AIBudgetExceededError(`Monthly AI budget exceeded: $${budget.spent} spent of $${budget.budget}`, budget);
+}
+
+/**
+ * Call a provider with timeout and retry logic, recording the call in the usage ledger
+ * @param {Object} provider The provider
+ * @param {Object} config The resolved AI config
+ * @param {Array} messages Chat messages
+ * @param {Object} metadata Request metadata
+ * @param {Function} [onProgress] Progress callback; when set the response is streamed
+ * @returns {Promise<Object>} The provider response
+ */
+async function completeWithRetry(provider, config, messages, metadata, onProgress) {
+  let retries = 0;
+  const maxRetries = config.maxRetries;
+  const startedAt = Date.now();
+
+  while (true) {
+    try {
+      const response = await provider.complete({
+        model: config.model,
+        messages,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        json: true, // Request JSON format explicitly
+        timeout: config.timeout,
+        metadata,
+        onToken: onProgress ? text => onProgress({ type: 'token', source: config.source, text }) : undefined
+      });
+
+      // Log successful response
+      logger.debug(`AI response received (${response.usage.totalTokens || 'unknown'} tokens used)`);
+
+      await usageLedger.recordUsage({
+        source: config.source,
+        provider: provider.name,
+        model: response.model || config.model,
+        promptTokens: response.usage.promptTokens,
+        completionTokens: response.usage.completionTokens,
+        latencyMs: Date.now() - startedAt,
+        retries,
+        estimatedCost: estimateCost(provider.name, response.model || config.model, response.usage.promptTokens, response.usage.completionTokens),
+        status: 'succeeded'
+      });
+
+      return response;
+    } catch (requestError) {
+      retries++;
+      logger.error(`AI API request failed (attempt ${retries}/${maxRetries}): ${requestError.message}`);
+
+      if (retries >= maxRetries) {
+        await usageLedger.recordUsage({
+          source: config.source,
+          provider: provider.name,
+          model: config.model,
+          latencyMs: Date.now() - startedAt,
+          retries: retries - 1,
+          estimatedCost: 0,
+          status: 'failed',
+          error: requestError.message
+        });
+
+        throw new Error(`Failed to get AI response after ${maxRetries} attempts: ${requestError.message}`);
+      }
+
+      if (onProgress) {
+        // Tokens streamed so far belong to the failed attempt
+        onProgress({ type: 'ai_retry', source: config.source, attempt: retries, error: requestError.message });
+      }
+
+      // Wait before retrying (exponential backoff)
+      await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retries)));
+    }
+  }
+}
+
+/**
+ * Describe the reply templates a model should start suggested messages from
+ * @param {Array<Object>} [replyTemplates] Templates ({ id, name, subject, body })
+ * @returns {string} Instructions to append to the system message, or '' if there are none
+ */
+function buildTemplateInstructions(replyTemplates) {
+  if (!replyTemplates || replyTemplates.length === 0) {
+    return '';
+  }
+
+  return `
+
+The team has reply templates for messages they send often. When a suggested message fits one, start from the template instead of drafting from scratch: keep its wording, fill in each {{variable}} from the data and client context (leave it as-is if the value isn't known), and set "template_id" on the message to the template's id.
+Templates:
+${JSON.stringify(replyTemplates, null, 2)}`;
+}
+
+/**
+ * Build the follow-up message asking the model to fix an invalid response
+ *
+ * The schema the response failed is included, so a synthesis repair asks
+ * for correlations rather than the plain summary shape.
+ * @param {Array<string>} errors Validation error messages
+ * @param {string} schemaVersion The schema the response has to match
+ * @returns {string} The repair prompt
+ */
+function buildRepairPrompt(errors, schemaVersion) {
+  return `Your previous response did not match the required JSON structure:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object, matching this JSON schema (${schemaVersion}):
+${JSON.stringify(getSchema(schemaVersion), null, 2)}`;
+}
+
+module.exports = {
+  processWithAI
+};
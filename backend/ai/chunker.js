@@ -0,0 +1,95 @@
+/**
+ * Token-aware chunking helpers for large summarization inputs
+ */
+
+// Rough characters-per-token ratio for English text and JSON
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens a value will take up in a prompt
+ * @param {*} value A string or any JSON-serializable value
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(value) {
+  if (value === undefined || value === null) return 0;
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Group items by key, preserving first-seen order
+ * @param {Array} items The items to group
+ * @param {Function} getGroupKey Returns the group key for an item
+ * @returns {Array<Array>} Groups of items
+ */
+function groupItems(items, getGroupKey) {
+  const groups = new Map();
+
+  for (const item of items) {
+    const key = getGroupKey(item) ?? '__ungrouped__';
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Split items into chunks that fit a token budget without breaking groups apart
+ *
+ * Whole groups (a channel, ticket or thread) are packed together while they fit.
+ * A group that is larger than the budget on its own is split item by item.
+ * @param {Array} items The items to chunk
+ * @param {Object} options Chunking options
+ * @param {Function} options.getGroupKey Returns the group key for an item
+ * @param {number} options.maxTokens Token budget per chunk
+ * @returns {Array<Array>} Chunks of items
+ */
+function chunkItems(items, { getGroupKey, maxTokens }) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+  };
+
+  for (const group of groupItems(items, getGroupKey)) {
+    const groupTokens = estimateTokens(group);
+
+    if (groupTokens <= maxTokens) {
+      if (currentTokens + groupTokens > maxTokens) {
+        flush();
+      }
+      current.push(...group);
+      currentTokens += groupTokens;
+      continue;
+    }
+
+    // Oversized group: start a fresh chunk and split it item by item
+    flush();
+    for (const item of group) {
+      const itemTokens = estimateTokens(item);
+      if (currentTokens + itemTokens > maxTokens) {
+        flush();
+      }
+      current.push(item);
+      currentTokens += itemTokens;
+    }
+    flush();
+  }
+
+  flush();
+  return chunks;
+}
+
+module.exports = {
+  estimateTokens,
+  chunkItems
+};
@@ -0,0 +1,65 @@
+/**
+ * Errors raised by the AI processing layer
+ */
+
+/**
+ * Raised when the model's response still fails schema validation after repair
+ */
+class AIValidationError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} details Validation details
+   * @param {string} details.schemaVersion The schema the response was checked against
+   * @param {Array<string>} details.errors Validation error messages from the last attempt
+   * @param {string} details.rawResponse The last raw model response
+   * @param {number} details.attempts Number of responses that were validated
+   */
+  constructor(message, { schemaVersion, errors = [], rawResponse = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'AIValidationError';
+    this.code = 'AI_VALIDATION_FAILED';
+    this.schemaVersion = schemaVersion;
+    this.errors = errors;
+    this.rawResponse = rawResponse;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Raised when the monthly AI budget is spent and AI_BUDGET_ACTION is 'refuse'
+ * (or no downgrade model is configured)
+ */
+class AIBudgetExceededError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} details Budget details
+   * @param {number} details.budget Monthly budget in USD
+   * @param {number} details.spent Month-to-date spend in USD
+   */
+  constructor(message, { budget, spent } = {}) {
+    super(message);
+    this.name = 'AIBudgetExceededError';
+    this.code = 'AI_BUDGET_EXCEEDED';
+    this.budget = budget;
+    this.spent = spent;
+  }
+}
+
+/**
+ * Map an AI processing error to an HTTP status code
+ * @param {Error} error The error (or an error wrapping it as `cause`)
+ * @returns {number} 402 for budget, 502 for invalid model output, 504 for timeouts, otherwise 500
+ */
+function getAIErrorStatus(error) {
+  if (error && error.cause instanceof Error) return getAIErrorStatus(error.cause);
+  if (error && error.code === 'TIMEOUT') return 504;
+  if (error instanceof AIBudgetExceededError) return 402;
+  if (error instanceof AIValidationError) return 502;
+  return 500;
+}
+
+module.exports = {
+  AIValidationError,
+  AIBudgetExceededError,
+  getAIErrorStatus
+};
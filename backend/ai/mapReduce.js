@@ -0,0 +1,216 @@
+const { processWithAI } = require('./aiProcessor');
+const { getAIConfig } = require('./aiConfig');
+const { estimateTokens, chunkItems } = require('./chunker');
+const promptRegistry = require('../memory/promptRegistry');
+const logger = require('../utils/logger');
+
+// Tokens reserved for the system message and response instructions
+const SYSTEM_PROMPT_RESERVE = 600;
+
+// How the item arrays of each source are grouped so related items stay in one chunk
+const CHUNK_GROUPING = {
+  slack: {
+    messages: message => message.channel_id
+  },
+  zendesk: {
+    tickets: ticket => ticket.id
+  },
+  harvest: {
+    timeEntries: entry => entry.project?.id,
+    invoices: invoice => invoice.client?.id,
+    budgets: budget => budget.client_id,
+    aging: client => client.client_id
+  },
+  email: {
+    emails: email => email.threadId
+  }
+};
+
+/**
+ * Summarize data with AI, splitting it into chunks when it is too large for one call
+ *
+ * Small inputs go straight to processWithAI. Large inputs are split by channel,
+ * ticket, thread or project (map), each chunk is summarized, and a final reduce
+ * pass merges the partial summaries. The result has the same shape either way.
+ * @param {string} promptTemplate The prompt template
+ * @param {Object} data The data to process (item arrays plus context)
+ * @param {Object} options Processing options
+ * @param {string} options.source The data source
+ * @param {Function} [options.onProgress] Called with progress events (see processWithAI)
+ * @returns {Promise<Object>} The AI processing result
+ */
+async function processInChunks(promptTemplate, data, options = {}) {
+  const { source } = options;
+  const config = getAIConfig(source);
+  const budget = config.maxInputTokens - estimateTokens(promptTemplate) - SYSTEM_PROMPT_RESERVE;
+
+  if (estimateTokens(data) <= budget) {
+    return processWithAI(promptTemplate, data, options);
+  }
+
+  const chunks = buildChunks(data, CHUNK_GROUPING[source] || {}, budget);
+
+  if (chunks.length <= 1) {
+    // Nothing we know how to split; let the model see it as-is
+    return processWithAI(promptTemplate, data, options);
+  }
+
+  logger.info(`Input for ${source} is ~${estimateTokens(data)} tokens, summarizing in ${chunks.length} chunks`);
+  const onProgress = options.onProgress || (() => {});
+
+  // Map: summarize each chunk on its own
+  const partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress({ type: 'chunk', source, index: i + 1, total: chunks.length });
+    const partial = await processWithAI(promptTemplate, {
+      ...chunks[i],
+      chunk: { index: i + 1, total: chunks.length }
+    }, options);
+    partials.push(partial);
+  }
+
+  // Reduce: merge the partial summaries into one
+  onProgress({ type: 'reduce', source, partials: partials.length });
+  return reducePartials(partials, getSharedData(data, CHUNK_GROUPING[source] || {}), options, budget);
+}
+
+/**
+ * Split the item arrays of a data object into chunk-sized data objects
+ *
+ * Keys that aren't item arrays (client context, previous summary) are shared
+ * and included in every chunk.
+ * @param {Object} data The data to process
+ * @param {Object} grouping Item array keys mapped to group-key functions
+ * @param {number} budget Token budget per chunk
+ * @returns {Array<Object>} Data objects, one per chunk
+ */
+function buildChunks(data, grouping, budget) {
+  const shared = getSharedData(data, grouping);
+  const itemBudget = Math.max(budget - estimateTokens(shared), 1);
+  const chunks = [];
+
+  for (const [key, getGroupKey] of Object.entries(grouping)) {
+    if (!Array.isArray(data[key]) || data[key].length === 0) continue;
+
+    for (const items of chunkItems(data[key], { getGroupKey, maxTokens: itemBudget })) {
+      chunks.push({ [key]: items, ...shared });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Get the parts of a data object that aren't chunked item arrays
+ * @param {Object} data The data to process
+ * @param {Object} grouping Item array keys mapped to group-key functions
+ * @returns {Object} The shared data
+ */
+function getSharedData(data, grouping) {
+  return Object.fromEntries(Object.entries(data).filter(([key]) => !grouping[key]));
+}
+
+/**
+ * Merge partial summaries, reducing in several rounds if they don't fit at once
+ * @param {Array<Object>} partials The partial summaries
+ * @param {Object} shared Shared data (client context, previous summary)
+ * @param {Object} options Processing options
+ * @param {number} budget Token budget per call
+ * @returns {Promise<Object>} The merged summary
+ */
+async function reducePartials(partials, shared, options, budget) {
+  const { template: reducePrompt } = await promptRegistry.getActivePrompt('reduce-summary');
+  const deduplicated = partials.map(partial => ({
+    ...partial,
+    action_items: dedupeActionItems(partial.action_items)
+  }));
+
+  if (deduplicated.length === 1) {
+    return deduplicated[0];
+  }
+
+  let groups = chunkItems(deduplicated, { getGroupKey: () => 'partials', maxTokens: budget });
+
+  // A single partial can't be split further, so reduce them in pairs
+  if (groups.length === deduplicated.length) {
+    groups = [];
+    for (let i = 0; i < deduplicated.length; i += 2) {
+      groups.push(deduplicated.slice(i, i + 2));
+    }
+  }
+
+  const merged = [];
+  for (const group of groups) {
+    if (group.length === 1) {
+      merged.push(group[0]);
+      continue;
+    }
+
+    merged.push(await processWithAI(reducePrompt, {
+      partial_summaries: group,
+      ...shared
+    }, { ...options, promptName: 'reduce-summary' }));
+  }
+
+  if (merged.length > 1) {
+    return reducePartials(merged, shared, options, budget);
+  }
+
+  const result = merged[0];
+  return {
+    ...result,
+    action_items: dedupeActionItems(result.action_items),
+    suggested_messages: dedupeSuggestedMessages(result.suggested_messages)
+  };
+}
+
+/**
+ * Normalize text for duplicate detection
+ * @param {string} text The text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove duplicate action items, keeping the first occurrence
+ * @param {Array<string>} items Action items
+ * @returns {Array<string>} De-duplicated action items
+ */
+function dedupeActionItems(items = []) {
+  const seen = new Set();
+
+  return items.filter(item => {
+    const key = normalizeText(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Remove duplicate suggested messages (same recipient and message)
+ * @param {Array<Object>} messages Suggested messages
+ * @returns {Array<Object>} De-duplicated suggested messages
+ */
+function dedupeSuggestedMessages(messages = []) {
+  const seen = new Set();
+
+  return messages.filter(message => {
+    const key = `${normalizeText(message.recipient)}|${normalizeText(message.message)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  processInChunks,
+  dedupeActionItems,
+  dedupeSuggestedMessages
+};
@@ -0,0 +1,85 @@
+/**
+ * Model pricing used to estimate the cost of AI calls
+ *
+ * Prices are USD per million tokens. Override or extend them with AI_PRICING,
+ * a JSON object such as {"gpt-4o": {"prompt": 2.5, "completion": 10}}.
+ */
+const DEFAULT_PRICING = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'claude-3.5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3.5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 }
+};
+
+// Providers that never cost anything
+const FREE_PROVIDERS = ['fake', 'local', 'ollama', 'llamacpp'];
+
+/**
+ * Get the pricing table, including overrides from AI_PRICING
+ * @returns {Object} Model name mapped to { prompt, completion } prices
+ */
+function getPricingTable() {
+  if (!process.env.AI_PRICING) {
+    return DEFAULT_PRICING;
+  }
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING) };
+  } catch (error) {
+    console.warn('Ignoring invalid AI_PRICING JSON:', error.message);
+    return DEFAULT_PRICING;
+  }
+}
+
+/**
+ * Find the price for a model, ignoring OpenRouter-style vendor prefixes
+ * and dated version suffixes (e.g. "openai/gpt-4o-2024-08-06")
+ * @param {string} model The model identifier
+ * @returns {Object|null} { prompt, completion } or null if unknown
+ */
+function getModelPricing(model) {
+  const table = getPricingTable();
+  if (!model) return null;
+
+  if (table[model]) return table[model];
+
+  const bareModel = model.split('/').pop();
+  if (table[bareModel]) return table[bareModel];
+
+  // Longest known name that the model starts with
+  const match = Object.keys(table)
+    .filter(name => bareModel.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? table[match] : null;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} provider The provider name
+ * @param {string} model The model identifier
+ * @param {number} promptTokens Prompt tokens used
+ * @param {number} completionTokens Completion tokens used
+ * @returns {number|null} Cost in USD, or null if the model has no known price
+ */
+function estimateCost(provider, model, promptTokens, completionTokens) {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return 0;
+  }
+
+  const pricing = getModelPricing(model);
+  if (!pricing) {
+    return null;
+  }
+
+  return ((promptTokens || 0) * pricing.prompt + (completionTokens || 0) * pricing.completion) / 1e6;
+}
+
+module.exports = {
+  estimateCost
+};
@@ -0,0 +1,61 @@
+/**
+ * Variable substitution for prompt templates
+ *
+ * Templates reference variables as {{NAME}}. If a template has no {{DATA}}
+ * placeholder, the data is appended at the end so it always reaches the model.
+ */
+
+// Variables a prompt template may use
+const PROMPT_VARIABLES = {
+  DATA: 'The items being summarized, as JSON',
+  CLIENT_CONTEXT: 'Stored context for clients mentioned in the data',
+  DATE_RANGE: 'The period the data covers',
+  FOUNDER_NAME: 'Who the summary is written for (FOUNDER_NAME)',
+  TONE: 'Preferred tone, learned from feedback',
+  SOURCE: 'The data source (slack, zendesk, harvest, email, all)'
+};
+
+const VARIABLE_PATTERN = /\{\{([A-Z_]+)\}\}/g;
+
+/**
+ * List the variables a template uses
+ * @param {string} template The prompt template
+ * @returns {Array<string>} Variable names, without braces
+ */
+function getTemplateVariables(template) {
+  return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Find variables in a template that the renderer doesn't know about
+ * @param {string} template The prompt template
+ * @returns {Array<string>} Unknown variable names
+ */
+function getUnknownVariables(template) {
+  return getTemplateVariables(template).filter(name => !PROMPT_VARIABLES[name]);
+}
+
+/**
+ * Render a prompt template
+ * @param {string} template The prompt template
+ * @param {Object} variables Variable values keyed by name (DATA is required)
+ * @returns {string} The rendered prompt
+ */
+function renderPrompt(template, variables) {
+  const rendered = template.replace(VARIABLE_PATTERN, (placeholder, name) => (
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder
+  ));
+
+  if (template.includes('{{DATA}}')) {
+    return rendered;
+  }
+
+  return `${rendered.trimEnd()}\n\nData:\n${variables.DATA}`;
+}
+
+module.exports = {
+  PROMPT_VARIABLES,
+  getTemplateVariables,
+  getUnknownVariables,
+  renderPrompt
+};
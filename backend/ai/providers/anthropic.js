@@ -0,0 +1,116 @@
+const axios = require('axios');
+const { readServerSentEvents } = require('./sse');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic-style Messages API provider
+ *
+ * The Messages API takes the system prompt as a top-level field rather than a
+ * message, and returns content as an array of blocks.
+ */
+const anthropicProvider = {
+  name: 'anthropic',
+
+  /**
+   * Run a completion against the Messages API
+   * @param {Object} request The completion request (see openaiCompatible.js)
+   * @returns {Promise<Object>} The completion text, model and token usage
+   */
+  async complete({ model, messages, temperature, maxTokens, timeout, onToken }) {
+    const baseUrl = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/$/, '');
+
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const body = {
+      model,
+      system: system || undefined,
+      messages: messages.filter(message => message.role !== 'system'),
+      temperature,
+      max_tokens: maxTokens
+    };
+    const headers = {
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'Content-Type': 'application/json'
+    };
+
+    if (onToken) {
+      return streamMessage(`${baseUrl}/messages`, body, headers, timeout, onToken);
+    }
+
+    const response = await axios.post(`${baseUrl}/messages`, body, {
+      headers,
+      timeout
+    });
+
+    const usage = response.data.usage || {};
+    const content = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      model: response.data.model || model,
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  }
+};
+
+/**
+ * Run a streaming Messages API request
+ * @param {string} url The messages URL
+ * @param {Object} body The request body
+ * @param {Object} headers Request headers
+ * @param {number} timeout Request timeout in milliseconds
+ * @param {Function} onToken Called with each text delta
+ * @returns {Promise<Object>} The completion text, model and token usage
+ */
+async function streamMessage(url, body, headers, timeout, onToken) {
+  const response = await axios.post(url, { ...body, stream: true }, {
+    headers,
+    timeout,
+    responseType: 'stream'
+  });
+
+  let content = '';
+  let model = body.model;
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  await readServerSentEvents(response.data, ({ event, data }) => {
+    const payload = JSON.parse(data);
+
+    if (event === 'message_start') {
+      model = payload.message.model || model;
+      inputTokens = (payload.message.usage && payload.message.usage.input_tokens) || 0;
+    } else if (event === 'content_block_delta' && payload.delta.type === 'text_delta') {
+      content += payload.delta.text;
+      onToken(payload.delta.text);
+    } else if (event === 'message_delta' && payload.usage) {
+      outputTokens = payload.usage.output_tokens || outputTokens;
+    } else if (event === 'error') {
+      throw new Error(`Anthropic stream error: ${payload.error && payload.error.message}`);
+    }
+  });
+
+  return {
+    content,
+    model,
+    usage: {
+      promptTokens: inputTokens,
+      completionTokens: outputTokens,
+      totalTokens: inputTokens + outputTokens
+    }
+  };
+}
+
+module.exports = anthropicProvider;
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Deterministic offline provider for development and tests
+ *
+ * Modes (AI_FAKE_MODE):
+ * - rules  (default) build a summary from the input data with simple rules
+ * - replay return responses previously recorded into the fixtures directory,
+ *          falling back to rules when no recording exists (unless AI_FAKE_STRICT=true)
+ * - record call the real provider named by AI_FAKE_RECORD_PROVIDER and save
+ *          its response as a fixture for later replay
+ */
+
+/**
+ * Get the directory that holds recorded fixtures
+ * @returns {string} Absolute fixtures path
+ */
+function getFixturesDir() {
+  return process.env.AI_FIXTURES_DIR
+    ? path.resolve(process.env.AI_FIXTURES_DIR)
+    : path.join(__dirname, '../fixtures');
+}
+
+/**
+ * Build a stable key for a request from what it summarizes
+ *
+ * The rendered messages aren't hashed: they include the system prompt,
+ * feedback patterns and date range, so any prompt edit or a new day would
+ * orphan every recording.
+ * @param {Object} metadata Request metadata ({ promptName, data, repairAttempt })
+ * @returns {string} Hex digest
+ */
+function getRequestKey({ promptName = null, data = null, repairAttempt = 0 }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([promptName, data, repairAttempt]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Get the fixture file path for a request
+ * @param {Object} metadata Request metadata ({ source, promptName, data, repairAttempt })
+ * @returns {string} Fixture file path
+ */
+function getFixturePath(metadata) {
+  const name = [metadata.source || 'default', metadata.promptName].filter(Boolean).join('-');
+  return path.join(getFixturesDir(), `${name}-${getRequestKey(metadata)}.json`);
+}
+
+/**
+ * Truncate text for use in generated summaries
+ * @param {string} text The text
+ * @param {number} length Maximum length
+ * @returns {string} Truncated text
+ */
+function truncate(text, length = 80) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.substring(0, length - 3)}...` : clean;
+}
+
+/**
+ * Generate a summary from the input data using fixed rules
+ * @param {Object} data The data passed to processWithAI
+ * @returns {Object} Summary in the processWithAI response shape
+ */
+function generateFromRules(data = {}) {
+  const summaryParts = [];
+  const actionItems = [];
+  const suggestedMessages = [];
+
+  // Reduce passes: merge the partial summaries as-is
+  if (Array.isArray(data.partial_summaries)) {
+    for (const partial of data.partial_summaries) {
+      summaryParts.push(partial.summary);
+      actionItems.push(...(partial.action_items || []));
+      suggestedMessages.push(...(partial.suggested_messages || []));
+    }
+  }
+
+  // Cross-source synthesis: list each source, flag clients seen in more than one
+  if (Array.isArray(data.summaries)) {
+    const correlations = [];
+    for (const client of data.context?.clients || []) {
+      const sources = data.summaries
+        .filter(summary => JSON.stringify(summary).includes(client.name))
+        .map(summary => summary.source);
+      if (sources.length > 1) {
+        correlations.push({ client: client.name, sources, description: `${client.name} appears in ${sources.join(', ')}`, priority: 'high' });
+      }
+    }
+
+    return {
+      summary: data.summaries.map(summary => `${summary.source.toUpperCase()}: ${summary.summary}`).join('\n\n') || 'No notable activity.',
+      action_items: data.summaries.flatMap(summary => summary.action_items || []),
+      suggested_messages: data.summaries.flatMap(summary => summary.suggested_messages || []),
+      correlations
+    };
+  }
+
+  if (Array.isArray(data.messages)) {
+    const channels = [...new Set(data.messages.map(msg => msg.channel_name || msg.channel_id).filter(Boolean))];
+    summaryParts.push(`${data.messages.length} Slack message(s) across ${channels.length || 1} channel(s).`);
+
+    for (const msg of data.messages.filter(msg => msg.text && msg.text.includes('?'))) {
+      actionItems.push(`Answer question in #${msg.channel_name || msg.channel_id || 'unknown'}: "${truncate(msg.text)}"`);
+      suggestedMessages.push({
+        recipient: msg.user_name || msg.user || 'unknown',
+        message: `Thanks for raising this - I'll look into "${truncate(msg.text, 60)}" and get back to you today.`
+      });
+    }
+  }
+
+  if (Array.isArray(data.tickets)) {
+    summaryParts.push(`${data.tickets.length} Zendesk ticket(s) need attention.`);
+
+    for (const ticket of data.tickets.filter(ticket => ['urgent', 'high'].includes(ticket.priority))) {
+      actionItems.push(`Follow up on ${ticket.priority} ticket #${ticket.id}: ${truncate(ticket.subject)}`);
+      suggestedMessages.push({
+        recipient: ticket.requester_name || String(ticket.requester_id || 'requester'),
+        subject: `Re: ${ticket.subject || `Ticket #${ticket.id}`}`,
+        message: `Hi, we're looking into ticket #${ticket.id} and will update you shortly.`
+      });
+    }
+  }
+
+  if (Array.isArray(data.timeEntries)) {
+    const hours = data.timeEntries.reduce((sum, entry) => sum + (parseFloat(entry.hours) || 0), 0);
+    summaryParts.push(`${data.timeEntries.length} Harvest time entr${data.timeEntries.length === 1 ? 'y' : 'ies'} totalling ${hours.toFixed(1)} hours.`);
+  }
+
+  if (Array.isArray(data.invoices)) {
+    const today = new Date().toISOString().split('T')[0];
+    const overdue = data.invoices.filter(invoice => invoice.due_date && invoice.due_date < today);
+    summaryParts.push(`${data.invoices.length} open invoice(s), ${overdue.length} overdue.`);
+
+    for (const invoice of overdue) {
+      const clientName = invoice.client?.name || 'client';
+      actionItems.push(`Chase overdue invoice ${invoice.number || invoice.id} for ${clientName}`);
+      suggestedMessages.push({
+        recipient: clientName,
+        subject: `Invoice ${invoice.number || invoice.id}`,
+        message: `Hi, a friendly reminder that invoice ${invoice.number || invoice.id} was due on ${invoice.due_date}.`
+      });
+    }
+  }
+
+  if (Array.isArray(data.emails)) {
+    summaryParts.push(`${data.emails.length} email(s) received.`);
+
+    for (const email of data.emails) {
+      actionItems.push(`Reply to "${truncate(email.subject, 60)}" from ${email.from}`);
+      suggestedMessages.push({
+        recipient: email.from,
+        subject: `Re: ${email.subject}`,
+        message: 'Thanks for your email - I will get back to you shortly.',
+        email_id: email.id,
+        thread_id: email.threadId
+      });
+    }
+  }
+
+  return {
+    summary: summaryParts.length > 0 ? summaryParts.join(' ') : 'No notable activity.',
+    action_items: actionItems,
+    suggested_messages: suggestedMessages
+  };
+}
+
+/**
+ * Estimate token usage for a fake response
+ * @param {Array} messages Chat messages
+ * @param {string} content Response content
+ * @returns {Object} Token usage
+ */
+function estimateUsage(messages, content) {
+  const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Emit content in small pieces, like a streaming provider would
+ * @param {string} content Response content
+ * @param {Function} [onToken] Token callback from the request
+ */
+function streamContent(content, onToken) {
+  if (!onToken) {
+    return;
+  }
+
+  for (let i = 0; i < content.length; i += 16) {
+    onToken(content.slice(i, i + 16));
+  }
+}
+
+const fakeProvider = {
+  name: 'fake',
+
+  /**
+   * Return a canned, recorded or rule-generated completion
+   * @param {Object} request The completion request (see openaiCompatible.js)
+   * @param {Object} [request.metadata] The source, prompt name and raw data being summarized
+   * @returns {Promise<Object>} The completion text, model and token usage
+   */
+  async complete(request) {
+    const mode = (process.env.AI_FAKE_MODE || 'rules').toLowerCase();
+    const { messages, metadata = {} } = request;
+    const fixturePath = getFixturePath(metadata);
+
+    if (mode === 'record') {
+      // Resolve lazily to avoid a circular require with the registry
+      const { getProvider } = require('./index');
+      const realProvider = getProvider(process.env.AI_FAKE_RECORD_PROVIDER || 'openrouter');
+      const response = await realProvider.complete(request);
+
+      fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+      fs.writeFileSync(fixturePath, JSON.stringify({
+        source: metadata.source || null,
+        prompt_name: metadata.promptName || null,
+        provider: realProvider.name,
+        recorded_at: new Date().toISOString(),
+        ...response
+      }, null, 2));
+
+      logger.info(`Recorded AI fixture: ${path.basename(fixturePath)}`);
+      return response;
+    }
+
+    if (mode === 'replay') {
+      if (fs.existsSync(fixturePath)) {
+        const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        streamContent(fixture.content, request.onToken);
+        return {
+          content: fixture.content,
+          model: fixture.model,
+          usage: fixture.usage
+        };
+      }
+
+      if (process.env.AI_FAKE_STRICT === 'true') {
+        throw new Error(`No recorded AI fixture for this request: ${path.basename(fixturePath)}`);
+      }
+
+      logger.warn(`No recorded AI fixture ${path.basename(fixturePath)}, generating from rules`);
+    }
+
+    const content = JSON.stringify(generateFromRules(metadata.data));
+    streamContent(content, request.onToken);
+
+    return {
+      content,
+      model: 'fake',
+      usage: estimateUsage(messages, content)
+    };
+  }
+};
+
+module.exports = fakeProvider;
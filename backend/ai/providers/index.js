@@ -0,0 +1,33 @@
+/**
+ * Registry of LLM providers available to processWithAI
+ */
+const providers = {
+  openrouter: require('./openrouter'),
+  openai: require('./openai'),
+  anthropic: require('./anthropic'),
+  local: require('./local'),
+  fake: require('./fake')
+};
+
+// Common aliases for local servers
+providers.ollama = providers.local;
+providers.llamacpp = providers.local;
+
+/**
+ * Look up a provider by name
+ * @param {string} name The provider name (openrouter, openai, anthropic, local, fake)
+ * @returns {Object} The provider
+ */
+function getProvider(name) {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  getProvider
+};
@@ -0,0 +1,13 @@
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+/**
+ * Local OpenAI-compatible server such as llama.cpp (`llama-server`) or Ollama
+ * (`http://localhost:11434/v1`). Many local servers ignore or reject
+ * response_format, so JSON mode is opt-in via LOCAL_AI_JSON_MODE=true.
+ */
+module.exports = createOpenAICompatibleProvider({
+  name: 'local',
+  getBaseUrl: () => process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+  getApiKey: () => process.env.LOCAL_AI_API_KEY,
+  supportsJsonMode: process.env.LOCAL_AI_JSON_MODE === 'true'
+});
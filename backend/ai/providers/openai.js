@@ -0,0 +1,10 @@
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+/**
+ * Direct OpenAI (or any hosted OpenAI-compatible endpoint via OPENAI_BASE_URL)
+ */
+module.exports = createOpenAICompatibleProvider({
+  name: 'openai',
+  getBaseUrl: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  getApiKey: () => process.env.OPENAI_API_KEY
+});
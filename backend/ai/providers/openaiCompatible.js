@@ -0,0 +1,130 @@
+const axios = require('axios');
+const { readServerSentEvents } = require('./sse');
+
+/**
+ * Create a provider for any endpoint that speaks the OpenAI chat completions API
+ * (OpenRouter, OpenAI itself, llama.cpp server, Ollama, vLLM, ...)
+ * @param {Object} options Provider options
+ * @param {string} options.name Provider name used in logs
+ * @param {Function} options.getBaseUrl Returns the API base URL (without /chat/completions)
+ * @param {Function} [options.getApiKey] Returns the API key, if the endpoint needs one
+ * @param {Object} [options.headers] Extra headers sent with every request
+ * @param {boolean} [options.supportsJsonMode] Whether to send response_format
+ * @returns {Object} Provider with a complete() method
+ */
+function createOpenAICompatibleProvider({ name, getBaseUrl, getApiKey, headers = {}, supportsJsonMode = true }) {
+  return {
+    name,
+
+    /**
+     * Run a chat completion
+     * @param {Object} request The completion request
+     * @param {string} request.model Model identifier
+     * @param {Array} request.messages Chat messages ({ role, content })
+     * @param {number} request.temperature Sampling temperature
+     * @param {number} request.maxTokens Maximum completion tokens
+     * @param {boolean} request.json Whether a JSON object response is required
+     * @param {number} request.timeout Request timeout in milliseconds
+     * @param {Function} [request.onToken] Streams the response, calling this with each text delta
+     * @returns {Promise<Object>} The completion text, model and token usage
+     */
+    async complete({ model, messages, temperature, maxTokens, json, timeout, onToken }) {
+      const apiKey = getApiKey ? getApiKey() : null;
+      const body = {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      };
+
+      if (json && supportsJsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const url = `${getBaseUrl().replace(/\/$/, '')}/chat/completions`;
+      const requestHeaders = {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json',
+        ...headers
+      };
+
+      if (onToken) {
+        return streamCompletion(url, body, requestHeaders, timeout, onToken);
+      }
+
+      const response = await axios.post(url, body, {
+        headers: requestHeaders,
+        timeout
+      });
+
+      const usage = response.data.usage || {};
+
+      return {
+        content: response.data.choices[0].message.content,
+        model: response.data.model || model,
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Run a streaming chat completion
+ * @param {string} url The chat completions URL
+ * @param {Object} body The request body
+ * @param {Object} headers Request headers
+ * @param {number} timeout Request timeout in milliseconds
+ * @param {Function} onToken Called with each text delta
+ * @returns {Promise<Object>} The completion text, model and token usage
+ */
+async function streamCompletion(url, body, headers, timeout, onToken) {
+  const response = await axios.post(url, {
+    ...body,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, {
+    headers,
+    timeout,
+    responseType: 'stream'
+  });
+
+  let content = '';
+  let model = body.model;
+  let usage = {};
+
+  await readServerSentEvents(response.data, ({ data }) => {
+    if (data === '[DONE]') {
+      return;
+    }
+
+    const chunk = JSON.parse(data);
+    model = chunk.model || model;
+
+    // The final chunk carries usage and no choices
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+    if (delta) {
+      content += delta;
+      onToken(delta);
+    }
+  });
+
+  return {
+    content,
+    model,
+    usage: {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0
+    }
+  };
+}
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,14 @@
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+/**
+ * OpenRouter provider (the original default)
+ */
+module.exports = createOpenAICompatibleProvider({
+  name: 'openrouter',
+  getBaseUrl: () => process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+  getApiKey: () => process.env.OPENROUTER_API_KEY,
+  headers: {
+    'HTTP-Referer': 'https://stealth-ai-ops-assistant.com', // Identify your app
+    'X-Title': 'Stealth AI Ops Assistant' // Name your app
+  }
+});
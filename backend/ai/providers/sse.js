@@ -0,0 +1,68 @@
+/**
+ * Read a Server-Sent Events response body
+ *
+ * Streaming chat APIs (OpenAI-compatible and Anthropic) send one JSON payload
+ * per event. Events are passed to the callback as they complete.
+ * @param {Stream} stream The response body stream (axios responseType: 'stream')
+ * @param {Function} onEvent Called with { event, data } for each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+function readServerSentEvents(stream, onEvent) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    const flushEvent = rawEvent => {
+      let event = 'message';
+      const dataLines = [];
+
+      for (const line of rawEvent.split(/\r?\n/)) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+
+      if (dataLines.length > 0) {
+        onEvent({ event, data: dataLines.join('\n') });
+      }
+    };
+
+    stream.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      let boundary = buffer.search(/\r?\n\r?\n/);
+      while (boundary !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(buffer.slice(boundary).match(/^\r?\n\r?\n/)[0].length + boundary);
+
+        try {
+          flushEvent(rawEvent);
+        } catch (error) {
+          stream.destroy();
+          reject(error);
+          return;
+        }
+
+        boundary = buffer.search(/\r?\n\r?\n/);
+      }
+    });
+
+    stream.on('end', () => {
+      try {
+        if (buffer.trim()) {
+          flushEvent(buffer);
+        }
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    stream.on('error', reject);
+  });
+}
+
+module.exports = {
+  readServerSentEvents
+};
@@ -0,0 +1,84 @@
+const Ajv = require('ajv');
+
+// Current version of the summary response schema (see ai/schemas/)
+const SUMMARY_SCHEMA_VERSION = 'summary.v1';
+
+const ajv = new Ajv({ allErrors: true });
+
+// Compiled validators keyed by schema version
+const validators = new Map();
+
+/**
+ * Load a response schema
+ * @param {string} version The schema version (e.g. 'summary.v1')
+ * @returns {Object} The JSON schema
+ */
+function getSchema(version) {
+  // Only allow plain schema names so the version can't escape the directory
+  if (!/^[\w.-]+$/.test(version)) {
+    throw new Error(`Invalid schema version: ${version}`);
+  }
+
+  return require(`./schemas/${version}.json`);
+}
+
+/**
+ * Get the compiled validator for a schema version
+ * @param {string} version The schema version (e.g. 'summary.v1')
+ * @returns {Function} The Ajv validate function
+ */
+function getValidator(version) {
+  if (!validators.has(version)) {
+    validators.set(version, ajv.compile(getSchema(version)));
+  }
+
+  return validators.get(version);
+}
+
+/**
+ * Parse and validate a raw AI response
+ * @param {string} rawResponse The raw model output
+ * @param {string} [version] The schema version to validate against
+ * @returns {Object} { valid, value, errors } where errors are readable strings
+ */
+function validateSummaryResponse(rawResponse, version = SUMMARY_SCHEMA_VERSION) {
+  let value;
+
+  try {
+    value = JSON.parse(extractJson(rawResponse));
+  } catch (parseError) {
+    return {
+      valid: false,
+      value: null,
+      errors: [`Response is not valid JSON: ${parseError.message}`]
+    };
+  }
+
+  const validate = getValidator(version);
+
+  if (validate(value)) {
+    return { valid: true, value, errors: [] };
+  }
+
+  return {
+    valid: false,
+    value,
+    errors: validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`)
+  };
+}
+
+/**
+ * Strip Markdown code fences that some models wrap around JSON
+ * @param {string} text The raw model output
+ * @returns {string} The JSON text
+ */
+function extractJson(text) {
+  const fenced = String(text || '').trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return fenced ? fenced[1] : String(text || '').trim();
+}
+
+module.exports = {
+  SUMMARY_SCHEMA_VERSION,
+  getSchema,
+  validateSummaryResponse
+};
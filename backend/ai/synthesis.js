@@ -0,0 +1,61 @@
+const { processWithAI } = require('./aiProcessor');
+const { dedupeActionItems, dedupeSuggestedMessages } = require('./mapReduce');
+const contextStore = require('../memory/contextStore');
+const promptRegistry = require('../memory/promptRegistry');
+
+// Sources that feed the cross-source briefing
+const SYNTHESIS_SOURCES = ['slack', 'zendesk', 'harvest', 'email'];
+
+/**
+ * Synthesize per-source summaries into one prioritized cross-source briefing
+ *
+ * Unlike concatenation, the model sees every source at once together with the
+ * client context, so it can link e.g. a Zendesk escalation, an overdue invoice
+ * and an unhappy email from the same client into one situation.
+ * @param {Array<Object>} sourceSummaries Summaries ({ source, summary, action_items, suggested_messages })
+ * @param {Object} [options] Processing options passed to processWithAI
+ * @param {string} [options.source] AI config source (defaults to 'all')
+ * @param {Object} [options.prompt] Prompt to use instead of the active synthesis prompt
+ * @returns {Promise<Object>} Briefing with summary, action_items, suggested_messages and correlations
+ */
+async function synthesizeSummaries(sourceSummaries, options = {}) {
+  const { prompt: assignedPrompt, ...processOptions } = options;
+  const summaries = sourceSummaries
+    .filter(summary => SYNTHESIS_SOURCES.includes(summary.source) && summary.summary)
+    .map(summary => ({
+      source: summary.source,
+      summary: summary.summary,
+      action_items: summary.action_items || [],
+      suggested_messages: summary.suggested_messages || [],
+      created_at: summary.created_at
+    }));
+
+  // Client names are extracted from text fields, so expose each summary as text
+  const clientContext = await contextStore.getRelevantClientContext(
+    summaries.map(summary => ({ text: [summary.summary, ...summary.action_items].join('\n') }))
+  );
+
+  const prompt = assignedPrompt || await promptRegistry.getActivePrompt('synthesis-summary');
+
+  const result = await processWithAI(prompt.template, {
+    summaries,
+    context: clientContext
+  }, {
+    source: 'all',
+    promptName: 'synthesis-summary',
+    ...processOptions,
+    schemaVersion: 'synthesis.v1'
+  });
+
+  return {
+    ...result,
+    action_items: dedupeActionItems(result.action_items),
+    suggested_messages: dedupeSuggestedMessages(result.suggested_messages),
+    correlations: result.correlations || []
+  };
+}
+
+module.exports = {
+  SYNTHESIS_SOURCES,
+  synthesizeSummaries
+};
@@ -0,0 +1,129 @@
+const summaryStore = require('../memory/summaryStore');
+const feedbackHandler = require('../memory/feedbackHandler');
+
+// Sources whose summaries are cross-source briefings
+const BRIEFING_SOURCES = ['combined', 'all'];
+const DEFAULT_LOOKBACK_HOURS = 24;
+
+/**
+ * Get the dashboard base URL for deep links
+ * @returns {string} URL without a trailing slash
+ */
+function getDashboardUrl() {
+  return (process.env.DASHBOARD_URL || 'http://localhost:3001').replace(/\/+$/, '');
+}
+
+/**
+ * Build the dashboard link that opens one suggested reply for review
+ *
+ * Matches the suggestion IDs the dashboard gives summary suggestions.
+ * @param {string} summaryId The summary ID
+ * @param {number} index The suggestion's position in suggested_messages
+ * @returns {string} The link
+ */
+function getSuggestionLink(summaryId, index) {
+  return `${getDashboardUrl()}/?suggestion=${encodeURIComponent(`${summaryId}-${index}`)}`;
+}
+
+/**
+ * Gather what goes into the morning briefing
+ *
+ * The briefing is the newest cross-source summary. Action items come from it
+ * and from any source summaries generated after it. Suggested replies come
+ * from the source summaries only, since a briefing repeats them and its copy
+ * could be approved as a second reply. They are pending until they have
+ * feedback of their own; one reviewed through an older briefing copy counts
+ * as reviewed too.
+ * @param {Object} [options] Options
+ * @param {number} [options.lookbackHours] How far back summaries count (DIGEST_LOOKBACK_HOURS, default 24)
+ * @param {Date} [options.now] The current time
+ * @returns {Promise<Object>} { generatedAt, dashboardUrl, briefing, actionItems, pendingReplies, sources }
+ */
+async function buildDigest({ lookbackHours, now = new Date() } = {}) {
+  const hours = lookbackHours || parseInt(process.env.DIGEST_LOOKBACK_HOURS) || DEFAULT_LOOKBACK_HOURS;
+  const latest = await summaryStore.getLatestSummaries(new Date(now.getTime() - hours * 60 * 60 * 1000));
+
+  const briefing = BRIEFING_SOURCES
+    .map(source => latest[source])
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null;
+
+  const sourceSummaries = Object.values(latest).filter(summary => !BRIEFING_SOURCES.includes(summary.source));
+  const newerSourceSummaries = briefing
+    ? sourceSummaries.filter(summary => new Date(summary.created_at) > new Date(briefing.created_at))
+    : sourceSummaries;
+
+  // Action items, de-duplicated across the briefing and newer source summaries
+  const actionItems = [];
+  const seenActions = new Set();
+  for (const summary of [briefing, ...newerSourceSummaries].filter(Boolean)) {
+    for (const item of summary.action_items || []) {
+      const key = String(item).trim().toLowerCase();
+      if (key && !seenActions.has(key)) {
+        seenActions.add(key);
+        actionItems.push({ text: item, source: summary.source });
+      }
+    }
+  }
+
+  // Suggested replies nobody has approved, edited or rejected yet
+  const reviewSummaries = [briefing, ...sourceSummaries].filter(Boolean);
+  const reviewed = await feedbackHandler.getReviewedSuggestions(reviewSummaries.map(summary => summary.id));
+  const isReviewed = (summary, index) => reviewed.has(summary.id) || reviewed.has(`${summary.id}-${index}`);
+  const replyKey = suggestion => `${suggestion.recipient}|${suggestion.message || suggestion.text}`.toLowerCase();
+
+  // Briefings repeat source suggestions, so a reply reviewed in either place is done
+  const seenReplies = new Set();
+  for (const summary of reviewSummaries) {
+    (summary.suggested_messages || []).forEach((suggestion, index) => {
+      if (isReviewed(summary, index)) {
+        seenReplies.add(replyKey(suggestion));
+      }
+    });
+  }
+
+  const pendingReplies = [];
+  for (const summary of sourceSummaries) {
+    (summary.suggested_messages || []).forEach((suggestion, index) => {
+      const message = suggestion.message || suggestion.text;
+      const key = replyKey(suggestion);
+      if (!message || seenReplies.has(key)) {
+        return;
+      }
+      seenReplies.add(key);
+      pendingReplies.push({
+        summaryId: summary.id,
+        source: summary.source,
+        recipient: suggestion.recipient,
+        subject: suggestion.subject,
+        message,
+        link: getSuggestionLink(summary.id, index)
+      });
+    });
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    dashboardUrl: getDashboardUrl(),
+    lookbackHours: hours,
+    briefing: briefing ? {
+      id: briefing.id,
+      summary: briefing.summary,
+      correlations: briefing.correlations || [],
+      created_at: briefing.created_at
+    } : null,
+    actionItems,
+    pendingReplies,
+    sources: sourceSummaries.map(summary => ({
+      source: summary.source,
+      summary: summary.summary,
+      created_at: summary.created_at
+    }))
+  };
+}
+
+module.exports = {
+  buildDigest,
+  getDashboardUrl,
+  getSuggestionLink
+};
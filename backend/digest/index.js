@@ -0,0 +1,91 @@
+const { buildDigest } = require('./buildDigest');
+const { renderSubject, renderText, renderHtml, renderSlackBlocks } = require('./renderDigest');
+const { sendMail } = require('../utils/mailer');
+const { sendDirectMessage } = require('../utils/slackClient');
+const logger = require('../utils/logger');
+
+// Delivery channels and how each one sends a digest
+const CHANNELS = {
+  email: {
+    isConfigured: () => Boolean(process.env.SMTP_HOST && process.env.DIGEST_EMAIL_TO),
+    send: async digest => sendMail({
+      to: process.env.DIGEST_EMAIL_TO,
+      subject: renderSubject(digest),
+      text: renderText(digest),
+      html: renderHtml(digest)
+    })
+  },
+  slack: {
+    isConfigured: () => Boolean(process.env.SLACK_BOT_TOKEN && process.env.DIGEST_SLACK_USER_ID),
+    send: async digest => sendDirectMessage(process.env.DIGEST_SLACK_USER_ID, renderSlackBlocks(digest))
+  }
+};
+
+/**
+ * Get the channels that have their settings in place
+ * @returns {Array<string>} Channel names
+ */
+function getConfiguredChannels() {
+  return Object.keys(CHANNELS).filter(name => CHANNELS[name].isConfigured());
+}
+
+/**
+ * Build the digest and send it to each channel
+ *
+ * Channels are sent independently; one failing doesn't stop the others.
+ * @param {Object} [options] Options
+ * @param {Array<string>} [options.channels] Channels to use (default: every configured channel)
+ * @param {number} [options.lookbackHours] How far back summaries count
+ * @returns {Promise<Object>} { deliveries, counts }; deliveries are keyed by channel
+ */
+async function deliverDigest({ channels, lookbackHours } = {}) {
+  const targets = channels || getConfiguredChannels();
+
+  if (targets.length === 0) {
+    throw new Error('No digest channel is configured. Set DIGEST_EMAIL_TO (with SMTP_HOST) or DIGEST_SLACK_USER_ID.');
+  }
+
+  const unknown = targets.filter(name => !CHANNELS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown digest channels: ${unknown.join(', ')}`);
+  }
+
+  const digest = await buildDigest({ lookbackHours });
+  const deliveries = {};
+
+  for (const name of targets) {
+    try {
+      deliveries[name] = { success: true, ...await CHANNELS[name].send(digest) };
+      logger.info(`Morning digest delivered by ${name}`);
+    } catch (error) {
+      logger.error(`Error delivering digest by ${name}:`, error);
+      deliveries[name] = { success: false, error: error.message };
+    }
+  }
+
+  const result = {
+    deliveries,
+    counts: {
+      actionItems: digest.actionItems.length,
+      pendingReplies: digest.pendingReplies.length
+    }
+  };
+
+  if (!Object.values(deliveries).some(delivery => delivery.success)) {
+    const error = new Error(`Digest delivery failed: ${Object.entries(deliveries).map(([name, delivery]) => `${name}: ${delivery.error}`).join('; ')}`);
+    error.result = result;
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = {
+  buildDigest,
+  deliverDigest,
+  getConfiguredChannels,
+  renderSubject,
+  renderText,
+  renderHtml,
+  renderSlackBlocks
+};
@@ -0,0 +1,255 @@
+/**
+ * Render a digest (see buildDigest) as email HTML, plain text and Slack Block Kit
+ */
+
+// Slack allows 50 blocks per message and 3000 characters per text field
+const MAX_SLACK_REPLIES = 10;
+const MAX_SLACK_TEXT = 2900;
+
+const SOURCE_LABELS = {
+  slack: 'Slack',
+  zendesk: 'Zendesk',
+  harvest: 'Harvest',
+  email: 'Email',
+  combined: 'Briefing',
+  all: 'Briefing'
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text The text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text The text
+ * @returns {string} Escaped text
+ */
+function escapeSlack(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Cut text down to a maximum length
+ * @param {string} text The text
+ * @param {number} max Maximum length
+ * @returns {string} The text, with an ellipsis if it was cut
+ */
+function truncate(text, max) {
+  const value = String(text == null ? '' : text);
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Human-readable label for a source
+ * @param {string} source The source
+ * @returns {string} The label
+ */
+function sourceLabel(source) {
+  return SOURCE_LABELS[source] || source;
+}
+
+/**
+ * Subject line for the digest email
+ * @param {Object} digest The digest
+ * @returns {string} The subject
+ */
+function renderSubject(digest) {
+  const date = new Date(digest.generatedAt).toISOString().split('T')[0];
+  const counts = [];
+  if (digest.actionItems.length > 0) counts.push(`${digest.actionItems.length} action item${digest.actionItems.length === 1 ? '' : 's'}`);
+  if (digest.pendingReplies.length > 0) counts.push(`${digest.pendingReplies.length} repl${digest.pendingReplies.length === 1 ? 'y' : 'ies'} to approve`);
+
+  return `Morning briefing for ${date}${counts.length > 0 ? `: ${counts.join(', ')}` : ''}`;
+}
+
+/**
+ * Render the digest as plain text
+ * @param {Object} digest The digest
+ * @returns {string} Plain-text email body
+ */
+function renderText(digest) {
+  const lines = [renderSubject(digest), ''];
+
+  if (digest.briefing) {
+    lines.push('BRIEFING', digest.briefing.summary, '');
+
+    if (digest.briefing.correlations.length > 0) {
+      lines.push('CONNECTED ISSUES');
+      digest.briefing.correlations.forEach(correlation => {
+        lines.push(`- [${correlation.priority || 'medium'}] ${correlation.client ? `${correlation.client}: ` : ''}${correlation.description}`);
+      });
+      lines.push('');
+    }
+  } else if (digest.sources.length > 0) {
+    lines.push('SUMMARIES');
+    digest.sources.forEach(source => lines.push(`${sourceLabel(source.source)}: ${source.summary}`, ''));
+  } else {
+    lines.push(`No new summaries in the last ${digest.lookbackHours} hours.`, '');
+  }
+
+  if (digest.actionItems.length > 0) {
+    lines.push('ACTION ITEMS');
+    digest.actionItems.forEach(item => lines.push(`- ${item.text}`));
+    lines.push('');
+  }
+
+  if (digest.pendingReplies.length > 0) {
+    lines.push('REPLIES WAITING FOR APPROVAL');
+    digest.pendingReplies.forEach(reply => {
+      lines.push(`- To ${reply.recipient || 'unknown'} (${sourceLabel(reply.source)})${reply.subject ? `: ${reply.subject}` : ''}`);
+      lines.push(`  ${truncate(reply.message, 280)}`);
+      lines.push(`  Review: ${reply.link}`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`Open the dashboard: ${digest.dashboardUrl}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the digest as an HTML email
+ * @param {Object} digest The digest
+ * @returns {string} HTML email body
+ */
+function renderHtml(digest) {
+  const section = (title, body) => `
+    <h2 style="font-size:16px;margin:24px 0 8px;color:#111827;">${escapeHtml(title)}</h2>
+    ${body}`;
+  const paragraph = text => `<p style="margin:0 0 12px;line-height:1.5;">${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+
+  const parts = [];
+
+  if (digest.briefing) {
+    parts.push(section('Briefing', paragraph(digest.briefing.summary)));
+
+    if (digest.briefing.correlations.length > 0) {
+      parts.push(section('Connected issues', `<ul style="padding-left:20px;margin:0;">${digest.briefing.correlations.map(correlation => `
+        <li style="margin-bottom:6px;"><strong>${escapeHtml(correlation.client || 'General')}</strong>
+          <span style="color:#6b7280;">(${escapeHtml(correlation.priority || 'medium')})</span>: ${escapeHtml(correlation.description)}</li>`).join('')}
+      </ul>`));
+    }
+  } else if (digest.sources.length > 0) {
+    parts.push(section('Summaries', digest.sources.map(source =>
+      `<p style="margin:0 0 12px;line-height:1.5;"><strong>${escapeHtml(sourceLabel(source.source))}:</strong> ${escapeHtml(source.summary)}</p>`
+    ).join('')));
+  } else {
+    parts.push(paragraph(`No new summaries in the last ${digest.lookbackHours} hours.`));
+  }
+
+  if (digest.actionItems.length > 0) {
+    parts.push(section('Action items', `<ul style="padding-left:20px;margin:0;">${digest.actionItems.map(item =>
+      `<li style="margin-bottom:6px;">${escapeHtml(item.text)}</li>`
+    ).join('')}</ul>`));
+  }
+
+  if (digest.pendingReplies.length > 0) {
+    parts.push(section('Replies waiting for approval', digest.pendingReplies.map(reply => `
+      <div style="border:1px solid #e5e7eb;border-radius:6px;padding:12px;margin-bottom:12px;">
+        <div style="font-size:13px;color:#6b7280;margin-bottom:6px;">To ${escapeHtml(reply.recipient || 'unknown')} via ${escapeHtml(sourceLabel(reply.source))}${reply.subject ? ` · ${escapeHtml(reply.subject)}` : ''}</div>
+        <div style="line-height:1.5;margin-bottom:8px;">${escapeHtml(truncate(reply.message, 600))}</div>
+        <a href="${escapeHtml(reply.link)}" style="color:#2563eb;font-weight:600;">Review and approve</a>
+      </div>`).join('')));
+  }
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f9fafb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;font-size:14px;color:#374151;">
+    <div style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h1 style="font-size:20px;margin:0 0 8px;color:#111827;">${escapeHtml(renderSubject(digest))}</h1>
+      ${parts.join('\n')}
+      <p style="margin:24px 0 0;"><a href="${escapeHtml(digest.dashboardUrl)}" style="color:#2563eb;">Open the dashboard</a></p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Render the digest as Slack Block Kit blocks
+ * @param {Object} digest The digest
+ * @returns {Object} { text, blocks }; text is the notification fallback
+ */
+function renderSlackBlocks(digest) {
+  const subject = renderSubject(digest);
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(subject, 150) } }
+  ];
+  const mrkdwn = text => ({ type: 'section', text: { type: 'mrkdwn', text: truncate(text, MAX_SLACK_TEXT) } });
+
+  if (digest.briefing) {
+    blocks.push(mrkdwn(escapeSlack(digest.briefing.summary)));
+
+    if (digest.briefing.correlations.length > 0) {
+      blocks.push(mrkdwn(`*Connected issues*\n${digest.briefing.correlations.map(correlation =>
+        `• *${escapeSlack(correlation.client || 'General')}* (${escapeSlack(correlation.priority || 'medium')}): ${escapeSlack(correlation.description)}`
+      ).join('\n')}`));
+    }
+  } else if (digest.sources.length > 0) {
+    digest.sources.forEach(source => blocks.push(mrkdwn(`*${sourceLabel(source.source)}:* ${escapeSlack(source.summary)}`)));
+  } else {
+    blocks.push(mrkdwn(`No new summaries in the last ${digest.lookbackHours} hours.`));
+  }
+
+  if (digest.actionItems.length > 0) {
+    blocks.push({ type: 'divider' });
+    blocks.push(mrkdwn(`*Action items*\n${digest.actionItems.map(item => `• ${escapeSlack(item.text)}`).join('\n')}`));
+  }
+
+  if (digest.pendingReplies.length > 0) {
+    blocks.push({ type: 'divider' });
+    blocks.push(mrkdwn(`*Replies waiting for approval*`));
+
+    digest.pendingReplies.slice(0, MAX_SLACK_REPLIES).forEach(reply => {
+      blocks.push({
+        ...mrkdwn(`To *${escapeSlack(reply.recipient || 'unknown')}* via ${sourceLabel(reply.source)}\n${escapeSlack(truncate(reply.message, 400))}`),
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Review' },
+          url: reply.link
+        }
+      });
+    });
+
+    if (digest.pendingReplies.length > MAX_SLACK_REPLIES) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `${digest.pendingReplies.length - MAX_SLACK_REPLIES} more in the dashboard` }]
+      });
+    }
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [{
+      type: 'button',
+      text: { type: 'plain_text', text: 'Open dashboard' },
+      url: digest.dashboardUrl,
+      style: 'primary'
+    }]
+  });
+
+  return { text: subject, blocks };
+}
+
+module.exports = {
+  renderSubject,
+  renderText,
+  renderHtml,
+  renderSlackBlocks,
+  escapeSlack,
+  truncate,
+  sourceLabel
+};
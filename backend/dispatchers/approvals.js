@@ -0,0 +1,263 @@
+const replyStore = require('../memory/replyStore');
+const approvalStore = require('../memory/approvalStore');
+const contextStore = require('../memory/contextStore');
+const feedbackHandler = require('../memory/feedbackHandler');
+const logger = require('../utils/logger');
+const { validateReply } = require('./index');
+const { scheduleReply, getSendAt } = require('./outbox');
+const { ReplyDispatchError, replyStatusError, alreadyHandledError } = require('./errors');
+
+const { PENDING_APPROVAL, REJECTED, SCHEDULED } = replyStore.REPLY_STATUS;
+const { DECISION } = approvalStore;
+
+// Errors thrown before a submitted reply is stored
+const UNQUEUED_ERROR_CODES = ['ALREADY_HANDLED', 'INVALID_REPLY'];
+
+/**
+ * Get the tags of the clients a reply is for, from clients.profile.tags
+ * @param {Object} reply The reply
+ * @returns {Promise<Array<string>>} Lower-cased tags
+ */
+async function getClientTags(reply) {
+  const { clients } = await contextStore.getRelevantClientContext([{
+    text: [reply.recipient, reply.subject, reply.message].filter(Boolean).join(' '),
+    client_details: reply.client_name ? { name: reply.client_name } : undefined
+  }]);
+
+  const tags = clients.flatMap(client => (client.profile && client.profile.tags) || []);
+  return [...new Set(tags.map(tag => String(tag).toLowerCase()))];
+}
+
+/**
+ * Check whether a policy applies to a reply; every condition the policy sets must hold
+ * @param {Object} policy The policy ({ services, client_tags, keywords })
+ * @param {Object} reply The reply
+ * @param {Array<string>} clientTags Tags of the reply's clients
+ * @returns {boolean} Whether the policy applies
+ */
+function policyApplies(policy, reply, clientTags) {
+  const services = policy.services || [];
+  const policyTags = (policy.client_tags || []).map(tag => tag.toLowerCase());
+  const keywords = (policy.keywords || []).map(keyword => keyword.toLowerCase());
+  const text = `${reply.subject || ''} ${reply.message || ''}`.toLowerCase();
+
+  return (services.length === 0 || services.includes(reply.service))
+    && (policyTags.length === 0 || policyTags.some(tag => clientTags.includes(tag)))
+    && (keywords.length === 0 || keywords.some(keyword => text.includes(keyword)));
+}
+
+/**
+ * Work out which approvals a reply needs
+ * @param {Object} reply The reply
+ * @returns {Promise<Array<Object>>} One step per matching policy: { policy_id, name, required_approvals, required_role }
+ */
+async function getApprovalSteps(reply) {
+  const policies = await approvalStore.listPolicies({ enabledOnly: true });
+  if (policies.length === 0) {
+    return [];
+  }
+
+  const clientTags = await getClientTags(reply);
+
+  return policies
+    .filter(policy => policyApplies(policy, reply, clientTags))
+    .map(policy => ({
+      policy_id: policy.id,
+      name: policy.name,
+      required_approvals: policy.required_approvals || 1,
+      required_role: policy.required_role || null
+    }));
+}
+
+/**
+ * Count the approvals each step has
+ *
+ * A step needs required_approvals different people to approve, each with
+ * required_role if the step has one.
+ * @param {Array<Object>} steps The reply's approval steps
+ * @param {Array<Object>} decisions Decisions recorded against the reply
+ * @returns {Array<Object>} The steps with { approvals, approvers, satisfied }
+ */
+function getApprovalProgress(steps, decisions) {
+  return (steps || []).map(step => {
+    const approvers = decisions
+      .filter(decision => decision.decision === DECISION.APPROVED)
+      .filter(decision => !step.required_role || (decision.roles || []).includes(step.required_role))
+      .map(decision => decision.approver);
+
+    return {
+      ...step,
+      approvals: approvers.length,
+      approvers,
+      satisfied: approvers.length >= step.required_approvals
+    };
+  });
+}
+
+/**
+ * Send a reply on to the outbox once every step is satisfied
+ * @param {Object} reply The reply
+ * @param {Array<Object>} decisions Decisions recorded against it
+ * @returns {Promise<Object>} The reply, scheduled if it is now fully approved
+ */
+async function releaseIfApproved(reply, decisions) {
+  const progress = getApprovalProgress(reply.approval_steps, decisions);
+  if (!progress.every(step => step.satisfied)) {
+    return reply;
+  }
+
+  const now = new Date();
+  // The undo window starts once the last approval is in
+  const released = await replyStore.updateIfStatus(reply.id, [PENDING_APPROVAL], {
+    status: SCHEDULED,
+    approved_at: now.toISOString(),
+    send_at: getSendAt({ sendAt: reply.requested_send_at }, now).toISOString()
+  });
+
+  if (released) {
+    logger.info(`Reply ${reply.id} approved, scheduled for ${released.send_at}`);
+  }
+  return released || replyStore.getReply(reply.id);
+}
+
+/**
+ * Submit an approved suggestion: it goes to the outbox, or waits for approval if a policy applies
+ *
+ * The person submitting it counts as its first approver. A suggestion gets
+ * one live reply however it is approved (dashboard or Slack card); approving
+ * it again fails with ALREADY_HANDLED. A reply refused before it is stored
+ * (ALREADY_HANDLED or INVALID_REPLY) withdraws the feedback that approved it,
+ * since nothing was queued.
+ * @param {Object} reply Reply columns (see replyStore.createReply)
+ * @param {Object} [timing] { sendAt, delaySeconds } (see getSendAt)
+ * @param {Object} user Who submitted it ({ name, roles })
+ * @returns {Promise<Object>} The stored reply
+ * @throws {ReplyDispatchError} INVALID_REPLY if the reply can't be sent, ALREADY_HANDLED if its suggestion already has one
+ */
+async function submitReply(reply, timing, user) {
+  try {
+    return await storeSubmittedReply(reply, timing, user);
+  } catch (error) {
+    if (UNQUEUED_ERROR_CODES.includes(error.code) && reply.feedback_id) {
+      await feedbackHandler.deleteFeedback(reply.feedback_id);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store a submitted reply in the outbox or waiting for approval (see submitReply)
+ * @param {Object} reply Reply columns
+ * @param {Object} [timing] { sendAt, delaySeconds }
+ * @param {Object} user Who submitted it
+ * @returns {Promise<Object>} The stored reply
+ */
+async function storeSubmittedReply(reply, timing, user) {
+  validateReply(reply);
+
+  if (reply.summary_id && Number.isInteger(reply.suggestion_index)) {
+    const existing = await replyStore.getSuggestionReply(reply.summary_id, reply.suggestion_index);
+    if (existing) {
+      throw alreadyHandledError(reply, existing);
+    }
+  }
+
+  const steps = await getApprovalSteps(reply);
+  if (steps.length === 0) {
+    return scheduleReply({ ...reply, submitted_by: user.name }, timing);
+  }
+
+  // Checked now so a bad sendAt doesn't surface only after the last approval
+  if (timing && timing.sendAt) {
+    getSendAt(timing);
+  }
+
+  const stored = await replyStore.createReply({
+    ...reply,
+    status: PENDING_APPROVAL,
+    approval_steps: steps,
+    submitted_by: user.name,
+    requested_send_at: timing && timing.sendAt ? new Date(timing.sendAt).toISOString() : null
+  });
+
+  if (!stored) {
+    throw alreadyHandledError(reply);
+  }
+
+  const decision = await approvalStore.recordDecision(stored.id, {
+    approver: user.name,
+    roles: user.roles,
+    decision: DECISION.APPROVED,
+    comment: 'Submitted'
+  });
+
+  logger.info(`Reply ${stored.id} to ${reply.service} needs approval: ${steps.map(step => step.name).join(', ')}`);
+  return releaseIfApproved(stored, [decision]);
+}
+
+/**
+ * Record an approver's decision on a reply waiting for approval
+ * @param {string} id The reply ID
+ * @param {Object} user The approver ({ name, roles })
+ * @param {string} decision 'approved' or 'rejected'
+ * @param {string} [comment] Why
+ * @returns {Promise<Object>} The reply after the decision
+ * @throws {ReplyDispatchError} NOT_FOUND, INVALID_STATUS, or ALREADY_DECIDED if this approver already decided
+ */
+async function decideReply(id, user, decision, comment) {
+  const reply = await replyStore.getReply(id);
+  if (!reply || reply.status !== PENDING_APPROVAL) {
+    throw replyStatusError(id, reply, decision);
+  }
+
+  const recorded = await approvalStore.recordDecision(id, {
+    approver: user.name,
+    roles: user.roles,
+    decision,
+    comment
+  });
+
+  if (!recorded) {
+    throw new ReplyDispatchError(`${user.name} has already approved or rejected reply ${id}`, {
+      service: reply.service,
+      code: 'ALREADY_DECIDED'
+    });
+  }
+
+  if (decision === DECISION.REJECTED) {
+    const rejected = await replyStore.updateIfStatus(id, [PENDING_APPROVAL], { status: REJECTED });
+    logger.info(`Reply ${id} rejected by ${user.name}`);
+    return rejected || replyStore.getReply(id);
+  }
+
+  return releaseIfApproved(reply, await approvalStore.getDecisions([id]));
+}
+
+/**
+ * Get replies with their approval steps, progress and decisions
+ * @param {Object} [filters] Filters
+ * @param {string} [filters.status] Reply status (default: pending_approval)
+ * @returns {Promise<Array>} Replies with { approval_progress, decisions }
+ */
+async function listApprovals({ status = PENDING_APPROVAL } = {}) {
+  const replies = (await replyStore.listReplies({ status }))
+    .filter(reply => reply.approval_steps && reply.approval_steps.length > 0);
+  const decisions = await approvalStore.getDecisions(replies.map(reply => reply.id));
+
+  return replies.map(reply => {
+    const replyDecisions = decisions.filter(decision => decision.reply_id === reply.id);
+    return {
+      ...reply,
+      approval_progress: getApprovalProgress(reply.approval_steps, replyDecisions),
+      decisions: replyDecisions
+    };
+  });
+}
+
+module.exports = {
+  getApprovalSteps,
+  getApprovalProgress,
+  submitReply,
+  decideReply,
+  listApprovals
+};
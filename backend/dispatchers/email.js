@@ -0,0 +1,116 @@
+const { getGmail } = require('../utils/gmailClient');
+
+/**
+ * Strip line breaks so a value can't add headers of its own
+ * @param {string} value Header value
+ * @returns {string} Single-line value
+ */
+function headerValue(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Encode a header value as RFC 2047 if it isn't plain ASCII
+ * @param {string} value Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  const clean = headerValue(value);
+  return /[\u0080-\uffff]/.test(clean) ? `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=` : clean;
+}
+
+/**
+ * Build a raw RFC 2822 message for users.messages.send
+ * @param {Object} fields { from, to, subject, inReplyTo, references, body }
+ * @returns {string} base64url-encoded message
+ */
+function buildRawMessage({ from, to, subject, inReplyTo, references, body }) {
+  const headers = [
+    from ? `From: ${headerValue(from)}` : null,
+    `To: ${headerValue(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    inReplyTo ? `In-Reply-To: ${headerValue(inReplyTo)}` : null,
+    references ? `References: ${headerValue(references)}` : null,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset="UTF-8"',
+    'Content-Transfer-Encoding: base64'
+  ].filter(Boolean);
+
+  const encodedBody = Buffer.from(body, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return Buffer.from(`${headers.join('\r\n')}\r\n\r\n${encodedBody}`, 'utf8').toString('base64url');
+}
+
+/**
+ * Sends replies through Gmail, in the original email's thread
+ */
+module.exports = {
+  name: 'email',
+
+  /**
+   * @param {Object} reply The reply row
+   * @returns {string|null} What's missing, or null if the reply can be sent
+   */
+  validate(reply) {
+    if (!reply.email_id && !String(reply.recipient || '').includes('@')) {
+      return 'Email replies need an emailId or a recipient address';
+    }
+    return null;
+  },
+
+  /**
+   * @param {Object} reply The reply row
+   * @returns {Promise<Object>} { providerMessageId, providerThreadId }
+   */
+  async send(reply) {
+    const gmail = await getGmail();
+    let original = null;
+
+    if (reply.email_id) {
+      const response = await gmail.users.messages.get({
+        userId: 'me',
+        id: reply.email_id,
+        format: 'metadata',
+        metadataHeaders: ['Message-ID', 'References', 'Subject', 'From', 'Reply-To']
+      });
+      original = response.data;
+    }
+
+    const header = name => {
+      const found = original && (original.payload.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+      return found ? found.value : null;
+    };
+
+    // Suggestions often name the recipient ("Jane"), so fall back to who wrote the email
+    const to = String(reply.recipient || '').includes('@') ? reply.recipient : header('Reply-To') || header('From');
+    if (!to) {
+      throw new Error(`Can't work out who to reply to for email ${reply.email_id}`);
+    }
+
+    const originalSubject = reply.subject || header('Subject') || '';
+    const subject = /^re:/i.test(originalSubject) || !original ? originalSubject : `Re: ${originalSubject}`;
+    const messageId = header('Message-ID');
+
+    const sent = await gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: buildRawMessage({
+          from: process.env.GMAIL_USER_EMAIL,
+          to,
+          subject,
+          inReplyTo: messageId,
+          references: [header('References'), messageId].filter(Boolean).join(' '),
+          body: reply.message
+        }),
+        threadId: reply.thread_id || (original && original.threadId) || undefined
+      }
+    });
+
+    return {
+      providerMessageId: sent.data.id,
+      providerThreadId: sent.data.threadId
+    };
+  },
+
+  buildRawMessage
+};
@@ -0,0 +1,85 @@
+/**
+ * Errors raised while sending a reply
+ */
+
+/**
+ * Raised when a reply can't be sent; records the service and why
+ */
+class ReplyDispatchError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} details Error details
+   * @param {string} details.service The service the reply was for
+   * @param {string} [details.code] INVALID_REPLY when the reply is missing what the service needs
+   *   or its send time is invalid, NOT_FOUND or INVALID_STATUS when it can't be sent, cancelled,
+   *   rescheduled or approved, ALREADY_DECIDED when an approver decides twice, ALREADY_HANDLED when
+   *   a suggestion that already has a reply is approved again, NOT_RECORDED when the
+   *   service took the reply but it couldn't be recorded as sent, otherwise DISPATCH_FAILED
+   * @param {Error} [details.cause] The underlying error
+   */
+  constructor(message, { service, code = 'DISPATCH_FAILED', cause } = {}) {
+    super(message);
+    this.name = 'ReplyDispatchError';
+    this.code = code;
+    this.service = service;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Build the error for a reply that wasn't in a status the action allows
+ * @param {string} id The reply ID
+ * @param {Object|null} existing The reply as it is now, or null if it doesn't exist
+ * @param {string} action What was attempted, e.g. 'sent' or 'cancelled'
+ * @returns {ReplyDispatchError} NOT_FOUND or INVALID_STATUS error
+ */
+function replyStatusError(id, existing, action) {
+  if (!existing) {
+    return new ReplyDispatchError(`Reply ${id} not found`, { service: null, code: 'NOT_FOUND' });
+  }
+
+  return new ReplyDispatchError(`Reply ${id} can't be ${action} while it is ${existing.status}`, {
+    service: existing.service,
+    code: 'INVALID_STATUS'
+  });
+}
+
+/**
+ * Build the error for a suggestion that already has a reply
+ * @param {Object} reply The reply being submitted
+ * @param {Object} [existing] The reply it already has, if known
+ * @returns {ReplyDispatchError} ALREADY_HANDLED error
+ */
+function alreadyHandledError(reply, existing) {
+  return new ReplyDispatchError(
+    `Suggestion ${reply.summary_id}-${reply.suggestion_index} was already handled${existing ? ` (reply ${existing.id} is ${existing.status})` : ''}`,
+    { service: reply.service, code: 'ALREADY_HANDLED' }
+  );
+}
+
+/**
+ * Get the HTTP status for a dispatch failure
+ * @param {Error} error The error
+ * @returns {number} HTTP status; 502 when the service rejected the send
+ */
+function getDispatchErrorStatus(error) {
+  if (!(error instanceof ReplyDispatchError)) {
+    return 500;
+  }
+
+  return {
+    INVALID_REPLY: 400,
+    NOT_FOUND: 404,
+    INVALID_STATUS: 409,
+    ALREADY_DECIDED: 409,
+    ALREADY_HANDLED: 409,
+    NOT_RECORDED: 500
+  }[error.code] || 502;
+}
+
+module.exports = {
+  ReplyDispatchError,
+  replyStatusError,
+  alreadyHandledError,
+  getDispatchErrorStatus
+};
@@ -0,0 +1,208 @@
+const replyStore = require('../memory/replyStore');
+const logger = require('../utils/logger');
+const { ReplyDispatchError, replyStatusError, getDispatchErrorStatus } = require('./errors');
+
+// Dispatchers by service; each has validate(reply) and send(reply)
+const dispatchers = new Map();
+
+// Times recording a delivered reply is tried before giving up for now
+const RECORD_ATTEMPTS = 3;
+
+// Replies delivered but not yet recorded as sent, by ID, with the service's result
+const unrecordedSends = new Map();
+
+/**
+ * Register a dispatcher
+ * @param {Object} dispatcher { name, validate, send }
+ */
+function registerDispatcher(dispatcher) {
+  dispatchers.set(dispatcher.name, dispatcher);
+}
+
+registerDispatcher(require('./slack'));
+registerDispatcher(require('./zendesk'));
+registerDispatcher(require('./email'));
+
+/**
+ * List services replies can be sent to
+ * @returns {Array<string>} Service names
+ */
+function getDispatcherNames() {
+  return [...dispatchers.keys()];
+}
+
+/**
+ * Map a reply request (a POST /api/reply body or a suggested message) to reply columns
+ * @param {string} service The service the reply goes to
+ * @param {Object} replyData Reply fields; camelCase and the summary's snake_case names are both accepted
+ * @returns {Object} Reply columns (see replyStore.createReply)
+ */
+function buildReply(service, replyData) {
+  return {
+    service,
+    message: replyData.message || replyData.text,
+    recipient: replyData.recipient || null,
+    channel_id: replyData.channelId || replyData.channel_id || replyData.channel || null,
+    thread_id: replyData.threadId || replyData.thread_id || replyData.thread_ts || null,
+    ticket_id: replyData.ticketId || replyData.ticket_id ? String(replyData.ticketId || replyData.ticket_id) : null,
+    email_id: replyData.emailId || replyData.email_id || replyData.messageId || null,
+    subject: replyData.subject || null,
+    is_public: replyData.public !== false,
+    client_name: replyData.client || null,
+    feedback_id: replyData.feedbackId || replyData.feedback_id || null,
+    // The suggestion it came from, so it can't be queued twice (e.g. from the dashboard and Slack)
+    summary_id: replyData.summaryId || replyData.summary_id || null,
+    suggestion_index: Number.isInteger(replyData.suggestionIndex) ? replyData.suggestionIndex
+      : Number.isInteger(replyData.suggestion_index) ? replyData.suggestion_index : null
+  };
+}
+
+/**
+ * Check a reply has what its service needs before it is stored or sent
+ * @param {Object} reply The reply row (or the row about to be stored)
+ * @throws {ReplyDispatchError} INVALID_REPLY if the reply can't be sent
+ */
+function validateReply(reply) {
+  const dispatcher = dispatchers.get(reply.service);
+
+  if (!dispatcher) {
+    throw new ReplyDispatchError(`Replies can't be sent to ${reply.service}. Use ${getDispatcherNames().join(', ')}`, {
+      service: reply.service,
+      code: 'INVALID_REPLY'
+    });
+  }
+
+  const problem = dispatcher.validate(reply);
+  if (problem) {
+    throw new ReplyDispatchError(problem, { service: reply.service, code: 'INVALID_REPLY' });
+  }
+}
+
+/**
+ * Record a delivered reply as sent, retrying briefly if the store is unavailable
+ * @param {Object} reply The reply row
+ * @param {Object} result The service's result ({ providerMessageId, providerThreadId })
+ * @returns {Promise<Object>} The sent reply
+ * @throws {ReplyDispatchError} NOT_RECORDED if it still couldn't be recorded
+ */
+async function recordSent(reply, result) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const sent = await replyStore.markSent(reply.id, result);
+      unrecordedSends.delete(reply.id);
+      return sent;
+    } catch (error) {
+      if (attempt >= RECORD_ATTEMPTS) {
+        // recoverStaleSends records it later; it stays in 'sending' so nothing sends it again
+        unrecordedSends.set(reply.id, result);
+        throw new ReplyDispatchError(`Reply ${reply.id} was sent to ${reply.service} (${result.providerMessageId}) but couldn't be recorded: ${error.message}`, {
+          service: reply.service,
+          code: 'NOT_RECORDED',
+          cause: error
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+    }
+  }
+}
+
+/**
+ * Send a stored reply and record the outcome on its row
+ *
+ * Only a failed send marks the reply failed. Once the service has taken
+ * it, the reply is recorded as sent or left in 'sending', so it is never
+ * retried into a duplicate.
+ * @param {string} id The reply ID
+ * @param {Object} [options] Options
+ * @param {Array<string>} [options.fromStatuses] Statuses the reply may be sent from (default: scheduled)
+ * @param {Date} [options.dueBy] Only send the reply if its send_at is at or before this time
+ * @returns {Promise<Object>} The sent reply
+ * @throws {ReplyDispatchError} If the reply isn't sendable, the service rejected it, or it couldn't be recorded
+ */
+async function sendReply(id, { fromStatuses = [replyStore.REPLY_STATUS.SCHEDULED], dueBy } = {}) {
+  const reply = await replyStore.claimForSending(id, fromStatuses, { dueBy });
+
+  if (!reply) {
+    throw replyStatusError(id, await replyStore.getReply(id), 'sent');
+  }
+
+  let result;
+  try {
+    validateReply(reply);
+    result = await dispatchers.get(reply.service).send(reply);
+  } catch (error) {
+    // Slack and Zendesk put the reason in the response body
+    const providerMessage = error.response && error.response.data
+      ? JSON.stringify(error.response.data.error || error.response.data.details || error.response.data)
+      : null;
+    const dispatchError = error instanceof ReplyDispatchError
+      ? error
+      : new ReplyDispatchError(`Failed to send reply to ${reply.service}: ${error.message}${providerMessage ? ` ${providerMessage}` : ''}`, {
+        service: reply.service,
+        cause: error
+      });
+
+    logger.error(`Error sending reply ${reply.id}:`, dispatchError);
+    dispatchError.reply = await replyStore.markFailed(reply.id, dispatchError);
+    throw dispatchError;
+  }
+
+  try {
+    const sent = await recordSent(reply, result);
+    logger.info(`Reply ${reply.id} sent to ${reply.service} (${result.providerMessageId})`);
+    return sent;
+  } catch (error) {
+    logger.error(`Error recording sent reply ${reply.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Settle replies stuck in 'sending' past REPLY_SENDING_STALE_AFTER_SECONDS
+ *
+ * A reply this process delivered but couldn't record is recorded as sent.
+ * Any other is marked failed without being resent: it may have gone out
+ * before the send was interrupted, so someone should check before retrying.
+ * @param {Date} [now] The current time
+ * @returns {Promise<Object>} { sent, failed }
+ */
+async function recoverStaleSends(now = new Date()) {
+  const staleReplies = await replyStore.getStaleSending(now);
+  const result = { sent: 0, failed: 0 };
+
+  for (const reply of staleReplies) {
+    try {
+      const delivered = unrecordedSends.get(reply.id);
+      if (delivered) {
+        await recordSent(reply, delivered);
+        result.sent++;
+        continue;
+      }
+
+      const failed = await replyStore.updateIfStatus(reply.id, [replyStore.REPLY_STATUS.SENDING], {
+        status: replyStore.REPLY_STATUS.FAILED,
+        error: `Sending was interrupted and it may have been delivered; check ${reply.service} before retrying`
+      });
+      if (failed) {
+        logger.warn(`Reply ${reply.id} was stuck sending to ${reply.service}, marked failed`);
+        result.failed++;
+      }
+    } catch (error) {
+      logger.error(`Error recovering reply ${reply.id}:`, error);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  registerDispatcher,
+  getDispatcherNames,
+  buildReply,
+  validateReply,
+  sendReply,
+  recoverStaleSends,
+  ReplyDispatchError,
+  getDispatchErrorStatus
+};
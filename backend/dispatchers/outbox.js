@@ -0,0 +1,167 @@
+const replyStore = require('../memory/replyStore');
+const feedbackHandler = require('../memory/feedbackHandler');
+const logger = require('../utils/logger');
+const { validateReply, sendReply } = require('./index');
+const { ReplyDispatchError, replyStatusError, alreadyHandledError } = require('./errors');
+
+// Approved replies wait this long before they are sent, so they can be undone
+const MIN_UNDO_SECONDS = 30;
+const MAX_UNDO_SECONDS = 120;
+
+/**
+ * Get the undo window in seconds, kept between 30 and 120
+ * @param {number} [requested] Seconds asked for by the request (default: REPLY_UNDO_SECONDS, or 30)
+ * @returns {number} Undo window in seconds
+ */
+function getUndoSeconds(requested) {
+  const seconds = parseInt(requested) || parseInt(process.env.REPLY_UNDO_SECONDS) || MIN_UNDO_SECONDS;
+  return Math.min(Math.max(seconds, MIN_UNDO_SECONDS), MAX_UNDO_SECONDS);
+}
+
+/**
+ * Work out when a reply should be sent
+ *
+ * A send time inside the undo window is pushed back to the end of it, so
+ * every reply can still be undone.
+ * @param {Object} [timing] Timing
+ * @param {string} [timing.sendAt] ISO time to send at (e.g. the client's business hours)
+ * @param {number} [timing.delaySeconds] Undo window for this reply
+ * @param {Date} [now] The current time
+ * @returns {Date} When to send the reply
+ * @throws {ReplyDispatchError} INVALID_REPLY if sendAt isn't a valid time
+ */
+function getSendAt({ sendAt, delaySeconds } = {}, now = new Date()) {
+  const earliest = new Date(now.getTime() + getUndoSeconds(delaySeconds) * 1000);
+
+  if (!sendAt) {
+    return earliest;
+  }
+
+  const requested = new Date(sendAt);
+  if (isNaN(requested.getTime())) {
+    throw new ReplyDispatchError(`Invalid sendAt: ${sendAt}. Use an ISO 8601 time`, { code: 'INVALID_REPLY' });
+  }
+
+  return requested > earliest ? requested : earliest;
+}
+
+/**
+ * Put a reply in the outbox
+ * @param {Object} reply Reply columns (see replyStore.createReply)
+ * @param {Object} [timing] { sendAt, delaySeconds } (see getSendAt)
+ * @returns {Promise<Object>} The scheduled reply
+ * @throws {ReplyDispatchError} INVALID_REPLY if the reply can't be sent, ALREADY_HANDLED if its suggestion already has one
+ */
+async function scheduleReply(reply, timing) {
+  // Reject replies the service can't deliver before they wait in the outbox
+  validateReply(reply);
+
+  const scheduled = await replyStore.createReply({
+    ...reply,
+    status: replyStore.REPLY_STATUS.SCHEDULED,
+    send_at: getSendAt(timing).toISOString()
+  });
+
+  if (!scheduled) {
+    throw alreadyHandledError(reply);
+  }
+
+  logger.info(`Reply ${scheduled.id} to ${reply.service} scheduled for ${scheduled.send_at}`);
+  return scheduled;
+}
+
+/**
+ * Cancel a reply that hasn't been sent yet
+ *
+ * The approval that queued it is withdrawn too, so the feedback doesn't
+ * count an undone reply as approved.
+ * @param {string} id The reply ID
+ * @returns {Promise<Object>} The cancelled reply
+ * @throws {ReplyDispatchError} NOT_FOUND, or INVALID_STATUS if it is no longer scheduled
+ */
+async function cancelReply(id) {
+  const cancelled = await replyStore.cancelReply(id);
+
+  if (!cancelled) {
+    throw replyStatusError(id, await replyStore.getReply(id), 'cancelled');
+  }
+
+  if (cancelled.feedback_id) {
+    await feedbackHandler.deleteFeedback(cancelled.feedback_id);
+  }
+
+  logger.info(`Reply ${id} cancelled`);
+  return cancelled;
+}
+
+/**
+ * Change when a scheduled, cancelled or failed reply is sent
+ * @param {string} id The reply ID
+ * @param {Object} [timing] { sendAt, delaySeconds } (see getSendAt)
+ * @returns {Promise<Object>} The rescheduled reply
+ * @throws {ReplyDispatchError} NOT_FOUND, INVALID_REPLY, or INVALID_STATUS if it is being sent, was sent or was never approved
+ */
+async function rescheduleReply(id, timing) {
+  const sendAt = getSendAt(timing);
+
+  // A reply cancelled while it waited for approval can't skip the approval
+  const existing = await replyStore.getReply(id);
+  if (existing && existing.approval_steps && existing.approval_steps.length > 0 && !existing.approved_at) {
+    throw new ReplyDispatchError(`Reply ${id} was never approved and can't be rescheduled`, {
+      service: existing.service,
+      code: 'INVALID_STATUS'
+    });
+  }
+
+  const rescheduled = await replyStore.rescheduleReply(id, sendAt);
+
+  if (!rescheduled) {
+    throw replyStatusError(id, await replyStore.getReply(id), 'rescheduled');
+  }
+
+  logger.info(`Reply ${id} rescheduled for ${rescheduled.send_at}`);
+  return rescheduled;
+}
+
+/**
+ * Send every scheduled reply whose send time has come
+ * @param {Date} [now] The current time
+ * @returns {Promise<Object>} { sent, failed }
+ */
+async function sendDueReplies(now = new Date()) {
+  const dueReplies = await replyStore.getDueReplies(now);
+  const result = { sent: 0, failed: 0 };
+
+  for (const reply of dueReplies) {
+    try {
+      // dueBy stops a reply rescheduled since it was fetched from going out early
+      await sendReply(reply.id, { dueBy: now });
+      result.sent++;
+    } catch (error) {
+      // Cancelled, rescheduled or taken by another server since it was fetched
+      if (error.code === 'INVALID_STATUS' || error.code === 'NOT_FOUND') {
+        continue;
+      }
+      // Delivered; recoverStaleSends records it once the store is back
+      if (error.code === 'NOT_RECORDED') {
+        result.sent++;
+        continue;
+      }
+      // sendReply has already logged the failure and marked the reply failed
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  MIN_UNDO_SECONDS,
+  MAX_UNDO_SECONDS,
+  getUndoSeconds,
+  getSendAt,
+  scheduleReply,
+  cancelReply,
+  rescheduleReply,
+  sendDueReplies
+};
@@ -0,0 +1,34 @@
+const { callSlack } = require('../utils/slackClient');
+
+/**
+ * Sends replies as Slack messages, threaded under the original message
+ */
+module.exports = {
+  name: 'slack',
+
+  /**
+   * @param {Object} reply The reply row
+   * @returns {string|null} What's missing, or null if the reply can be sent
+   */
+  validate(reply) {
+    return reply.channel_id ? null : 'Slack replies need a channelId';
+  },
+
+  /**
+   * @param {Object} reply The reply row
+   * @returns {Promise<Object>} { providerMessageId, providerThreadId }
+   */
+  async send(reply) {
+    const posted = await callSlack('chat.postMessage', {
+      channel: reply.channel_id,
+      text: reply.message,
+      // thread_id holds the parent message's ts
+      thread_ts: reply.thread_id || undefined
+    });
+
+    return {
+      providerMessageId: posted.ts,
+      providerThreadId: reply.thread_id || posted.ts
+    };
+  }
+};
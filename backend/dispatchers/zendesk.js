@@ -0,0 +1,41 @@
+const { zendeskRequest } = require('../utils/zendeskClient');
+
+/**
+ * Sends replies as comments on the Zendesk ticket, public or internal
+ */
+module.exports = {
+  name: 'zendesk',
+
+  /**
+   * @param {Object} reply The reply row
+   * @returns {string|null} What's missing, or null if the reply can be sent
+   */
+  validate(reply) {
+    return reply.ticket_id ? null : 'Zendesk replies need a ticketId';
+  },
+
+  /**
+   * @param {Object} reply The reply row
+   * @returns {Promise<Object>} { providerMessageId, providerThreadId }
+   */
+  async send(reply) {
+    const response = await zendeskRequest('PUT', `/tickets/${encodeURIComponent(reply.ticket_id)}.json`, {
+      data: {
+        ticket: {
+          comment: {
+            body: reply.message,
+            public: reply.is_public !== false
+          }
+        }
+      }
+    });
+
+    // The comment's ID is in the audit the update created
+    const comment = ((response.audit && response.audit.events) || []).find(event => event.type === 'Comment');
+
+    return {
+      providerMessageId: String(comment ? comment.id : (response.audit ? response.audit.id : response.ticket.id)),
+      providerThreadId: String(reply.ticket_id)
+    };
+  }
+};
@@ -0,0 +1,150 @@
+const { harvestGetAllPages, getProjects, getProjectBudgets } = require('../utils/harvestClient');
+
+/**
+ * Budget burn for Harvest projects
+ *
+ * The burn rate is what was logged over a recent window, spread over its
+ * calendar days, so a project that just got busy projects an earlier overrun
+ * than its lifetime average would.
+ */
+
+// Days of time entries the burn rate is measured over
+const DEFAULT_BURN_DAYS = 28;
+
+// Projects with no end date are at risk when their budget runs out within this many days
+const RISK_HORIZON_DAYS = 30;
+
+// Budgets kept in money rather than hours
+const AMOUNT_BUDGETS = ['project_cost', 'task_fees'];
+
+const BUDGET_STATUS = {
+  OVER_BUDGET: 'over_budget',
+  AT_RISK: 'at_risk',
+  ON_TRACK: 'on_track'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date The date
+ * @returns {string} The date in UTC
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the day a budget has to last until
+ * @param {Object} budget Project budget report row
+ * @param {Object} [project] The Harvest project
+ * @param {Date} now The current time
+ * @returns {Date|null} End of the month for monthly budgets, else the project's end date, if it has one
+ */
+function getBudgetEnd(budget, project, now) {
+  if (budget.budget_is_monthly) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) - 1);
+  }
+
+  return project && project.ends_on ? new Date(`${project.ends_on}T23:59:59Z`) : null;
+}
+
+/**
+ * Work out how fast each project is using its budget and when it runs out
+ * @param {Array} budgets Project budget report rows (see getProjectBudgets)
+ * @param {Object} options Options
+ * @param {Array} options.projects Harvest projects, for their end dates
+ * @param {Array} options.timeEntries Time entries logged in the window
+ * @param {number} [options.days] Days the time entries cover
+ * @param {Date} [options.now] The current time
+ * @returns {Array} Per project: { project_id, project_name, client_id, client_name, budget_by, unit, budget,
+ *   spent, remaining, percent_used, burned, burn_per_day, days_left, projected_overrun_date, ends_on,
+ *   budget_is_monthly, status, reasons }, over budget first, then at risk, then by share used
+ */
+function analyzeBudgets(budgets, { projects, timeEntries, days = DEFAULT_BURN_DAYS, now = new Date() }) {
+  const projectsById = new Map(projects.map(project => [project.id, project]));
+  const rank = Object.values(BUDGET_STATUS);
+
+  return budgets
+    .filter(budget => budget.budget > 0)
+    .map(budget => {
+      const project = projectsById.get(budget.project_id);
+      const unit = AMOUNT_BUDGETS.includes(budget.budget_by) ? 'amount' : 'hours';
+      const entries = timeEntries.filter(entry => entry.project && entry.project.id === budget.project_id);
+      const burned = entries.reduce((sum, entry) => sum + (unit === 'hours'
+        ? entry.hours || 0
+        : entry.billable ? (entry.hours || 0) * (entry.billable_rate || 0) : 0), 0);
+      const burnPerDay = burned / days;
+      const remaining = budget.budget_remaining;
+      const budgetEnd = getBudgetEnd(budget, project, now);
+      const label = unit === 'hours' ? 'hours' : 'of the fee budget';
+
+      let status = BUDGET_STATUS.ON_TRACK;
+      let daysLeft = null;
+      let projectedOverrun = null;
+      const reasons = [];
+
+      if (remaining <= 0) {
+        status = BUDGET_STATUS.OVER_BUDGET;
+        reasons.push(`Over budget by ${Math.round(-remaining * 100) / 100} ${label}`);
+      } else if (burnPerDay > 0) {
+        daysLeft = remaining / burnPerDay;
+        projectedOverrun = new Date(now.getTime() + daysLeft * DAY_MS);
+
+        if (budgetEnd ? projectedOverrun < budgetEnd : daysLeft <= RISK_HORIZON_DAYS) {
+          status = BUDGET_STATUS.AT_RISK;
+          reasons.push(budgetEnd
+            ? `Runs out ${toDateString(projectedOverrun)}, before ${budget.budget_is_monthly ? 'the month ends' : `the project ends ${toDateString(budgetEnd)}`}`
+            : `Runs out in ${Math.floor(daysLeft)} days at the current rate`);
+        }
+      }
+
+      return {
+        project_id: budget.project_id,
+        project_name: budget.project_name,
+        client_id: budget.client_id,
+        client_name: budget.client_name,
+        budget_by: budget.budget_by,
+        unit,
+        budget: budget.budget,
+        spent: budget.budget_spent,
+        remaining,
+        percent_used: Math.round((budget.budget_spent / budget.budget) * 100),
+        burned: Math.round(burned * 100) / 100,
+        burn_per_day: Math.round(burnPerDay * 100) / 100,
+        days_left: daysLeft === null ? null : Math.floor(daysLeft),
+        projected_overrun_date: projectedOverrun ? toDateString(projectedOverrun) : null,
+        ends_on: project ? project.ends_on || null : null,
+        budget_is_monthly: Boolean(budget.budget_is_monthly),
+        status,
+        reasons
+      };
+    })
+    .sort((a, b) => rank.indexOf(a.status) - rank.indexOf(b.status) || b.percent_used - a.percent_used);
+}
+
+/**
+ * Download budgets, projects and recent time entries and work out each project's burn
+ * @param {Object} [options] Options
+ * @param {number} [options.days] Days of time entries to measure the burn rate over
+ * @returns {Promise<Array>} See analyzeBudgets
+ */
+async function getBudgetBurn({ days = DEFAULT_BURN_DAYS } = {}) {
+  const now = new Date();
+  const from = toDateString(new Date(now.getTime() - days * DAY_MS));
+
+  const [budgets, projects, timeEntries] = await Promise.all([
+    getProjectBudgets(),
+    getProjects(),
+    harvestGetAllPages('/time_entries', { from, is_running: false }, 'time_entries')
+  ]);
+
+  return analyzeBudgets(budgets, { projects, timeEntries, days, now });
+}
+
+module.exports = {
+  BUDGET_STATUS,
+  DEFAULT_BURN_DAYS,
+  analyzeBudgets,
+  getBudgetBurn
+};
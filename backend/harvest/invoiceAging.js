@@ -0,0 +1,355 @@
+const contextStore = require('../memory/contextStore');
+const templateStore = require('../memory/templateStore');
+const invoiceReminderStore = require('../memory/invoiceReminderStore');
+const { buildTemplateVariables, renderTemplate } = require('../templates/renderTemplate');
+const { harvestGetAllPages } = require('../utils/harvestClient');
+
+/**
+ * Invoice aging and dunning reminders for open Harvest invoices
+ *
+ * Each overdue invoice gets one reminder draft per stage, addressed to the
+ * billing contact in its client's clients.profile. A summary run claims the
+ * stages in invoice_reminders before drafting them, so overlapping runs don't
+ * both draft one, and links them to its summary once stored. Rejecting a
+ * draft frees its stage for a later run. Amounts are kept per currency.
+ */
+
+const AGING_BUCKETS = ['current', '1-30', '31-60', '60+'];
+
+// Reminder stages, from the first days overdue each one applies
+const DUNNING_STAGES = [
+  { stage: 'friendly', minDaysOverdue: 1 },
+  { stage: 'firm', minDaysOverdue: 31 },
+  { stage: 'final', minDaysOverdue: 61 }
+];
+
+// Built-in reminder text; an enabled template in category dunning_<stage> replaces it
+const DUNNING_TEMPLATES = {
+  friendly: {
+    subject: 'Invoice {{invoice_number}} is past due',
+    body: 'Hi {{recipient}},\n\nA quick reminder that invoice {{invoice_number}} for {{amount}} was due on {{due_date}}. Could you let me know when we can expect payment?\n\nThanks,\n{{founder_name}}'
+  },
+  firm: {
+    subject: 'Second reminder: invoice {{invoice_number}} is over 30 days overdue',
+    body: 'Hi {{recipient}},\n\nInvoice {{invoice_number}} for {{amount}} was due on {{due_date}} and is now more than 30 days overdue. Please arrange payment this week, or let me know if something is holding it up so we can sort it out.\n\nThanks,\n{{founder_name}}'
+  },
+  final: {
+    subject: 'Final notice: invoice {{invoice_number}}',
+    body: "Hi {{recipient}},\n\nInvoice {{invoice_number}} for {{amount}}, due on {{due_date}}, is now more than 60 days overdue. Please pay it within 7 days. If it is still outstanding after that, we'll need to discuss next steps, including pausing ongoing work.\n\nRegards,\n{{founder_name}}"
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Harvest invoices carry their currency; this covers any that don't
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Count the days an invoice is past its due date
+ * @param {Object} invoice Harvest invoice
+ * @param {Date} now The current time
+ * @returns {number} Whole days overdue (0 if it isn't due yet or has no due date)
+ */
+function getDaysOverdue(invoice, now) {
+  if (!invoice.due_date) {
+    return 0;
+  }
+
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.max(0, Math.round((today - Date.parse(`${invoice.due_date}T00:00:00Z`)) / DAY_MS));
+}
+
+/**
+ * Get the aging bucket for a number of days overdue
+ * @param {number} daysOverdue Days overdue
+ * @returns {string} One of AGING_BUCKETS
+ */
+function getAgingBucket(daysOverdue) {
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return '1-30';
+  if (daysOverdue <= 60) return '31-60';
+  return '60+';
+}
+
+/**
+ * Get the reminder stage an invoice is due for
+ *
+ * Only the latest stage it has reached fires: an invoice first seen at 45
+ * days overdue gets the firm reminder, not the friendly one as well.
+ * @param {number} daysOverdue Days overdue
+ * @param {Array<string>} sentStages Stages already drafted for the invoice
+ * @returns {string|null} The stage, or null if none is due
+ */
+function getDueStage(daysOverdue, sentStages) {
+  const reached = DUNNING_STAGES.filter(({ minDaysOverdue }) => daysOverdue >= minDaysOverdue);
+  if (reached.length === 0) {
+    return null;
+  }
+
+  const latest = reached[reached.length - 1].stage;
+  const latestIndex = DUNNING_STAGES.findIndex(({ stage }) => stage === latest);
+  const alreadySent = sentStages.some(stage => DUNNING_STAGES.findIndex(step => step.stage === stage) >= latestIndex);
+
+  return alreadySent ? null : latest;
+}
+
+/**
+ * Get who a client's invoice reminders go to
+ * @param {Object} [client] Client row ({ name, profile })
+ * @returns {Object|null} { name, email } from profile.billing_email / profile.email and
+ *   profile.billing_contact / profile.contact_name, or null without an email address
+ */
+function getBillingContact(client) {
+  const profile = (client && client.profile) || {};
+  const email = profile.billing_email || profile.email;
+
+  if (!email || !String(email).includes('@')) {
+    return null;
+  }
+
+  return { name: profile.billing_contact || profile.contact_name || null, email };
+}
+
+/**
+ * Format an amount in the invoice's currency
+ * @param {number} amount The amount
+ * @param {string} [currency] ISO currency code
+ * @returns {string} e.g. '$1,200.00'
+ */
+function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || DEFAULT_CURRENCY }).format(amount);
+  } catch (error) {
+    // Unknown currency codes
+    return `${amount} ${currency}`;
+  }
+}
+
+/**
+ * Draft the reminder for one invoice
+ * @param {Object} invoice Harvest invoice
+ * @param {string} stage The reminder stage
+ * @param {Object} options Options
+ * @param {Object} options.client Client row
+ * @param {Object} options.contact Billing contact ({ name, email })
+ * @param {Object} [options.template] Library template for the stage
+ * @returns {Object} Suggested message ({ recipient, subject, message, service, client, invoice_id, invoice_number, dunning_stage })
+ */
+function draftReminder(invoice, stage, { client, contact, template }) {
+  const rendered = renderTemplate(template || DUNNING_TEMPLATES[stage], buildTemplateVariables({
+    client,
+    item: invoice,
+    source: 'harvest',
+    recipient: contact.name || client.name,
+    variables: { amount: formatAmount(invoice.due_amount, invoice.currency) }
+  }));
+
+  return {
+    recipient: contact.email,
+    subject: rendered.subject,
+    message: rendered.body,
+    service: 'email',
+    client: client.name,
+    invoice_id: invoice.id,
+    invoice_number: invoice.number,
+    dunning_stage: stage,
+    ...(template ? { template_id: template.id } : {})
+  };
+}
+
+/**
+ * Bucket open invoices by days overdue, per client, and draft the reminders that are due
+ * @param {Array} invoices Open Harvest invoices
+ * @param {Object} [options] Options
+ * @param {Array} [options.clients] Client rows ({ name, profile }), matched to Harvest clients by name
+ * @param {Map} [options.sentStages] Stages already drafted, keyed by invoice ID
+ * @param {Object} [options.templates] Library templates keyed by stage
+ * @param {Date} [options.now] The current time
+ * @returns {Object} { as_of, totals, clients }; totals is keyed by currency, each with the buckets and total.
+ *   Each client has { client_id, client_name, contact, total_due, buckets, oldest_days_overdue, invoices,
+ *   reminders, missing_contact }, with total_due and buckets keyed by currency; most overdue first
+ */
+function buildAgingReport(invoices, { clients = [], sentStages = new Map(), templates = {}, now = new Date() } = {}) {
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+  const clientsByName = new Map(clients.map(client => [client.name.toLowerCase(), client]));
+  const totals = {};
+  const byClient = new Map();
+
+  for (const invoice of invoices) {
+    if (!(invoice.due_amount > 0)) {
+      continue;
+    }
+
+    const harvestClient = invoice.client || {};
+    if (!byClient.has(harvestClient.id)) {
+      const client = clientsByName.get(String(harvestClient.name || '').toLowerCase());
+      byClient.set(harvestClient.id, {
+        client_id: harvestClient.id,
+        client_name: harvestClient.name,
+        contact: getBillingContact(client),
+        client: client || { name: harvestClient.name, profile: {} },
+        total_due: {},
+        buckets: {},
+        oldest_days_overdue: 0,
+        invoices: [],
+        reminders: [],
+        missing_contact: false
+      });
+    }
+    const entry = byClient.get(harvestClient.id);
+
+    const daysOverdue = getDaysOverdue(invoice, now);
+    const bucket = getAgingBucket(daysOverdue);
+    const sent = sentStages.get(invoice.id) || [];
+    const stage = getDueStage(daysOverdue, sent);
+
+    // Amounts in different currencies can't be added together
+    const currency = invoice.currency || DEFAULT_CURRENCY;
+    entry.total_due[currency] = (entry.total_due[currency] || 0) + invoice.due_amount;
+    entry.buckets[currency] = entry.buckets[currency] || emptyBuckets();
+    entry.buckets[currency][bucket] += invoice.due_amount;
+    entry.oldest_days_overdue = Math.max(entry.oldest_days_overdue, daysOverdue);
+    totals[currency] = totals[currency] || { ...emptyBuckets(), total: 0 };
+    totals[currency][bucket] += invoice.due_amount;
+    totals[currency].total += invoice.due_amount;
+
+    entry.invoices.push({
+      id: invoice.id,
+      number: invoice.number,
+      subject: invoice.subject || null,
+      due_amount: invoice.due_amount,
+      currency: invoice.currency || null,
+      due_date: invoice.due_date || null,
+      days_overdue: daysOverdue,
+      bucket,
+      reminders_sent: sent
+    });
+
+    if (stage && entry.contact) {
+      entry.reminders.push(draftReminder(invoice, stage, { client: entry.client, contact: entry.contact, template: templates[stage] }));
+    } else if (stage) {
+      entry.missing_contact = true;
+    }
+  }
+
+  return {
+    as_of: new Date(now).toISOString().split('T')[0],
+    totals,
+    clients: [...byClient.values()]
+      .map(({ client, ...entry }) => entry)
+      .sort((a, b) => b.oldest_days_overdue - a.oldest_days_overdue || b.invoices.length - a.invoices.length)
+  };
+}
+
+/**
+ * Download open invoices and build the aging report
+ * @returns {Promise<Object>} See buildAgingReport
+ */
+async function getAgingReport() {
+  const invoices = await harvestGetAllPages('/invoices', { state: 'open' }, 'invoices');
+  const clientNames = [...new Set(invoices.map(invoice => invoice.client && invoice.client.name).filter(Boolean))];
+
+  const [{ clients }, sentStages, libraryTemplates] = await Promise.all([
+    contextStore.getRelevantClientContext(clientNames.map(name => ({ client_details: { name } }))),
+    invoiceReminderStore.getSentStages(invoices.map(invoice => invoice.id)),
+    templateStore.listTemplates({ service: 'email', enabledOnly: true })
+  ]);
+
+  const templates = {};
+  for (const { stage } of DUNNING_STAGES) {
+    const template = libraryTemplates.find(candidate => candidate.category === `dunning_${stage}`);
+    if (template) {
+      templates[stage] = template;
+    }
+  }
+
+  return buildAgingReport(invoices, { clients, sentStages, templates });
+}
+
+/**
+ * Get the reminder drafts from an aging report's clients
+ * @param {Array} agingClients The report's clients
+ * @returns {Array} Suggested messages
+ */
+function getReminders(agingClients) {
+  return agingClients.flatMap(client => client.reminders || []);
+}
+
+/**
+ * Get action items for clients whose reminders couldn't be drafted
+ * @param {Array} agingClients The report's clients
+ * @returns {Array<string>} Action items
+ */
+function getMissingContactActions(agingClients) {
+  return agingClients
+    .filter(client => client.missing_contact)
+    .map(client => `Add a billing_email to the ${client.client_name} client profile so its overdue invoice reminders can be drafted`);
+}
+
+/**
+ * Claim the reminder stages an aging report drafted, before a summary suggests them
+ *
+ * A reminder another run claimed first is dropped, so only one summary
+ * carries it.
+ * @param {Array} agingClients The report's clients
+ * @returns {Promise<Array>} The clients with only the reminders this run claimed
+ *   (all of them without the invoice_reminders table)
+ */
+async function claimReminders(agingClients) {
+  const claimed = await invoiceReminderStore.claimReminders(getReminders(agingClients));
+  if (!claimed) {
+    return agingClients;
+  }
+
+  const claimedKeys = new Set(claimed.map(row => `${row.invoice_id}:${row.stage}`));
+  return agingClients.map(client => ({
+    ...client,
+    reminders: (client.reminders || []).filter(reminder => claimedKeys.has(`${reminder.invoice_id}:${reminder.dunning_stage}`))
+  }));
+}
+
+/**
+ * Link the claimed reminder stages to the summary that suggests them
+ * @param {Array} agingClients The report's clients, as returned by claimReminders
+ * @param {string} summaryId The summary the reminders were suggested in
+ * @returns {Promise<boolean>} Whether they were linked
+ */
+function linkReminders(agingClients, summaryId) {
+  return invoiceReminderStore.linkReminders(getReminders(agingClients), summaryId);
+}
+
+/**
+ * Free the claimed reminder stages, e.g. when no summary was stored to carry them
+ * @param {Array} agingClients The report's clients, as returned by claimReminders
+ * @returns {Promise<boolean>} Whether they were freed
+ */
+function releaseReminders(agingClients) {
+  return invoiceReminderStore.releaseReminders(getReminders(agingClients));
+}
+
+/**
+ * Free a rejected reminder draft's stage so a later run drafts it again
+ * @param {Object} [suggestion] The rejected suggested message
+ * @returns {Promise<boolean>} Whether a reminder stage was freed (false for other suggestions)
+ */
+async function releaseRejectedReminder(suggestion) {
+  if (!suggestion || !suggestion.invoice_id || !suggestion.dunning_stage) {
+    return false;
+  }
+
+  return invoiceReminderStore.releaseReminders([suggestion]);
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  DUNNING_STAGES,
+  getDueStage,
+  buildAgingReport,
+  getAgingReport,
+  getReminders,
+  getMissingContactActions,
+  claimReminders,
+  linkReminders,
+  releaseReminders,
+  releaseRejectedReminder
+};
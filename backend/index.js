@@ -4,6 +4,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const { createClient } = require('@supabase/supabase-js');
+const { startJobWorker, startScheduler, startOutbox } = require('./jobs');
+const { findUserByToken, isApproverRoute } = require('./utils/approvers');
 
 // Initialize Express app
 const app = express();
@@ -17,6 +19,14 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
+
+// Slack signs the raw request body and can't send our token, so its webhooks
+// are mounted before JSON parsing and authentication
+const slackEventsRouter = require('./routes/slackEvents');
+const slackInteractivityRouter = require('./routes/slackInteractivity');
+app.use('/api/slack/events', slackEventsRouter);
+app.use('/api/slack/interactivity', slackInteractivityRouter);
+
 app.use(express.json()); // Parse JSON bodies
 app.use(morgan('dev')); // Logging
 
@@ -29,10 +39,18 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Authentication token required' });
   }
   
-  if (token !== process.env.ADMIN_ACCESS_TOKEN) {
+  // The admin token, or an approver's own token (see utils/approvers.js)
+  const user = findUserByToken(token);
+  if (!user) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
   
+  // Approvers can only work the approval queue, not change policies or anything else
+  if (!user.admin && !isApproverRoute(req.method, req.path)) {
+    return res.status(403).json({ error: 'This route needs the admin token' });
+  }
+  
+  req.user = user;
   next();
 };
 
@@ -48,6 +66,14 @@ const summarizeRouter = require('./routes/summarize');
 const clientsRouter = require('./routes/clients');
 const feedbackRouter = require('./routes/feedback');
 const replyRouter = require('./routes/reply');
+const usageRouter = require('./routes/usage');
+const promptsRouter = require('./routes/prompts');
+const experimentsRouter = require('./routes/experiments');
+const jobsRouter = require('./routes/jobs');
+const schedulesRouter = require('./routes/schedules');
+const digestRouter = require('./routes/digest');
+const approvalsRouter = require('./routes/approvals');
+const templatesRouter = require('./routes/templates');
 
 // Register routes
 app.use('/api/slack', fetchSlackRouter);
@@ -58,6 +84,14 @@ app.use('/api/summarize', summarizeRouter);
 app.use('/api/clients', clientsRouter);
 app.use('/api/feedback', feedbackRouter);
 app.use('/api/reply', replyRouter);
+app.use('/api/usage', usageRouter);
+app.use('/api/prompts', promptsRouter);
+app.use('/api/experiments', experimentsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/digest', digestRouter);
+app.use('/api/approvals', approvalsRouter);
+app.use('/api/templates', templatesRouter);
 
 // Root route
 app.get('/', (req, res) => {
@@ -81,6 +115,21 @@ app.use((req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Background jobs (e.g. POST /api/summarize runs) are processed in this process
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker();
+  }
+
+  // Recurring runs from the schedules table are queued as jobs
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+  }
+
+  // Approved replies wait in the outbox until their undo window or send time passes
+  if (process.env.REPLY_OUTBOX_ENABLED !== 'false') {
+    startOutbox();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const { deliverDigest } = require('../digest');
+
+/**
+ * Handler for 'digest' jobs, queued after a scheduled summarize run with send_digest
+ * @param {Object} payload { channels, lookbackHours }
+ * @returns {Promise<Object>} { deliveries, counts }
+ */
+async function runDigestJob({ channels, lookbackHours }) {
+  return deliverDigest({ channels, lookbackHours });
+}
+
+module.exports = runDigestJob;
@@ -0,0 +1,13 @@
+const worker = require('./worker');
+const scheduler = require('./scheduler');
+const outbox = require('./outbox');
+
+// Every background job type registers its handler here
+worker.registerJobHandler('summarize', require('./summarize'));
+worker.registerJobHandler('digest', require('./digest'));
+
+module.exports = {
+  ...worker,
+  ...scheduler,
+  ...outbox
+};
@@ -0,0 +1,51 @@
+const { sendDueReplies } = require('../dispatchers/outbox');
+const { recoverStaleSends } = require('../dispatchers');
+const logger = require('../utils/logger');
+
+const DEFAULT_TICK_INTERVAL_MS = 5 * 1000;
+
+/**
+ * Start sending scheduled replies as they come due, and settle any whose send was interrupted
+ * @param {Object} [options] Options
+ * @param {number} [options.tickIntervalMs] Wait between checks (REPLY_OUTBOX_TICK_MS, default 5 seconds)
+ * @returns {Object} { stop }
+ */
+function startOutbox({ tickIntervalMs } = {}) {
+  const interval = tickIntervalMs || parseInt(process.env.REPLY_OUTBOX_TICK_MS) || DEFAULT_TICK_INTERVAL_MS;
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const recovered = await recoverStaleSends();
+      if (recovered.sent || recovered.failed) {
+        logger.info(`Outbox recovered ${recovered.sent + recovered.failed} interrupted replies: ${recovered.sent} sent, ${recovered.failed} failed`);
+      }
+
+      const { sent, failed } = await sendDueReplies();
+      if (sent || failed) {
+        logger.info(`Outbox sent ${sent} replies, ${failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Error in reply outbox:', error);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(tick, interval);
+    }
+  };
+
+  logger.info(`Reply outbox started (checking every ${interval}ms)`);
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  startOutbox
+};
@@ -0,0 +1,126 @@
+const { EventEmitter } = require('events');
+const jobQueue = require('../memory/jobQueue');
+const { openEventStream } = require('../utils/sse');
+const logger = require('../utils/logger');
+
+/**
+ * Live progress of running jobs, for streaming to the dashboard
+ *
+ * Events only reach listeners in the process that runs the job, so
+ * GET /api/jobs/:id/events also reads the job's stored result once it has
+ * finished.
+ */
+const emitter = new EventEmitter();
+// One listener per open dashboard stream
+emitter.setMaxListeners(0);
+
+// How often an event stream re-reads the job, to notice it finishing in another process
+const EVENTS_POLL_INTERVAL_MS = 2 * 1000;
+
+const FINISHED_STATUSES = [jobQueue.JOB_STATUS.SUCCEEDED, jobQueue.JOB_STATUS.FAILED];
+
+/**
+ * Report progress for a job
+ * @param {string} jobId The job ID
+ * @param {string} event The event name, e.g. 'fetching' or 'summary'
+ * @param {Object} data The event data
+ */
+function publishJobEvent(jobId, event, data) {
+  emitter.emit(jobId, event, data);
+}
+
+/**
+ * Listen for a job's progress
+ * @param {string} jobId The job ID
+ * @param {Function} listener Called with (event, data)
+ * @returns {Function} Stops listening
+ */
+function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+/**
+ * Stream a job's progress as Server-Sent Events until it finishes
+ *
+ * Closing the stream only stops the updates; the job keeps running.
+ * @param {Object} res Express response
+ * @param {Object} job The job
+ * @returns {Promise<void>} Resolves once the stream is closed
+ */
+async function streamJobProgress(res, job) {
+  const stream = openEventStream(res);
+  // Sources already streamed live, so they aren't sent again from the stored result
+  const streamed = new Set();
+  const unsubscribe = subscribeToJob(job.id, (event, data) => {
+    if (event === 'summary' || event === 'service_error') {
+      streamed.add(data.source);
+    }
+    stream.send(event, data);
+  });
+
+  try {
+    let status = null;
+
+    while (!stream.isClosed()) {
+      if (job.status !== status) {
+        status = job.status;
+        stream.send('status', { status, attempts: job.attempts });
+      }
+
+      if (FINISHED_STATUSES.includes(job.status)) {
+        sendJobResult(stream, job, streamed);
+        break;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, EVENTS_POLL_INTERVAL_MS));
+      job = (await jobQueue.getJob(job.id)) || job;
+    }
+  } catch (error) {
+    logger.error(`Error streaming job ${job.id}:`, error);
+    stream.send('error', {
+      error: 'Failed to fetch job',
+      details: error.message
+    });
+  } finally {
+    unsubscribe();
+    stream.close();
+  }
+}
+
+/**
+ * Send the end of a finished job's event stream
+ *
+ * Summaries and errors that weren't streamed live, e.g. because another
+ * process ran the job, are sent from the job's result first.
+ * @param {Object} stream The event stream
+ * @param {Object} job The finished job
+ * @param {Set} streamed Sources already streamed
+ */
+function sendJobResult(stream, job, streamed) {
+  if (job.status === jobQueue.JOB_STATUS.FAILED) {
+    stream.send('error', {
+      error: 'Job failed',
+      details: job.last_error
+    });
+    return;
+  }
+
+  const { results = {}, errors } = job.result || {};
+
+  Object.entries(results)
+    .filter(([source, result]) => result && result.success && !streamed.has(source))
+    .forEach(([source, result]) => stream.send('summary', { source, ...result }));
+
+  (errors || [])
+    .filter(entry => !streamed.has(entry.source))
+    .forEach(entry => stream.send('service_error', entry));
+
+  stream.send('done', { errors });
+}
+
+module.exports = {
+  publishJobEvent,
+  subscribeToJob,
+  streamJobProgress
+};
@@ -0,0 +1,119 @@
+const jobQueue = require('../memory/jobQueue');
+const scheduleStore = require('../memory/scheduleStore');
+const logger = require('../utils/logger');
+
+const DEFAULT_TICK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Queue a summarize job for a schedule and record it in the run history
+ * @param {Object} schedule The schedule
+ * @param {Object} [options] Options
+ * @param {string} [options.trigger] 'schedule' or 'manual' (default: 'schedule')
+ * @param {string} [options.scheduledFor] The cron time the run was due
+ * @returns {Promise<Object>} { run, job }
+ */
+async function triggerSchedule(schedule, { trigger = 'schedule', scheduledFor = null } = {}) {
+  try {
+    const job = await jobQueue.enqueue('summarize', {
+      services: schedule.services,
+      days: schedule.days || undefined,
+      incremental: schedule.incremental !== false,
+      combine: Boolean(schedule.combine),
+      digest: Boolean(schedule.send_digest),
+      schedule_id: schedule.id
+    });
+
+    const run = await scheduleStore.recordRun({
+      schedule_id: schedule.id,
+      job_id: job.id,
+      trigger,
+      scheduled_for: scheduledFor
+    });
+
+    logger.info(`Schedule ${schedule.id} (${schedule.name}) queued job ${job.id}`);
+    return { run, job };
+  } catch (error) {
+    logger.error(`Error triggering schedule ${schedule.id}:`, error);
+    await scheduleStore.recordRun({
+      schedule_id: schedule.id,
+      trigger,
+      scheduled_for: scheduledFor,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Queue jobs for every schedule that is due
+ *
+ * Runs missed while the server was down fire once, then the schedule moves
+ * on from the current time rather than catching up.
+ * @param {Date} [now] The current time
+ * @returns {Promise<number>} Number of schedules triggered
+ */
+async function runDueSchedules(now = new Date()) {
+  const dueSchedules = await scheduleStore.getDueSchedules(now);
+  let triggered = 0;
+
+  for (const schedule of dueSchedules) {
+    try {
+      const claimed = await scheduleStore.claimDueRun(schedule, now);
+      if (!claimed) {
+        continue;
+      }
+
+      // A schedule that has never been scheduled just gets its first run time
+      if (!schedule.next_run_at) {
+        continue;
+      }
+
+      await triggerSchedule(schedule, { scheduledFor: schedule.next_run_at });
+      triggered++;
+    } catch (error) {
+      logger.error(`Error running schedule ${schedule.id}:`, error);
+    }
+  }
+
+  return triggered;
+}
+
+/**
+ * Start checking for due schedules
+ * @param {Object} [options] Options
+ * @param {number} [options.tickIntervalMs] Wait between checks (SCHEDULER_TICK_MS, default 1 minute)
+ * @returns {Object} { stop }
+ */
+function startScheduler({ tickIntervalMs } = {}) {
+  const interval = tickIntervalMs || parseInt(process.env.SCHEDULER_TICK_MS) || DEFAULT_TICK_INTERVAL_MS;
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      await runDueSchedules();
+    } catch (error) {
+      logger.error('Error in scheduler:', error);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(tick, interval);
+    }
+  };
+
+  logger.info(`Scheduler started (checking every ${interval}ms)`);
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  triggerSchedule,
+  runDueSchedules,
+  startScheduler
+};
@@ -0,0 +1,46 @@
+const { runSummarize, internalApiContext } = require('../pipeline');
+const jobQueue = require('../memory/jobQueue');
+const { publishJobEvent } = require('./progress');
+
+/**
+ * Handler for 'summarize' jobs queued by POST /api/summarize and by schedules
+ *
+ * Partial results count as success; the job only fails (and is retried) when
+ * no service produced a summary. With `digest` set, a digest job is queued
+ * once the summaries are stored. Progress is published for
+ * GET /api/jobs/:id/events as the services run.
+ * @param {Object} payload { services, days, incremental, concurrency, combine, digest }
+ * @param {Object} [job] The running job
+ * @returns {Promise<Object>} { results, errors, digest_job_id }
+ */
+async function runSummarizeJob({ services, days, incremental = true, concurrency, combine = true, digest = false }, job = {}) {
+  const publish = (event, data) => job.id && publishJobEvent(job.id, event, data);
+
+  publish('start', { services, attempt: job.attempts });
+
+  const { results, errors } = await runSummarize(services, {
+    api: internalApiContext(),
+    days,
+    incremental,
+    concurrency,
+    combine,
+    onProgress: event => publish(event.type, event),
+    onSourceComplete: (source, result) => publish('summary', { source, ...result }),
+    onSourceError: (source, entry) => publish('service_error', entry)
+  });
+
+  if (!Object.values(results).some(result => result.success)) {
+    throw new Error(`All services failed: ${errors.map(entry => `${entry.source}: ${entry.message}`).join('; ')}`);
+  }
+
+  // Delivered as its own job so a delivery failure retries without re-summarizing
+  const digestJob = digest ? await jobQueue.enqueue('digest', {}) : null;
+
+  return {
+    results,
+    errors: errors.length > 0 ? errors : undefined,
+    digest_job_id: digestJob ? digestJob.id : undefined
+  };
+}
+
+module.exports = runSummarizeJob;
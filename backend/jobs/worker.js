@@ -0,0 +1,107 @@
+const jobQueue = require('../memory/jobQueue');
+const logger = require('../utils/logger');
+
+// Handlers by job type: async (payload, job) => result
+const handlers = new Map();
+
+const DEFAULT_POLL_INTERVAL_MS = 5 * 1000;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type The job type
+ * @param {Function} handler Async function called with (payload, job); its return value is stored as the job result
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Claim and run the next due job
+ * @returns {Promise<boolean>} True if a job was run
+ */
+async function processNextJob() {
+  const job = await jobQueue.claimNext();
+  if (!job) {
+    return false;
+  }
+
+  // Claimed again after its worker died on the last allowed attempt
+  if (job.attempts > job.max_attempts) {
+    await jobQueue.failJob({ ...job, attempts: job.max_attempts }, new Error('Worker stopped before the job finished'));
+    return true;
+  }
+
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await jobQueue.failJob({ ...job, attempts: job.max_attempts }, new Error(`No handler for job type: ${job.type}`));
+    return true;
+  }
+
+  logger.info(`Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  // Keep the lock fresh while the handler runs, so a long run isn't claimed by another worker as stale
+  const heartbeat = setInterval(() => {
+    jobQueue.heartbeat(job.id)
+      .then(held => {
+        if (!held) {
+          logger.warn(`${job.type} job ${job.id} is no longer locked by this worker`);
+        }
+      })
+      .catch(error => logger.error(`Error in heartbeat for job ${job.id}:`, error));
+  }, jobQueue.HEARTBEAT_INTERVAL_MS);
+
+  try {
+    const result = await handler(job.payload || {}, job);
+    await jobQueue.completeJob(job.id, result);
+    logger.info(`${job.type} job ${job.id} succeeded`);
+  } catch (error) {
+    await jobQueue.failJob(job, error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  return true;
+}
+
+/**
+ * Start polling the queue, running one job at a time
+ * @param {Object} [options] Options
+ * @param {number} [options.pollIntervalMs] Wait between polls when the queue is empty (JOB_POLL_INTERVAL_MS)
+ * @returns {Object} { stop }
+ */
+function startJobWorker({ pollIntervalMs } = {}) {
+  const interval = pollIntervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  let timer = null;
+  let stopped = false;
+
+  const poll = async () => {
+    let ranJob = false;
+
+    try {
+      ranJob = await processNextJob();
+    } catch (error) {
+      logger.error('Error in job worker:', error);
+    }
+
+    if (!stopped) {
+      // Drain the queue before going back to sleep
+      timer = setTimeout(poll, ranJob ? 0 : interval);
+    }
+  };
+
+  logger.info(`Job worker started (polling every ${interval}ms)`);
+  timer = setTimeout(poll, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  registerJobHandler,
+  processNextJob,
+  startJobWorker
+};
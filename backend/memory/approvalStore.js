@@ -0,0 +1,245 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-approval-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for approval store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for approval store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      delete: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Columns a caller may set on a policy
+const EDITABLE_FIELDS = ['name', 'description', 'services', 'client_tags', 'keywords', 'required_approvals', 'required_role', 'enabled'];
+
+// What an approver decided about a reply
+const DECISION = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Pick the editable columns out of a request body
+ * @param {Object} fields Policy fields
+ * @returns {Object} Only the editable fields that were given
+ */
+function pickEditable(fields) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+  );
+}
+
+/**
+ * Approval Store module for approval policies and the decisions recorded against replies
+ */
+const approvalStore = {
+  /**
+   * List approval policies
+   * @param {Object} [filters] Filters
+   * @param {boolean} [filters.enabledOnly] Only enabled policies
+   * @returns {Promise<Array>} Policies, oldest first
+   */
+  async listPolicies({ enabledOnly = false } = {}) {
+    let query = supabase
+      .from('approval_policies')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (enabledOnly) {
+      query = query.eq('enabled', true);
+    }
+
+    const { data: policies, error } = await query;
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('approval_policies table not found, replies need no approval');
+        return [];
+      }
+      logger.error('Error fetching approval policies:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return policies || [];
+  },
+
+  /**
+   * Get a policy by ID
+   * @param {string} id The policy ID
+   * @returns {Promise<Object|null>} The policy or null if not found
+   */
+  async getPolicy(id) {
+    const { data: policy, error } = await supabase
+      .from('approval_policies')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching approval policy ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return policy;
+  },
+
+  /**
+   * Create a policy
+   * @param {Object} fields { name, description, services, client_tags, keywords, required_approvals, required_role, enabled }
+   * @returns {Promise<Object>} The created policy
+   */
+  async createPolicy(fields) {
+    const now = new Date().toISOString();
+
+    const { data: created, error } = await supabase
+      .from('approval_policies')
+      .insert({
+        ...pickEditable(fields),
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error creating approval policy:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    logger.info(`Created approval policy ${created.id} (${created.name})`);
+    return created;
+  },
+
+  /**
+   * Update a policy
+   * @param {string} id The policy ID
+   * @param {Object} fields Fields to change
+   * @returns {Promise<Object|null>} The updated policy or null if not found
+   */
+  async updatePolicy(id, fields) {
+    const { data: updated, error } = await supabase
+      .from('approval_policies')
+      .update({
+        ...pickEditable(fields),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error updating approval policy ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Delete a policy; replies already waiting keep the steps they were given
+   * @param {string} id The policy ID
+   * @returns {Promise<boolean>} Whether a policy was deleted
+   */
+  async deletePolicy(id) {
+    const { data: deleted, error } = await supabase
+      .from('approval_policies')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      logger.error(`Error deleting approval policy ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return Boolean(deleted && deleted.length > 0);
+  },
+
+  /**
+   * Record an approver's decision on a reply
+   * @param {string} replyId The reply ID
+   * @param {Object} decision { approver, roles, decision, comment }
+   * @returns {Promise<Object|null>} The recorded decision, or null if this approver already decided
+   */
+  async recordDecision(replyId, { approver, roles, decision, comment }) {
+    const { data: recorded, error } = await supabase
+      .from('reply_approvals')
+      .insert({
+        reply_id: replyId,
+        approver,
+        roles: roles || [],
+        decision,
+        comment: comment || null,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // unique (reply_id, approver)
+      if (error.code === '23505') {
+        return null;
+      }
+      logger.error(`Error recording ${decision} for reply ${replyId}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return recorded;
+  },
+
+  /**
+   * Get the decisions recorded against replies
+   * @param {Array<string>} replyIds Reply IDs
+   * @returns {Promise<Array>} Decisions, oldest first
+   */
+  async getDecisions(replyIds) {
+    if (replyIds.length === 0) {
+      return [];
+    }
+
+    const { data: decisions, error } = await supabase
+      .from('reply_approvals')
+      .select('*')
+      .in('reply_id', replyIds)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Error fetching reply approvals:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return decisions || [];
+  }
+};
+
+approvalStore.DECISION = DECISION;
+
+module.exports = approvalStore;
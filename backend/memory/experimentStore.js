@@ -0,0 +1,423 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const promptRegistry = require('./promptRegistry');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-experiment-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for experiment store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for experiment store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      in: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Experiment lifecycle
+const EXPERIMENT_STATUS = {
+  RUNNING: 'running',
+  STOPPED: 'stopped',
+  PROMOTED: 'promoted'
+};
+
+// Ratings a variant needs before it can be called the leader
+const MIN_RATINGS_FOR_LEADER = parseInt(process.env.EXPERIMENT_MIN_RATINGS) || 20;
+
+// Supabase returns at most this many rows per select
+const PAGE_SIZE = 1000;
+// Summary IDs per feedback query, so the request URL stays short
+const ID_BATCH_SIZE = 100;
+
+// Cache for running experiments so summarize calls don't query on every request
+const runningExperimentCache = {
+  experiments: {},
+  ttl: 60 * 1000 // 1 minute
+};
+
+/**
+ * Pick a variant at random, weighted by each variant's weight
+ * @param {Array<Object>} variants The experiment variants
+ * @returns {Object} The chosen variant
+ */
+function pickVariant(variants) {
+  const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
+  let roll = Math.random() * totalWeight;
+
+  for (const variant of variants) {
+    roll -= variant.weight || 1;
+    if (roll < 0) {
+      return variant;
+    }
+  }
+
+  return variants[variants.length - 1];
+}
+
+/**
+ * Calculate approval, edit and rejection rates from feedback ratings
+ * @param {Array<Object>} feedback Feedback rows
+ * @returns {Object} Counts and rates, as in feedbackHandler.getFeedbackStats
+ */
+function calculateRates(feedback) {
+  const approved = feedback.filter(f => f.rating === 'approved').length;
+  const edited = feedback.filter(f => f.rating === 'edited').length;
+  const rejected = feedback.filter(f => f.rating === 'rejected').length;
+  const total = feedback.length;
+
+  return {
+    total,
+    approved,
+    edited,
+    rejected,
+    approvalRate: total > 0 ? (approved / total) * 100 : 0,
+    editRate: total > 0 ? (edited / total) * 100 : 0,
+    rejectionRate: total > 0 ? (rejected / total) * 100 : 0
+  };
+}
+
+/**
+ * Experiment Store module for A/B testing prompt versions against feedback outcomes
+ */
+/**
+ * Read every row a query matches, page by page
+ * @param {Function} buildQuery Returns a fresh query, ordered by a unique column so pages don't overlap
+ * @returns {Promise<Object>} { rows, error }
+ */
+async function selectAllPages(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: page, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      return { rows: null, error };
+    }
+
+    rows.push(...(page || []));
+
+    if (!page || page.length < PAGE_SIZE) {
+      return { rows, error: null };
+    }
+  }
+}
+
+const experimentStore = {
+  /**
+   * Choose the prompt for a summarize call
+   *
+   * If an experiment is running for the prompt, one of its variants is picked
+   * at random; otherwise the active version is used.
+   * @param {string} name The prompt name (e.g. 'slack-summary')
+   * @returns {Promise<Object>} { id, name, version, template, experiment: { id, variant } | null }
+   */
+  async assignPrompt(name) {
+    const experiment = await this.getRunningExperiment(name);
+
+    if (experiment) {
+      const variant = pickVariant(experiment.variants);
+
+      try {
+        const prompt = await promptRegistry.getPromptVersion(name, variant.version);
+
+        if (prompt) {
+          logger.debug(`Experiment ${experiment.id} assigned ${name} variant ${variant.key} (version ${variant.version})`);
+          return {
+            ...prompt,
+            experiment: { id: experiment.id, variant: variant.key }
+          };
+        }
+
+        logger.warn(`Experiment ${experiment.id} references missing ${name} version ${variant.version}`);
+      } catch (error) {
+        logger.error(`Error loading variant ${variant.key} of experiment ${experiment.id}:`, error);
+      }
+    }
+
+    return {
+      ...await promptRegistry.getActivePrompt(name),
+      experiment: null
+    };
+  },
+
+  /**
+   * Get the running experiment for a prompt
+   * @param {string} name The prompt name
+   * @returns {Promise<Object|null>} The experiment or null if none is running
+   */
+  async getRunningExperiment(name) {
+    const cached = runningExperimentCache.experiments[name];
+    if (cached && Date.now() - cached.lastUpdated < runningExperimentCache.ttl) {
+      return cached.experiment;
+    }
+
+    try {
+      const { data: experiment, error } = await supabase
+        .from('prompt_experiments')
+        .select('*')
+        .eq('prompt_name', name)
+        .eq('status', EXPERIMENT_STATUS.RUNNING)
+        .maybeSingle();
+
+      if (error) {
+        if (error.code === '42P01') {
+          logger.warn('prompt_experiments table does not exist. Skipping experiments.');
+        } else {
+          logger.error(`Error fetching running experiment for ${name}:`, error);
+        }
+        return null;
+      }
+
+      runningExperimentCache.experiments[name] = { experiment, lastUpdated: Date.now() };
+      return experiment;
+    } catch (error) {
+      logger.error(`Error in getRunningExperiment for ${name}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * List experiments, newest first
+   * @returns {Promise<Array>} Experiments
+   */
+  async listExperiments() {
+    const { data: experiments, error } = await supabase
+      .from('prompt_experiments')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Error fetching experiments:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return experiments || [];
+  },
+
+  /**
+   * Get an experiment by ID
+   * @param {string} id The experiment ID
+   * @returns {Promise<Object|null>} The experiment or null if not found
+   */
+  async getExperiment(id) {
+    const { data: experiment, error } = await supabase
+      .from('prompt_experiments')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching experiment ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return experiment;
+  },
+
+  /**
+   * Start an experiment, stopping any experiment already running for the prompt
+   * @param {string} name The prompt name
+   * @param {Array<Object>} variants Variants ({ key, version, weight }); keys default to A, B, C...
+   * @param {string} [description] What the experiment tests
+   * @returns {Promise<Object>} The created experiment
+   */
+  async createExperiment(name, variants, description = null) {
+    const normalizedVariants = variants.map((variant, index) => ({
+      key: String(variant.key || String.fromCharCode(65 + index)),
+      version: parseInt(variant.version),
+      weight: Number(variant.weight) > 0 ? Number(variant.weight) : 1
+    }));
+
+    // Every variant must point at an existing prompt version
+    for (const variant of normalizedVariants) {
+      if (!await promptRegistry.getPromptVersion(name, variant.version)) {
+        throw new Error(`Prompt ${name} has no version ${variant.version}`);
+      }
+    }
+
+    const running = await this.getRunningExperiment(name);
+    if (running) {
+      await this.stopExperiment(running.id);
+    }
+
+    const { data: experiment, error } = await supabase
+      .from('prompt_experiments')
+      .insert({
+        prompt_name: name,
+        description,
+        variants: normalizedVariants,
+        status: EXPERIMENT_STATUS.RUNNING,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error creating experiment for ${name}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    delete runningExperimentCache.experiments[name];
+    logger.info(`Started experiment ${experiment.id} for ${name} with variants ${normalizedVariants.map(variant => variant.key).join(', ')}`);
+
+    return experiment;
+  },
+
+  /**
+   * Stop an experiment without changing the active prompt
+   * @param {string} id The experiment ID
+   * @returns {Promise<Object|null>} The updated experiment or null if not found
+   */
+  async stopExperiment(id) {
+    return this.endExperiment(id, { status: EXPERIMENT_STATUS.STOPPED });
+  },
+
+  /**
+   * Promote a variant: activate its prompt version and end the experiment
+   * @param {string} id The experiment ID
+   * @param {string} variantKey The winning variant
+   * @returns {Promise<Object|null>} The updated experiment or null if not found
+   */
+  async promoteVariant(id, variantKey) {
+    const experiment = await this.getExperiment(id);
+    if (!experiment) {
+      return null;
+    }
+
+    const variant = experiment.variants.find(v => v.key === variantKey);
+    if (!variant) {
+      throw new Error(`Experiment ${id} has no variant ${variantKey}`);
+    }
+
+    await promptRegistry.activatePromptVersion(experiment.prompt_name, variant.version);
+
+    return this.endExperiment(id, {
+      status: EXPERIMENT_STATUS.PROMOTED,
+      winner: variant.key
+    });
+  },
+
+  /**
+   * Mark an experiment as ended
+   * @param {string} id The experiment ID
+   * @param {Object} updates Status (and winner) to store
+   * @returns {Promise<Object|null>} The updated experiment or null if not found
+   */
+  async endExperiment(id, updates) {
+    const { data: experiment, error } = await supabase
+      .from('prompt_experiments')
+      .update({
+        ...updates,
+        ended_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error ending experiment ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    if (experiment) {
+      delete runningExperimentCache.experiments[experiment.prompt_name];
+    }
+
+    return experiment;
+  },
+
+  /**
+   * Get approval, edit and rejection rates per variant
+   * @param {string} id The experiment ID
+   * @returns {Promise<Object|null>} Per-variant stats and the current leader, or null if not found
+   */
+  async getExperimentStats(id) {
+    const experiment = await this.getExperiment(id);
+    if (!experiment) {
+      return null;
+    }
+
+    const { rows: summaries, error: summariesError } = await selectAllPages(() => supabase
+      .from('summaries')
+      .select('id, experiment_variant')
+      .eq('experiment_id', id)
+      .order('id', { ascending: true }));
+
+    if (summariesError) {
+      logger.error(`Error fetching summaries for experiment ${id}:`, summariesError);
+      throw new Error(`Supabase error: ${summariesError.message}`);
+    }
+
+    const variantBySummary = {};
+    for (const summary of summaries) {
+      variantBySummary[summary.id] = summary.experiment_variant;
+    }
+
+    const feedback = [];
+    const summaryIds = Object.keys(variantBySummary);
+
+    for (let start = 0; start < summaryIds.length; start += ID_BATCH_SIZE) {
+      const batch = summaryIds.slice(start, start + ID_BATCH_SIZE);
+      const { rows, error: feedbackError } = await selectAllPages(() => supabase
+        .from('feedback')
+        .select('summary_id, rating')
+        .in('summary_id', batch)
+        .order('id', { ascending: true }));
+
+      if (feedbackError) {
+        logger.error(`Error fetching feedback for experiment ${id}:`, feedbackError);
+        throw new Error(`Supabase error: ${feedbackError.message}`);
+      }
+
+      feedback.push(...rows);
+    }
+
+    const variants = experiment.variants.map(variant => ({
+      key: variant.key,
+      version: variant.version,
+      weight: variant.weight,
+      summaries: summaries.filter(summary => summary.experiment_variant === variant.key).length,
+      ...calculateRates(feedback.filter(f => variantBySummary[f.summary_id] === variant.key))
+    }));
+
+    // Highest approval rate among variants with enough ratings to compare
+    const leader = variants
+      .filter(variant => variant.total >= MIN_RATINGS_FOR_LEADER)
+      .sort((a, b) => b.approvalRate - a.approvalRate || a.rejectionRate - b.rejectionRate)[0];
+
+    return {
+      experiment,
+      variants,
+      leader: leader ? leader.key : null,
+      minRatingsForLeader: MIN_RATINGS_FOR_LEADER
+    };
+  }
+};
+
+experimentStore.EXPERIMENT_STATUS = EXPERIMENT_STATUS;
+
+module.exports = experimentStore;
@@ -64,9 +64,11 @@ const feedbackHandler = {
    * @param {string} summaryId The ID of the summary
    * @param {string} rating The rating (approved, edited, rejected)
    * @param {string} comment Optional comment or edited text
+   * @param {string} [userId] Who gave it
+   * @param {number} [suggestionIndex] The suggested reply it is about, by position in suggested_messages
    * @returns {Promise<Object|null>} The stored feedback or null if failed
    */
-  async storeFeedback(summaryId, rating, comment = '', userId = null) {
+  async storeFeedback(summaryId, rating, comment = '', userId = null, suggestionIndex = null) {
     try {
       if (!summaryId) {
         logger.warn('storeFeedback called with null or undefined summaryId');
@@ -94,6 +96,10 @@ const feedbackHandler = {
         feedbackData.user_id = userId;
       }
       
+      if (Number.isInteger(suggestionIndex)) {
+        feedbackData.suggestion_index = suggestionIndex;
+      }
+      
       const { data: feedback, error } = await supabase
         .from('feedback')
         .insert([feedbackData])
@@ -122,6 +128,34 @@ const feedbackHandler = {
     }
   },
   
+  /**
+   * Delete a feedback entry, e.g. when the reply it approved is undone
+   * @param {string} feedbackId The feedback ID
+   * @returns {Promise<boolean>} Whether it was deleted
+   */
+  async deleteFeedback(feedbackId) {
+    try {
+      const { error } = await supabase
+        .from('feedback')
+        .delete()
+        .eq('id', feedbackId);
+      
+      if (error) {
+        logger.error(`Error deleting feedback ${feedbackId}:`, error);
+        return false;
+      }
+      
+      // The cached patterns may include it
+      feedbackPatternsCache.patterns = null;
+      
+      logger.debug(`Feedback ${feedbackId} deleted`);
+      return true;
+    } catch (error) {
+      logger.error(`Error in deleteFeedback for ${feedbackId}:`, error);
+      return false;
+    }
+  },
+  
   /**
    * Get feedback history for a summary
    * @param {string} summaryId The ID of the summary
@@ -155,6 +189,37 @@ const feedbackHandler = {
     }
   },
   
+  /**
+   * Find which suggested replies already have feedback
+   * @param {Array<string>} summaryIds Summary IDs to check
+   * @returns {Promise<Set<string>>} '<summaryId>-<index>' for each rated suggestion, and '<summaryId>'
+   *   for feedback on a whole summary (no suggestion_index), which covers all of its suggestions
+   */
+  async getReviewedSuggestions(summaryIds) {
+    try {
+      if (!summaryIds || summaryIds.length === 0) {
+        return new Set();
+      }
+      
+      const { data: feedback, error } = await supabase
+        .from('feedback')
+        .select('summary_id, suggestion_index')
+        .in('summary_id', summaryIds);
+      
+      if (error) {
+        logger.error('Error fetching feedback for summaries:', error);
+        return new Set();
+      }
+      
+      return new Set((feedback || []).map(f => (Number.isInteger(f.suggestion_index)
+        ? `${f.summary_id}-${f.suggestion_index}`
+        : f.summary_id)));
+    } catch (error) {
+      logger.error('Error in getReviewedSuggestions:', error);
+      return new Set();
+    }
+  },
+  
   /**
    * Get feedback statistics
    * @param {number} days Number of days to look back (default: 30)
@@ -0,0 +1,185 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-invoice-reminder-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for invoice reminder store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for invoice reminder store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      upsert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      delete: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      in: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// A claim whose run never stored a summary (it failed or the server restarted) is freed after this long
+const UNLINKED_CLAIM_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Invoice Reminder Store module for the dunning stages already drafted for
+ * each Harvest invoice
+ */
+const invoiceReminderStore = {
+  /**
+   * Get the reminder stages already drafted for invoices
+   * @param {Array<number>} invoiceIds Harvest invoice IDs
+   * @returns {Promise<Map>} Stages (e.g. ['friendly', 'firm']) keyed by invoice ID
+   */
+  async getSentStages(invoiceIds) {
+    const stages = new Map();
+    if (invoiceIds.length === 0) {
+      return stages;
+    }
+
+    const { data: reminders, error } = await supabase
+      .from('invoice_reminders')
+      .select('invoice_id, stage')
+      .in('invoice_id', invoiceIds);
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('invoice_reminders table not found, reminders are drafted on every run');
+        return stages;
+      }
+      logger.error('Error fetching invoice reminders:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    for (const reminder of reminders || []) {
+      stages.set(reminder.invoice_id, [...(stages.get(reminder.invoice_id) || []), reminder.stage]);
+    }
+
+    return stages;
+  },
+
+  /**
+   * Claim reminder stages before they are drafted into a summary
+   *
+   * Rows are inserted on the unique (invoice_id, stage) key, so when runs
+   * overlap each stage is claimed by only one of them. Claims left unlinked
+   * by a run that never stored its summary are freed first.
+   * @param {Array} reminders Drafted reminders ({ invoice_id, invoice_number, dunning_stage, client, recipient })
+   * @returns {Promise<Array|null>} The claimed rows ({ invoice_id, stage }), or null if the table doesn't exist
+   */
+  async claimReminders(reminders) {
+    if (reminders.length === 0) {
+      return [];
+    }
+
+    const { error: cleanupError } = await supabase
+      .from('invoice_reminders')
+      .delete()
+      .is('summary_id', null)
+      .lt('created_at', new Date(Date.now() - UNLINKED_CLAIM_TTL_MS).toISOString());
+
+    if (cleanupError) {
+      if (cleanupError.code === '42P01') {
+        logger.warn('invoice_reminders table not found, reminder stages are not remembered');
+        return null;
+      }
+      logger.error('Error freeing unlinked invoice reminder claims:', cleanupError);
+      throw new Error(`Supabase error: ${cleanupError.message}`);
+    }
+
+    // With ignoreDuplicates only the rows actually inserted come back
+    const { data: claimed, error } = await supabase
+      .from('invoice_reminders')
+      .upsert(reminders.map(reminder => ({
+        invoice_id: reminder.invoice_id,
+        invoice_number: reminder.invoice_number,
+        stage: reminder.dunning_stage,
+        client_name: reminder.client,
+        recipient: reminder.recipient,
+        summary_id: null,
+        created_at: new Date().toISOString()
+      })), { onConflict: 'invoice_id,stage', ignoreDuplicates: true })
+      .select('invoice_id, stage');
+
+    if (error) {
+      logger.error('Error claiming invoice reminders:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return claimed || [];
+  },
+
+  /**
+   * Link claimed reminder stages to the summary that suggested them
+   * @param {Array} reminders Claimed reminders ({ invoice_id, dunning_stage })
+   * @param {string} summaryId The summary ID
+   * @returns {Promise<boolean>} Whether they were linked (false if the table doesn't exist)
+   */
+  async linkReminders(reminders, summaryId) {
+    for (const reminder of reminders) {
+      const { error } = await supabase
+        .from('invoice_reminders')
+        .update({ summary_id: summaryId })
+        .eq('invoice_id', reminder.invoice_id)
+        .eq('stage', reminder.dunning_stage);
+
+      if (error) {
+        if (error.code === '42P01') {
+          return false;
+        }
+        logger.error(`Error linking invoice ${reminder.invoice_id} reminder to summary ${summaryId}:`, error);
+        throw new Error(`Supabase error: ${error.message}`);
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Free reminder stages so a later run drafts them again
+   * @param {Array} reminders Reminders ({ invoice_id, dunning_stage })
+   * @returns {Promise<boolean>} Whether they were freed (false if the table doesn't exist)
+   */
+  async releaseReminders(reminders) {
+    for (const reminder of reminders) {
+      const { error } = await supabase
+        .from('invoice_reminders')
+        .delete()
+        .eq('invoice_id', reminder.invoice_id)
+        .eq('stage', reminder.dunning_stage);
+
+      if (error) {
+        if (error.code === '42P01') {
+          return false;
+        }
+        logger.error(`Error releasing invoice ${reminder.invoice_id} reminder:`, error);
+        throw new Error(`Supabase error: ${error.message}`);
+      }
+    }
+
+    return true;
+  }
+};
+
+module.exports = invoiceReminderStore;
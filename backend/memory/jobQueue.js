@@ -0,0 +1,273 @@
+const os = require('os');
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-job-queue'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for job queue');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for job queue:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    }),
+    rpc: () => ({ data: null, error: new Error('Supabase client not initialized') })
+  };
+}
+
+// Job lifecycle
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+// First retry waits this long; each later retry waits twice as long
+const RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 30 * 1000;
+// A running job whose worker hasn't finished it in this long is claimed again
+const STALE_AFTER_SECONDS = parseInt(process.env.JOB_STALE_AFTER_SECONDS) || 15 * 60;
+// A running job's lock is refreshed this often, well inside the stale threshold
+const HEARTBEAT_INTERVAL_MS = Math.floor(STALE_AFTER_SECONDS * 1000 / 3);
+
+// Identifies this process in locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Job Queue module for background work persisted in the jobs table
+ */
+const jobQueue = {
+  /**
+   * Add a job to the queue
+   * @param {string} type The job type (e.g. 'summarize')
+   * @param {Object} payload Job input, passed to the job's handler
+   * @param {Object} [options] Options
+   * @param {number} [options.maxAttempts] Attempts before the job fails (JOB_MAX_ATTEMPTS, default 3)
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(type, payload = {}, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    const now = new Date().toISOString();
+
+    const { data: job, error } = await supabase
+      .from('jobs')
+      .insert({
+        type,
+        payload,
+        status: JOB_STATUS.QUEUED,
+        max_attempts: maxAttempts,
+        run_at: now,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error queueing ${type} job:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    logger.info(`Queued ${type} job ${job.id}`);
+    return job;
+  },
+
+  /**
+   * Claim the next due job for this worker
+   * @returns {Promise<Object|null>} The claimed job (now running) or null if none is due
+   */
+  async claimNext() {
+    const { data: jobs, error } = await supabase.rpc('claim_job', {
+      p_worker_id: WORKER_ID,
+      p_stale_after_seconds: STALE_AFTER_SECONDS
+    });
+
+    if (error) {
+      if (error.code === '42883' || error.code === '42P01') {
+        logger.warn('jobs table or claim_job function does not exist. Run supabase-jobs.sql.');
+        return null;
+      }
+      logger.error('Error claiming job:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return (jobs && jobs[0]) || null;
+  },
+
+  /**
+   * Refresh the lock on a job this worker is running, so it isn't claimed again as stale
+   * @param {string} id The job ID
+   * @returns {Promise<boolean>} Whether this worker still holds the job
+   */
+  async heartbeat(id) {
+    const now = new Date().toISOString();
+    const { data: jobs, error } = await supabase
+      .from('jobs')
+      .update({ locked_at: now, updated_at: now })
+      .eq('id', id)
+      .eq('locked_by', WORKER_ID)
+      .eq('status', JOB_STATUS.RUNNING)
+      .select('id');
+
+    if (error) {
+      logger.error(`Error refreshing the lock on job ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return Boolean(jobs && jobs.length > 0);
+  },
+
+  /**
+   * Mark a job as succeeded
+   * @param {string} id The job ID
+   * @param {Object} result The job's result
+   * @returns {Promise<Object>} The updated job
+   */
+  async completeJob(id, result) {
+    return this.updateJob(id, {
+      status: JOB_STATUS.SUCCEEDED,
+      result,
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      finished_at: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Record a failed attempt, re-queueing the job with backoff if attempts remain
+   * @param {Object} job The claimed job
+   * @param {Error} error The failure
+   * @returns {Promise<Object>} The updated job
+   */
+  async failJob(job, error) {
+    const retry = job.attempts < job.max_attempts;
+    const updates = {
+      last_error: error.message,
+      locked_by: null,
+      locked_at: null
+    };
+
+    if (retry) {
+      const delay = RETRY_DELAY_MS * Math.pow(2, job.attempts - 1);
+      logger.warn(`${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delay}ms: ${error.message}`);
+      Object.assign(updates, {
+        status: JOB_STATUS.QUEUED,
+        run_at: new Date(Date.now() + delay).toISOString()
+      });
+    } else {
+      logger.error(`${job.type} job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+      Object.assign(updates, {
+        status: JOB_STATUS.FAILED,
+        finished_at: new Date().toISOString()
+      });
+    }
+
+    return this.updateJob(job.id, updates);
+  },
+
+  /**
+   * Update a job
+   * @param {string} id The job ID
+   * @param {Object} updates Columns to update
+   * @returns {Promise<Object>} The updated job
+   */
+  async updateJob(id, updates) {
+    const { data: job, error } = await supabase
+      .from('jobs')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error updating job ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return job;
+  },
+
+  /**
+   * Get a job by ID
+   * @param {string} id The job ID
+   * @returns {Promise<Object|null>} The job or null if not found
+   */
+  async getJob(id) {
+    const { data: job, error } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching job ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return job;
+  },
+
+  /**
+   * List recent jobs, newest first
+   * @param {Object} [filters] Filters
+   * @param {string} [filters.status] Only jobs in this status
+   * @param {string} [filters.type] Only jobs of this type
+   * @param {number} [filters.limit] Maximum jobs to return (default: 20)
+   * @returns {Promise<Array>} Jobs without their results
+   */
+  async listJobs({ status, type, limit = 20 } = {}) {
+    let query = supabase
+      .from('jobs')
+      .select('id, type, status, attempts, max_attempts, last_error, created_at, started_at, finished_at, run_at')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (type) {
+      query = query.eq('type', type);
+    }
+
+    const { data: jobs, error } = await query;
+
+    if (error) {
+      logger.error('Error fetching jobs:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return jobs || [];
+  }
+};
+
+jobQueue.JOB_STATUS = JOB_STATUS;
+jobQueue.HEARTBEAT_INTERVAL_MS = HEARTBEAT_INTERVAL_MS;
+
+module.exports = jobQueue;
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { getTemplateVariables } = require('../ai/promptRenderer');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-prompt-registry'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for prompt registry');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for prompt registry:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Bundled prompts, used to seed version 1 and as a fallback when the table is missing
+const PROMPTS_DIR = path.join(__dirname, '../../ai/prompts');
+
+// Cache for active prompts so summarize calls don't query on every request
+const activePromptCache = {
+  prompts: {},
+  ttl: 60 * 1000 // 1 minute
+};
+
+/**
+ * Load a bundled prompt from ai/prompts
+ * @param {string} name The prompt name (file name without .txt)
+ * @returns {Object} Prompt without a version ID
+ */
+function loadBundledPrompt(name) {
+  const promptPath = path.join(PROMPTS_DIR, `${path.basename(name)}.txt`);
+
+  if (!fs.existsSync(promptPath)) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  return {
+    id: null,
+    name,
+    version: 0,
+    template: fs.readFileSync(promptPath, 'utf8')
+  };
+}
+
+/**
+ * Prompt Registry module for versioned prompt templates
+ */
+const promptRegistry = {
+  /**
+   * Get the active version of a prompt
+   *
+   * A prompt with no stored versions is seeded from ai/prompts/<name>.txt as
+   * version 1. If the registry can't be reached the bundled file is used and
+   * the returned prompt has no ID.
+   * @param {string} name The prompt name (e.g. 'slack-summary')
+   * @returns {Promise<Object>} { id, name, version, template }
+   */
+  async getActivePrompt(name) {
+    const cached = activePromptCache.prompts[name];
+    if (cached && Date.now() - cached.lastUpdated < activePromptCache.ttl) {
+      return cached.prompt;
+    }
+
+    try {
+      const { data: active, error } = await supabase
+        .from('prompt_versions')
+        .select('id, name, version, template')
+        .eq('name', name)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) {
+        if (error.code === '42P01') {
+          logger.warn('prompt_versions table does not exist. Using bundled prompt files.');
+        } else {
+          logger.error(`Error fetching active prompt ${name}:`, error);
+        }
+        return loadBundledPrompt(name);
+      }
+
+      const prompt = active || await this.seedPrompt(name);
+      activePromptCache.prompts[name] = { prompt, lastUpdated: Date.now() };
+
+      return prompt;
+    } catch (error) {
+      if (error.message.startsWith('Unknown prompt')) {
+        throw error;
+      }
+      logger.error(`Error in getActivePrompt for ${name}:`, error);
+      return loadBundledPrompt(name);
+    }
+  },
+
+  /**
+   * Store the bundled prompt file as version 1 of a prompt
+   * @param {string} name The prompt name
+   * @returns {Promise<Object>} The seeded prompt
+   */
+  async seedPrompt(name) {
+    const bundled = loadBundledPrompt(name);
+
+    // Versions exist but none is active; don't add another one behind the user's back
+    const versions = await this.getPromptVersions(name);
+    if (versions.length > 0) {
+      logger.warn(`Prompt ${name} has no active version. Using bundled prompt file.`);
+      return bundled;
+    }
+
+    logger.info(`Seeding prompt ${name} from ai/prompts`);
+    return this.createPromptVersion(name, bundled.template, {
+      description: 'Seeded from ai/prompts',
+      activate: true
+    });
+  },
+
+  /**
+   * List all prompts with their versions
+   * @returns {Promise<Array>} Prompt names with their active version and version history
+   */
+  async listPrompts() {
+    const { data: versions, error } = await supabase
+      .from('prompt_versions')
+      .select('id, name, version, description, variables, is_active, created_at')
+      .order('name', { ascending: true })
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('Error fetching prompt versions:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const prompts = {};
+    for (const version of versions || []) {
+      prompts[version.name] = prompts[version.name] || { name: version.name, active_version: null, versions: [] };
+      prompts[version.name].versions.push(version);
+      if (version.is_active) {
+        prompts[version.name].active_version = version.version;
+      }
+    }
+
+    return Object.values(prompts);
+  },
+
+  /**
+   * Get every version of a prompt, newest first
+   * @param {string} name The prompt name
+   * @returns {Promise<Array>} Prompt versions including their templates
+   */
+  async getPromptVersions(name) {
+    const { data: versions, error } = await supabase
+      .from('prompt_versions')
+      .select('*')
+      .eq('name', name)
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error(`Error fetching versions of prompt ${name}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return versions || [];
+  },
+
+  /**
+   * Get one version of a prompt
+   * @param {string} name The prompt name
+   * @param {number} version The version number
+   * @returns {Promise<Object|null>} The prompt version or null if it doesn't exist
+   */
+  async getPromptVersion(name, version) {
+    const { data: promptVersion, error } = await supabase
+      .from('prompt_versions')
+      .select('id, name, version, template')
+      .eq('name', name)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching version ${version} of prompt ${name}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return promptVersion;
+  },
+
+  /**
+   * Create a new version of a prompt
+   * @param {string} name The prompt name
+   * @param {string} template The prompt template
+   * @param {Object} [options] Options
+   * @param {string} [options.description] What changed in this version
+   * @param {boolean} [options.activate] Make this the active version (default: true)
+   * @returns {Promise<Object>} The stored prompt version
+   */
+  async createPromptVersion(name, template, { description = null, activate = true } = {}) {
+    const { data: latest, error: latestError } = await supabase
+      .from('prompt_versions')
+      .select('version')
+      .eq('name', name)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) {
+      logger.error(`Error fetching latest version of prompt ${name}:`, latestError);
+      throw new Error(`Supabase error: ${latestError.message}`);
+    }
+
+    const { data: created, error } = await supabase
+      .from('prompt_versions')
+      .insert({
+        name,
+        version: (latest?.version || 0) + 1,
+        template,
+        variables: getTemplateVariables(template),
+        description,
+        is_active: false,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error creating version of prompt ${name}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    if (activate) {
+      return this.activatePromptVersion(name, created.version);
+    }
+
+    return created;
+  },
+
+  /**
+   * Make a version the active one, e.g. to roll back a bad edit
+   * @param {string} name The prompt name
+   * @param {number} version The version to activate
+   * @returns {Promise<Object>} The activated prompt version
+   */
+  async activatePromptVersion(name, version) {
+    const { data: target, error: targetError } = await supabase
+      .from('prompt_versions')
+      .select('id')
+      .eq('name', name)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (targetError) {
+      logger.error(`Error fetching version ${version} of prompt ${name}:`, targetError);
+      throw new Error(`Supabase error: ${targetError.message}`);
+    }
+
+    if (!target) {
+      return null;
+    }
+
+    // Only one version per prompt may be active
+    const { error: deactivateError } = await supabase
+      .from('prompt_versions')
+      .update({ is_active: false })
+      .eq('name', name)
+      .eq('is_active', true);
+
+    if (deactivateError) {
+      logger.error(`Error deactivating prompt ${name}:`, deactivateError);
+      throw new Error(`Supabase error: ${deactivateError.message}`);
+    }
+
+    const { data: activated, error } = await supabase
+      .from('prompt_versions')
+      .update({ is_active: true })
+      .eq('id', target.id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error activating version ${version} of prompt ${name}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    delete activePromptCache.prompts[name];
+    logger.info(`Prompt ${name} is now at version ${version}`);
+
+    return activated;
+  }
+};
+
+module.exports = promptRegistry;
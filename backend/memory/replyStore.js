@@ -0,0 +1,351 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-reply-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for reply store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for reply store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Reply lifecycle: replies an approval policy applies to wait as 'pending_approval',
+// then wait in the outbox as 'scheduled' until their send_at
+const REPLY_STATUS = {
+  PENDING_APPROVAL: 'pending_approval',
+  REJECTED: 'rejected',
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+// A reply left in 'sending' this long was interrupted (e.g. the server restarted mid-send)
+const SENDING_STALE_AFTER_SECONDS = parseInt(process.env.REPLY_SENDING_STALE_AFTER_SECONDS) || 5 * 60;
+
+/**
+ * Reply Store module for outgoing replies and their delivery status
+ */
+const replyStore = {
+  /**
+   * Store a reply
+   * @param {Object} reply Reply columns ({ service, message, recipient, channel_id, thread_id, ticket_id, email_id, subject, is_public, send_at, ... })
+   * @returns {Promise<Object|null>} The stored reply, or null if its suggestion already has a live reply
+   */
+  async createReply(reply) {
+    const now = new Date().toISOString();
+
+    const { data: stored, error } = await supabase
+      .from('replies')
+      .insert({
+        ...reply,
+        status: reply.status || REPLY_STATUS.SCHEDULED,
+        send_at: reply.send_at || now,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // unique (summary_id, suggestion_index) among replies that weren't cancelled or rejected
+      if (error.code === '23505') {
+        return null;
+      }
+      logger.error(`Error storing reply to ${reply.service}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return stored;
+  },
+
+  /**
+   * Get a reply by ID
+   * @param {string} id The reply ID
+   * @returns {Promise<Object|null>} The reply or null if not found
+   */
+  async getReply(id) {
+    const { data: reply, error } = await supabase
+      .from('replies')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching reply ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return reply;
+  },
+
+  /**
+   * Get the live reply queued from a suggestion, if there is one
+   * @param {string} summaryId The summary ID
+   * @param {number} suggestionIndex The suggestion's position in suggested_messages
+   * @returns {Promise<Object|null>} The reply, unless every reply from it was cancelled or rejected
+   */
+  async getSuggestionReply(summaryId, suggestionIndex) {
+    const { data: replies, error } = await supabase
+      .from('replies')
+      .select('*')
+      .eq('summary_id', summaryId)
+      .eq('suggestion_index', suggestionIndex)
+      .not('status', 'in', `(${REPLY_STATUS.CANCELLED},${REPLY_STATUS.REJECTED})`)
+      .limit(1);
+
+    if (error) {
+      if (error.code === '42P01' || error.code === '42703') {
+        // Without the table or the columns, duplicates are only caught by the unique index, if any
+        return null;
+      }
+      logger.error(`Error fetching the reply for suggestion ${summaryId}-${suggestionIndex}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return (replies && replies[0]) || null;
+  },
+
+  /**
+   * List replies, newest first
+   * @param {Object} [filters] Filters
+   * @param {string} [filters.status] Only replies in this status
+   * @returns {Promise<Array>} Replies
+   */
+  async listReplies({ status } = {}) {
+    let query = supabase
+      .from('replies')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: replies, error } = await query;
+
+    if (error) {
+      logger.error('Error fetching replies:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return replies || [];
+  },
+
+  /**
+   * Get scheduled replies whose send time has come, oldest first
+   * @param {Date} [now] The current time
+   * @param {number} [limit] Maximum replies to return
+   * @returns {Promise<Array>} Due replies
+   */
+  async getDueReplies(now = new Date(), limit = 20) {
+    const { data: replies, error } = await supabase
+      .from('replies')
+      .select('*')
+      .eq('status', REPLY_STATUS.SCHEDULED)
+      .lte('send_at', now.toISOString())
+      .order('send_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('replies table not found, nothing to send');
+        return [];
+      }
+      logger.error('Error fetching due replies:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return replies || [];
+  },
+
+  /**
+   * Get replies that were claimed for sending but never finished
+   * @param {Date} [now] The current time
+   * @returns {Promise<Array>} Replies in 'sending' for longer than REPLY_SENDING_STALE_AFTER_SECONDS
+   */
+  async getStaleSending(now = new Date()) {
+    const { data: replies, error } = await supabase
+      .from('replies')
+      .select('*')
+      .eq('status', REPLY_STATUS.SENDING)
+      .lt('updated_at', new Date(now.getTime() - SENDING_STALE_AFTER_SECONDS * 1000).toISOString());
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('replies table not found, nothing to recover');
+        return [];
+      }
+      logger.error('Error fetching stale sending replies:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return replies || [];
+  },
+
+  /**
+   * Update a reply only while it is in one of the given statuses
+   *
+   * Sending, cancelling and rescheduling all go through this, so whichever
+   * happens first wins and a reply can't be sent twice or sent after it was
+   * cancelled.
+   * @param {string} id The reply ID
+   * @param {Array<string>} fromStatuses Statuses the reply must be in
+   * @param {Object} updates Columns to update
+   * @param {Object} [options] Options
+   * @param {Date} [options.dueBy] Only match if send_at is at or before this time
+   * @returns {Promise<Object|null>} The updated reply, or null if it wasn't in one of the statuses (or
+   *   bringing it back would give its suggestion a second live reply)
+   */
+  async updateIfStatus(id, fromStatuses, updates, { dueBy } = {}) {
+    let query = supabase
+      .from('replies')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .in('status', fromStatuses);
+
+    if (dueBy) {
+      query = query.lte('send_at', dueBy.toISOString());
+    }
+
+    const { data: reply, error } = await query.select().maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return null;
+      }
+      logger.error(`Error updating reply ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return reply;
+  },
+
+  /**
+   * Move a reply to 'sending', unless it is already being sent, was sent or was cancelled
+   * @param {string} id The reply ID
+   * @param {Array<string>} fromStatuses Statuses the reply may be sent from
+   * @param {Object} [options] Options
+   * @param {Date} [options.dueBy] Only claim the reply if it is due by this time
+   * @returns {Promise<Object|null>} The claimed reply, or null if it wasn't in a sendable status
+   */
+  async claimForSending(id, fromStatuses, options) {
+    return this.updateIfStatus(id, fromStatuses, { status: REPLY_STATUS.SENDING }, options);
+  },
+
+  /**
+   * Cancel a reply that is still waiting for approval or in the outbox
+   * @param {string} id The reply ID
+   * @returns {Promise<Object|null>} The cancelled reply, or null if it was no longer waiting
+   */
+  async cancelReply(id) {
+    return this.updateIfStatus(id, [REPLY_STATUS.PENDING_APPROVAL, REPLY_STATUS.SCHEDULED], {
+      status: REPLY_STATUS.CANCELLED,
+      cancelled_at: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Put a reply (back) in the outbox for a new send time
+   * @param {string} id The reply ID
+   * @param {Date} sendAt When to send it
+   * @returns {Promise<Object|null>} The rescheduled reply, or null if it was being sent or already sent
+   */
+  async rescheduleReply(id, sendAt) {
+    return this.updateIfStatus(id, [REPLY_STATUS.SCHEDULED, REPLY_STATUS.CANCELLED, REPLY_STATUS.FAILED], {
+      status: REPLY_STATUS.SCHEDULED,
+      send_at: sendAt.toISOString(),
+      cancelled_at: null,
+      error: null
+    });
+  },
+
+  /**
+   * Record a successful send
+   * @param {string} id The reply ID
+   * @param {Object} result { providerMessageId, providerThreadId }
+   * @returns {Promise<Object>} The updated reply
+   */
+  async markSent(id, { providerMessageId, providerThreadId }) {
+    return this.updateReply(id, {
+      status: REPLY_STATUS.SENT,
+      provider_message_id: providerMessageId,
+      provider_thread_id: providerThreadId || null,
+      error: null,
+      sent_at: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Record a failed send
+   * @param {string} id The reply ID
+   * @param {Error} error The failure
+   * @returns {Promise<Object>} The updated reply
+   */
+  async markFailed(id, error) {
+    return this.updateReply(id, {
+      status: REPLY_STATUS.FAILED,
+      error: error.message
+    });
+  },
+
+  /**
+   * Update a reply
+   * @param {string} id The reply ID
+   * @param {Object} updates Columns to update
+   * @returns {Promise<Object>} The updated reply
+   */
+  async updateReply(id, updates) {
+    const { data: reply, error } = await supabase
+      .from('replies')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error updating reply ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return reply;
+  }
+};
+
+replyStore.REPLY_STATUS = REPLY_STATUS;
+
+module.exports = replyStore;
@@ -0,0 +1,302 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { getNextRun } = require('../utils/cron');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-schedule-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for schedule store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for schedule store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      delete: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Columns a caller may set
+const EDITABLE_FIELDS = ['name', 'cron', 'timezone', 'services', 'days', 'incremental', 'combine', 'send_digest', 'enabled'];
+
+/**
+ * Pick the editable columns out of a request body
+ * @param {Object} fields Schedule fields
+ * @returns {Object} Only the editable fields that were given
+ */
+function pickEditable(fields) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+  );
+}
+
+/**
+ * Work out when an enabled schedule should next run
+ * @param {Object} schedule The schedule ({ cron, timezone, enabled })
+ * @param {Date} [after] Find the first run after this time (default: now)
+ * @returns {string|null} ISO timestamp, or null for a disabled schedule
+ */
+function computeNextRunAt(schedule, after = new Date()) {
+  if (schedule.enabled === false) {
+    return null;
+  }
+
+  return getNextRun(schedule.cron, { after, timeZone: schedule.timezone || 'UTC' }).toISOString();
+}
+
+/**
+ * Schedule Store module for recurring summarize runs and their history
+ */
+const scheduleStore = {
+  /**
+   * List all schedules
+   * @returns {Promise<Array>} Schedules ordered by next run
+   */
+  async listSchedules() {
+    const { data: schedules, error } = await supabase
+      .from('schedules')
+      .select('*')
+      .order('next_run_at', { ascending: true, nullsFirst: false });
+
+    if (error) {
+      logger.error('Error fetching schedules:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return schedules || [];
+  },
+
+  /**
+   * Get a schedule by ID
+   * @param {string} id The schedule ID
+   * @returns {Promise<Object|null>} The schedule or null if not found
+   */
+  async getSchedule(id) {
+    const { data: schedule, error } = await supabase
+      .from('schedules')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching schedule ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return schedule;
+  },
+
+  /**
+   * Create a schedule
+   * @param {Object} fields { name, cron, timezone, services, days, incremental, combine, send_digest, enabled }
+   * @returns {Promise<Object>} The created schedule
+   */
+  async createSchedule(fields) {
+    const schedule = {
+      timezone: process.env.SCHEDULE_TIMEZONE || 'UTC',
+      ...pickEditable(fields)
+    };
+    const now = new Date().toISOString();
+
+    const { data: created, error } = await supabase
+      .from('schedules')
+      .insert({
+        ...schedule,
+        next_run_at: computeNextRunAt(schedule),
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error creating schedule:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    logger.info(`Created schedule ${created.id} (${created.name}), next run ${created.next_run_at}`);
+    return created;
+  },
+
+  /**
+   * Update a schedule, recalculating its next run
+   * @param {string} id The schedule ID
+   * @param {Object} fields Fields to change
+   * @returns {Promise<Object|null>} The updated schedule or null if not found
+   */
+  async updateSchedule(id, fields) {
+    const existing = await this.getSchedule(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updates = pickEditable(fields);
+    const { data: updated, error } = await supabase
+      .from('schedules')
+      .update({
+        ...updates,
+        next_run_at: computeNextRunAt({ ...existing, ...updates }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error updating schedule ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Delete a schedule and its run history
+   * @param {string} id The schedule ID
+   * @returns {Promise<boolean>} True if a schedule was deleted
+   */
+  async deleteSchedule(id) {
+    const { data: deleted, error } = await supabase
+      .from('schedules')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      logger.error(`Error deleting schedule ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return Boolean(deleted && deleted.length > 0);
+  },
+
+  /**
+   * Get enabled schedules that are due
+   * @param {Date} [now] The current time
+   * @returns {Promise<Array>} Due schedules, including ones that have never been scheduled
+   */
+  async getDueSchedules(now = new Date()) {
+    const { data: schedules, error } = await supabase
+      .from('schedules')
+      .select('*')
+      .eq('enabled', true)
+      .or(`next_run_at.is.null,next_run_at.lte.${now.toISOString()}`);
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('schedules table does not exist. Run supabase-schedules.sql to enable the scheduler.');
+        return [];
+      }
+      logger.error('Error fetching due schedules:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return schedules || [];
+  },
+
+  /**
+   * Move a due schedule to its next run, unless another process already has
+   *
+   * The update only matches while next_run_at is unchanged, so when several
+   * servers run the scheduler only one of them fires each run.
+   * @param {Object} schedule The due schedule
+   * @param {Date} [now] The current time
+   * @returns {Promise<Object|null>} The updated schedule, or null if another process claimed the run
+   */
+  async claimDueRun(schedule, now = new Date()) {
+    let query = supabase
+      .from('schedules')
+      .update({
+        next_run_at: computeNextRunAt(schedule, now),
+        last_run_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('id', schedule.id);
+
+    query = schedule.next_run_at ? query.eq('next_run_at', schedule.next_run_at) : query.is('next_run_at', null);
+
+    const { data: claimed, error } = await query.select().maybeSingle();
+
+    if (error) {
+      logger.error(`Error claiming run of schedule ${schedule.id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return claimed;
+  },
+
+  /**
+   * Record a run in the schedule's history
+   * @param {Object} run { schedule_id, job_id, trigger, scheduled_for, error }
+   * @returns {Promise<Object|null>} The stored run, or null if storing failed
+   */
+  async recordRun(run) {
+    try {
+      const { data: stored, error } = await supabase
+        .from('schedule_runs')
+        .insert({
+          ...run,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error(`Error recording run of schedule ${run.schedule_id}:`, error);
+        return null;
+      }
+
+      return stored;
+    } catch (error) {
+      logger.error(`Error in recordRun for schedule ${run.schedule_id}:`, error);
+      // Don't throw; the job is already queued
+      return null;
+    }
+  },
+
+  /**
+   * Get a schedule's run history, newest first, with each run's job status
+   * @param {string} id The schedule ID
+   * @param {number} [limit] Maximum runs to return (default: 20)
+   * @returns {Promise<Array>} Runs with a `job` ({ id, status, attempts, last_error, finished_at })
+   */
+  async getRuns(id, limit = 20) {
+    const { data: runs, error } = await supabase
+      .from('schedule_runs')
+      .select('*, job:jobs(id, status, attempts, last_error, started_at, finished_at)')
+      .eq('schedule_id', id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error(`Error fetching runs of schedule ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return runs || [];
+  }
+};
+
+module.exports = scheduleStore;
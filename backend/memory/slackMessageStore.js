@@ -0,0 +1,229 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-slack-message-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for Slack message store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for Slack message store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      upsert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Rows per request when reading messages; Supabase returns at most 1000 per select
+const PAGE_SIZE = 1000;
+
+/**
+ * Convert a Slack ts to a timestamp
+ * @param {string} ts Slack ts, e.g. '1712345678.000100'
+ * @returns {string} ISO timestamp
+ */
+function tsToIso(ts) {
+  return new Date(parseFloat(ts) * 1000).toISOString();
+}
+
+/**
+ * Slack Message Store module for messages received from the Slack Events API
+ */
+const slackMessageStore = {
+  /**
+   * Store a message, or update it if it was already received
+   *
+   * Slack sends the same message as both a `message` and an `app_mention`
+   * event and retries deliveries, so messages are keyed by channel and ts.
+   * Only the columns given are written, so a later event doesn't clear
+   * what an earlier one set (e.g. is_mention).
+   * @param {Object} message Message columns ({ channel_id, ts, thread_ts, user_id, user_name, text, ... })
+   * @returns {Promise<Object>} The stored message
+   */
+  async saveMessage(message) {
+    const now = new Date().toISOString();
+
+    const { data: stored, error } = await supabase
+      .from('slack_messages')
+      .upsert({
+        ...message,
+        posted_at: tsToIso(message.ts),
+        updated_at: now
+      }, { onConflict: 'channel_id,ts' })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Error storing Slack message ${message.channel_id}/${message.ts}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return stored;
+  },
+
+  /**
+   * Get a message
+   * @param {string} channelId The channel ID
+   * @param {string} ts The message ts
+   * @returns {Promise<Object|null>} The message or null if it wasn't received
+   */
+  async getMessage(channelId, ts) {
+    const { data: message, error } = await supabase
+      .from('slack_messages')
+      .select('*')
+      .eq('channel_id', channelId)
+      .eq('ts', ts)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching Slack message ${channelId}/${ts}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return message;
+  },
+
+  /**
+   * Update a message
+   * @param {string} channelId The channel ID
+   * @param {string} ts The message ts
+   * @param {Object} updates Columns to update
+   * @returns {Promise<Object|null>} The updated message, or null if it wasn't received
+   */
+  async updateMessage(channelId, ts, updates) {
+    const { data: updated, error } = await supabase
+      .from('slack_messages')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('channel_id', channelId)
+      .eq('ts', ts)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error updating Slack message ${channelId}/${ts}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Record a reaction on a message
+   * @param {string} channelId The channel ID
+   * @param {string} ts The message ts
+   * @param {Object} reaction { name, user_id, user_name }
+   * @returns {Promise<Object|null>} The updated message, or null if it wasn't received
+   */
+  async addReaction(channelId, ts, reaction) {
+    const message = await slackMessageStore.getMessage(channelId, ts);
+    if (!message) {
+      return null;
+    }
+
+    const reactions = message.reactions || [];
+    // Slack retries deliveries; don't count the same reaction twice
+    if (reactions.some(existing => existing.name === reaction.name && existing.user_id === reaction.user_id)) {
+      return message;
+    }
+
+    return slackMessageStore.updateMessage(channelId, ts, { reactions: [...reactions, reaction] });
+  },
+
+  /**
+   * Mark a message as alerted on, unless it already was
+   * @param {string} channelId The channel ID
+   * @param {string} ts The message ts
+   * @returns {Promise<boolean>} Whether this call marked it (false if an alert was already sent)
+   */
+  async markAlerted(channelId, ts) {
+    const { data: claimed, error } = await supabase
+      .from('slack_messages')
+      .update({ alerted_at: new Date().toISOString() })
+      .eq('channel_id', channelId)
+      .eq('ts', ts)
+      .is('alerted_at', null)
+      .select('id');
+
+    if (error) {
+      logger.error(`Error marking Slack message ${channelId}/${ts} as alerted:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return Boolean(claimed && claimed.length > 0);
+  },
+
+  /**
+   * Get received messages, oldest first
+   * @param {Object} [filters] Filters
+   * @param {Date} [filters.since] Only messages posted at or after this time
+   * @param {Array<string>} [filters.channels] Only messages in these channels
+   * @returns {Promise<Array>} Messages that haven't been deleted
+   */
+  async getMessages({ since, channels } = {}) {
+    const messages = [];
+
+    // Supabase returns at most PAGE_SIZE rows per select, so read page by page
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('slack_messages')
+        .select('*')
+        .is('deleted_at', null);
+
+      if (since) {
+        query = query.gte('posted_at', since.toISOString());
+      }
+
+      if (channels && channels.length > 0) {
+        query = query.in('channel_id', channels);
+      }
+
+      const { data: page, error } = await query
+        .order('posted_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        if (error.code === '42P01') {
+          logger.warn('slack_messages table not found, no received messages available');
+          return [];
+        }
+        logger.error('Error fetching Slack messages:', error);
+        throw new Error(`Supabase error: ${error.message}`);
+      }
+
+      messages.push(...(page || []));
+
+      if (!page || page.length < PAGE_SIZE) {
+        return messages;
+      }
+    }
+  }
+};
+
+module.exports = slackMessageStore;
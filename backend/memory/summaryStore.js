@@ -0,0 +1,170 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-summary-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for summary store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for summary store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+/**
+ * Summary Store module for persisting generated summaries
+ */
+const summaryStore = {
+  /**
+   * Store a summary
+   * @param {string} source The data source
+   * @param {Object} summary The summary object
+   * @param {Object|null} [prompt] The prompt that produced the summary ({ id, experiment })
+   * @returns {Promise<Object|null>} The stored summary row, or null if storing failed
+   */
+  async storeSummary(source, summary, prompt = null) {
+    try {
+      const { data: storedSummary, error } = await supabase
+        .from('summaries')
+        .insert({
+          source,
+          summary: summary.summary,
+          action_items: summary.action_items || [],
+          suggested_messages: summary.suggested_messages || [],
+          ...(summary.correlations ? { correlations: summary.correlations } : {}),
+          ...(summary.at_risk ? { at_risk: summary.at_risk } : {}),
+          ...(prompt && prompt.id ? { prompt_version_id: prompt.id } : {}),
+          ...(prompt && prompt.experiment ? {
+            experiment_id: prompt.experiment.id,
+            experiment_variant: prompt.experiment.variant
+          } : {}),
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error(`Error storing ${source} summary:`, error);
+        return null;
+      }
+
+      return storedSummary;
+    } catch (error) {
+      logger.error(`Error in storeSummary for ${source}:`, error);
+      // Don't throw, just log the error to avoid breaking the API response
+      return null;
+    }
+  },
+
+  /**
+   * Get a summary by ID
+   * @param {string} id The summary ID
+   * @returns {Promise<Object|null>} The summary or null if not found
+   */
+  async getSummary(id) {
+    const { data: summary, error } = await supabase
+      .from('summaries')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching summary ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return summary;
+  },
+
+  /**
+   * Get the newest summary of each source created since a point in time
+   * @param {Date} since Oldest summary to consider
+   * @param {Array<string>} [sources] Only these sources (default: all)
+   * @returns {Promise<Object>} Latest summary row keyed by source
+   */
+  async getLatestSummaries(since, sources = null) {
+    let query = supabase
+      .from('summaries')
+      .select('*')
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false });
+
+    if (sources) {
+      query = query.in('source', sources);
+    }
+
+    const { data: summaries, error } = await query;
+
+    if (error) {
+      logger.error('Error fetching recent summaries:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const latest = {};
+    for (const summary of summaries || []) {
+      latest[summary.source] = latest[summary.source] || summary;
+    }
+
+    return latest;
+  },
+
+  /**
+   * Save suggested replies on the emails they answer
+   * @param {Array} emails The email messages
+   * @param {Array} suggestedReplies The suggested replies
+   */
+  async updateEmailSuggestedReplies(emails, suggestedReplies) {
+    try {
+      // Match suggested replies to emails based on thread ID or subject
+      for (const reply of suggestedReplies) {
+        if (reply.email_id || reply.thread_id || reply.subject) {
+          const targetEmail = emails.find(email =>
+            (reply.email_id && email.id === reply.email_id) ||
+            (reply.thread_id && email.threadId === reply.thread_id) ||
+            (reply.subject && email.subject.includes(reply.subject))
+          );
+
+          if (targetEmail) {
+            const { error } = await supabase
+              .from('emails')
+              .update({ suggested_reply: reply.message })
+              .eq('message_id', targetEmail.id);
+
+            if (error) {
+              logger.error(`Error updating suggested reply for email ${targetEmail.id}:`, error);
+            }
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error in updateEmailSuggestedReplies:', error);
+      // Don't throw, just log the error to avoid breaking the API response
+    }
+  }
+};
+
+module.exports = summaryStore;
@@ -0,0 +1,189 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-template-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for template store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for template store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      delete: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Columns a caller may set
+const EDITABLE_FIELDS = ['name', 'description', 'category', 'services', 'subject', 'body', 'enabled'];
+
+/**
+ * Pick the editable columns out of a request body
+ * @param {Object} fields Template fields
+ * @returns {Object} Only the editable fields that were given
+ */
+function pickEditable(fields) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+  );
+}
+
+/**
+ * Template Store module for the library of reply templates
+ */
+const templateStore = {
+  /**
+   * List templates
+   * @param {Object} [filters] Filters
+   * @param {string} [filters.service] Only templates usable for this service (those with no services are usable for all)
+   * @param {string} [filters.category] Only templates in this category
+   * @param {boolean} [filters.enabledOnly] Only enabled templates
+   * @returns {Promise<Array>} Templates ordered by name
+   */
+  async listTemplates({ service, category, enabledOnly = false } = {}) {
+    let query = supabase
+      .from('reply_templates')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    if (enabledOnly) {
+      query = query.eq('enabled', true);
+    }
+
+    const { data: templates, error } = await query;
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('reply_templates table not found, no templates available');
+        return [];
+      }
+      logger.error('Error fetching reply templates:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return (templates || []).filter(template =>
+      !service || !template.services || template.services.length === 0 || template.services.includes(service)
+    );
+  },
+
+  /**
+   * Get a template by ID
+   * @param {string} id The template ID
+   * @returns {Promise<Object|null>} The template or null if not found
+   */
+  async getTemplate(id) {
+    const { data: template, error } = await supabase
+      .from('reply_templates')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching reply template ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return template;
+  },
+
+  /**
+   * Create a template
+   * @param {Object} fields { name, description, category, services, subject, body, enabled }
+   * @returns {Promise<Object>} The created template
+   */
+  async createTemplate(fields) {
+    const now = new Date().toISOString();
+
+    const { data: created, error } = await supabase
+      .from('reply_templates')
+      .insert({
+        ...pickEditable(fields),
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error creating reply template:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    logger.info(`Created reply template ${created.id} (${created.name})`);
+    return created;
+  },
+
+  /**
+   * Update a template
+   * @param {string} id The template ID
+   * @param {Object} fields Fields to change
+   * @returns {Promise<Object|null>} The updated template or null if not found
+   */
+  async updateTemplate(id, fields) {
+    const { data: updated, error } = await supabase
+      .from('reply_templates')
+      .update({
+        ...pickEditable(fields),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error updating reply template ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Delete a template
+   * @param {string} id The template ID
+   * @returns {Promise<boolean>} Whether a template was deleted
+   */
+  async deleteTemplate(id) {
+    const { data: deleted, error } = await supabase
+      .from('reply_templates')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      logger.error(`Error deleting reply template ${id}:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return Boolean(deleted && deleted.length > 0);
+  }
+};
+
+module.exports = templateStore;
@@ -0,0 +1,294 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-usage-ledger'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for usage ledger');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for usage ledger:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      gte: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Budget actions when the monthly budget is exceeded
+const BUDGET_ACTIONS = {
+  REFUSE: 'refuse',
+  DOWNGRADE: 'downgrade'
+};
+
+// Cache for month-to-date spend so budget checks don't query on every call
+const spendCache = {
+  month: null,
+  spent: 0,
+  lastUpdated: 0,
+  ttl: 60 * 1000 // 1 minute
+};
+
+/**
+ * Get the first instant of the current UTC month
+ * @returns {Date} Start of the month
+ */
+function getMonthStart() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+// Rows per request when reading the ledger; Supabase returns at most 1000 per select
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every ledger row created since a point in time, page by page
+ * @param {string} columns Columns to select
+ * @param {string} since ISO timestamp
+ * @returns {Promise<Object>} { rows, error }
+ */
+async function selectAllSince(columns, since) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: page, error } = await supabase
+      .from('ai_usage')
+      .select(columns)
+      .gte('created_at', since)
+      // A stable order so pages don't overlap or skip rows
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      return { rows: null, error };
+    }
+
+    rows.push(...(page || []));
+
+    if (!page || page.length < PAGE_SIZE) {
+      return { rows, error: null };
+    }
+  }
+}
+
+/**
+ * Round a USD amount for reporting
+ * @param {number} amount Amount in USD
+ * @returns {number} Amount rounded to 6 decimal places
+ */
+function roundCost(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Usage Ledger module for recording AI calls and enforcing the monthly budget
+ */
+const usageLedger = {
+  /**
+   * Record an AI call in the ledger
+   * @param {Object} entry The call details
+   * @param {string} entry.source The data source
+   * @param {string} entry.provider The provider name
+   * @param {string} entry.model The model used
+   * @param {number} entry.promptTokens Prompt tokens
+   * @param {number} entry.completionTokens Completion tokens
+   * @param {number} entry.latencyMs Wall-clock time including retries
+   * @param {number} entry.retries Number of failed attempts before the final one
+   * @param {number|null} entry.estimatedCost Estimated cost in USD
+   * @param {string} entry.status 'succeeded' or 'failed'
+   * @param {string} [entry.error] Error message for failed calls
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordUsage(entry) {
+    try {
+      const { error } = await supabase
+        .from('ai_usage')
+        .insert([{
+          source: entry.source || null,
+          provider: entry.provider,
+          model: entry.model,
+          prompt_tokens: entry.promptTokens || 0,
+          completion_tokens: entry.completionTokens || 0,
+          total_tokens: (entry.promptTokens || 0) + (entry.completionTokens || 0),
+          latency_ms: entry.latencyMs,
+          retries: entry.retries || 0,
+          estimated_cost: entry.estimatedCost,
+          status: entry.status || 'succeeded',
+          error: entry.error || null,
+          created_at: new Date().toISOString()
+        }]);
+
+      if (error) {
+        if (error.code === '42P01') {
+          logger.warn('ai_usage table does not exist. Skipping usage recording.');
+        } else {
+          logger.error('Error recording AI usage:', error);
+        }
+        return false;
+      }
+
+      // Keep the cached month-to-date spend current between refreshes
+      if (entry.estimatedCost && spendCache.month === getMonthStart().toISOString()) {
+        spendCache.spent += entry.estimatedCost;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error in recordUsage:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Get the estimated spend for the current month
+   * @returns {Promise<number>} Spend in USD
+   */
+  async getMonthToDateSpend() {
+    const month = getMonthStart().toISOString();
+
+    if (spendCache.month === month && Date.now() - spendCache.lastUpdated < spendCache.ttl) {
+      return spendCache.spent;
+    }
+
+    try {
+      const { rows, error } = await selectAllSince('id, estimated_cost', month);
+
+      if (error) {
+        logger.error('Error fetching month-to-date AI spend:', error);
+        return spendCache.month === month ? spendCache.spent : 0;
+      }
+
+      spendCache.month = month;
+      spendCache.spent = (rows || []).reduce((sum, row) => sum + (row.estimated_cost || 0), 0);
+      spendCache.lastUpdated = Date.now();
+
+      return spendCache.spent;
+    } catch (error) {
+      logger.error('Error in getMonthToDateSpend:', error);
+      return 0;
+    }
+  },
+
+  /**
+   * Check the month-to-date spend against AI_MONTHLY_BUDGET_USD
+   * @returns {Promise<Object>} { budget, spent, exceeded, action }
+   */
+  async checkBudget() {
+    const budget = parseFloat(process.env.AI_MONTHLY_BUDGET_USD);
+    const action = (process.env.AI_BUDGET_ACTION || BUDGET_ACTIONS.DOWNGRADE).toLowerCase();
+
+    if (!Number.isFinite(budget) || budget <= 0) {
+      return { budget: null, spent: null, exceeded: false, action };
+    }
+
+    const spent = await this.getMonthToDateSpend();
+
+    return {
+      budget,
+      spent: roundCost(spent),
+      exceeded: spent >= budget,
+      action
+    };
+  },
+
+  /**
+   * Get usage rollups for a period
+   * @param {number} days Number of days to look back (default: 30)
+   * @returns {Promise<Object>} Totals plus daily, per-source and per-model rollups
+   */
+  async getUsageReport(days = 30) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const { rows, error } = await selectAllSince('*', since.toISOString());
+
+    if (error) {
+      logger.error('Error fetching AI usage:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    const emptyRollup = () => ({
+      calls: 0,
+      failed: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      estimated_cost: 0,
+      latency_ms: 0
+    });
+
+    const addTo = (rollup, row) => {
+      rollup.calls++;
+      if (row.status === 'failed') rollup.failed++;
+      rollup.prompt_tokens += row.prompt_tokens || 0;
+      rollup.completion_tokens += row.completion_tokens || 0;
+      rollup.total_tokens += row.total_tokens || 0;
+      rollup.estimated_cost += row.estimated_cost || 0;
+      rollup.latency_ms += row.latency_ms || 0;
+    };
+
+    const totals = emptyRollup();
+    const daily = {};
+    const bySource = {};
+    const byModel = {};
+
+    for (const row of rows || []) {
+      const date = new Date(row.created_at).toISOString().split('T')[0]; // YYYY-MM-DD
+      const source = row.source || 'unknown';
+      const model = row.model || 'unknown';
+
+      daily[date] = daily[date] || emptyRollup();
+      bySource[source] = bySource[source] || emptyRollup();
+      byModel[model] = byModel[model] || emptyRollup();
+
+      addTo(totals, row);
+      addTo(daily[date], row);
+      addTo(bySource[source], row);
+      addTo(byModel[model], row);
+    }
+
+    // Report average latency and rounded costs
+    const finalize = ({ latency_ms: latencyMs, ...rollup }) => ({
+      ...rollup,
+      estimated_cost: roundCost(rollup.estimated_cost),
+      avg_latency_ms: rollup.calls > 0 ? Math.round(latencyMs / rollup.calls) : 0
+    });
+    const finalizeAll = group => Object.fromEntries(
+      Object.entries(group).map(([key, rollup]) => [key, finalize(rollup)])
+    );
+
+    return {
+      days,
+      totals: finalize(totals),
+      daily: finalizeAll(daily),
+      bySource: finalizeAll(bySource),
+      byModel: finalizeAll(byModel),
+      budget: await this.checkBudget()
+    };
+  }
+};
+
+usageLedger.BUDGET_ACTIONS = BUDGET_ACTIONS;
+
+module.exports = usageLedger;
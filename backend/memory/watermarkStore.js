@@ -0,0 +1,189 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-watermark-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for watermark store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for watermark store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      upsert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      maybeSingle: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+/**
+ * How to read the position of an item in each source's stream.
+ * Values are numeric so they can be compared across channels and threads:
+ * Slack `ts` (seconds), Zendesk `updated_at` (ms) and Gmail `internalDate` (ms).
+ */
+const ITEM_POSITIONS = {
+  slack: message => parseFloat(message.ts),
+  zendesk: ticket => Date.parse(ticket.updated_at),
+  email: email => Number(email.internalDate)
+};
+
+/**
+ * Watermark Store module for tracking how far each source has been summarized
+ */
+const watermarkStore = {
+  /**
+   * Whether a source supports incremental summarization
+   * @param {string} source The data source
+   * @returns {boolean} True if the source has a high-water mark
+   */
+  supports(source) {
+    return Boolean(ITEM_POSITIONS[source]);
+  },
+
+  /**
+   * Get the stored high-water mark for a source
+   * @param {string} source The data source
+   * @returns {Promise<Object|null>} The watermark row ({ source, watermark, summary_id }) or null
+   */
+  async getWatermark(source) {
+    try {
+      const { data: watermark, error } = await supabase
+        .from('source_watermarks')
+        .select('*')
+        .eq('source', source)
+        .maybeSingle();
+
+      if (error) {
+        if (error.code === '42P01') {
+          logger.warn('source_watermarks table does not exist. Incremental summarization disabled.');
+        } else {
+          logger.error(`Error fetching watermark for ${source}:`, error);
+        }
+        return null;
+      }
+
+      return watermark || null;
+    } catch (error) {
+      logger.error(`Error in getWatermark for ${source}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Advance the high-water mark for a source
+   * @param {string} source The data source
+   * @param {number} watermark The position of the newest summarized item
+   * @param {string|null} summaryId The summary that covered items up to the watermark
+   * @returns {Promise<boolean>} Success status
+   */
+  async setWatermark(source, watermark, summaryId = null) {
+    try {
+      const { error } = await supabase
+        .from('source_watermarks')
+        .upsert({
+          source,
+          watermark: String(watermark),
+          summary_id: summaryId,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'source' });
+
+      if (error) {
+        logger.error(`Error storing watermark for ${source}:`, error);
+        return false;
+      }
+
+      logger.debug(`Watermark for ${source} advanced to ${watermark}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error in setWatermark for ${source}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Keep only the items newer than a watermark
+   * @param {string} source The data source
+   * @param {Array} items The fetched items
+   * @param {Object|null} watermark The stored watermark row
+   * @returns {Array} Items after the watermark
+   */
+  filterNewItems(source, items, watermark) {
+    const getPosition = ITEM_POSITIONS[source];
+
+    if (!getPosition || !watermark || !watermark.watermark) {
+      return items;
+    }
+
+    const since = parseFloat(watermark.watermark);
+    return items.filter(item => {
+      const position = getPosition(item);
+      // Items we can't place are kept rather than silently dropped
+      return !Number.isFinite(position) || position > since;
+    });
+  },
+
+  /**
+   * Get the position of the newest item
+   * @param {string} source The data source
+   * @param {Array} items The items
+   * @returns {number|null} The highest position, or null if none can be read
+   */
+  getHighWaterMark(source, items) {
+    const getPosition = ITEM_POSITIONS[source];
+    if (!getPosition) return null;
+
+    const positions = items.map(getPosition).filter(Number.isFinite);
+    return positions.length > 0 ? Math.max(...positions) : null;
+  },
+
+  /**
+   * Get the summary that the watermark points at
+   * @param {Object|null} watermark The stored watermark row
+   * @returns {Promise<Object|null>} The previous summary or null
+   */
+  async getPreviousSummary(watermark) {
+    try {
+      if (!watermark || !watermark.summary_id) {
+        return null;
+      }
+
+      const { data: summary, error } = await supabase
+        .from('summaries')
+        .select('id, summary, action_items, suggested_messages, created_at')
+        .eq('id', watermark.summary_id)
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error fetching previous summary ${watermark.summary_id}:`, error);
+        return null;
+      }
+
+      return summary || null;
+    } catch (error) {
+      logger.error('Error in getPreviousSummary:', error);
+      return null;
+    }
+  }
+};
+
+module.exports = watermarkStore;
@@ -0,0 +1,238 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+
+// Initialize Supabase client with error handling
+let supabase;
+try {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    },
+    global: {
+      headers: {
+        'X-Client-Info': 'stealth-ai-ops-assistant-zendesk-store'
+      }
+    }
+  });
+  logger.info('Supabase client initialized successfully for Zendesk store');
+} catch (error) {
+  logger.error('Failed to initialize Supabase client for Zendesk store:', error);
+  // Create a mock client for fallback
+  supabase = {
+    from: () => ({
+      select: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      insert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      update: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      upsert: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      delete: () => ({ data: null, error: new Error('Supabase client not initialized') }),
+      eq: () => ({ data: null, error: new Error('Supabase client not initialized') })
+    })
+  };
+}
+
+// Supabase returns at most this many rows per select
+const PAGE_SIZE = 1000;
+
+/**
+ * Zendesk Store module for the local copy of tickets kept in sync with the
+ * incremental export, and the export's cursor
+ */
+const zendeskStore = {
+  /**
+   * Get where the last export stopped, and where it started
+   * @param {string} resource The export, e.g. 'tickets'
+   * @returns {Promise<Object|null>} { cursor, start_time }, or null if nothing was exported yet
+   */
+  async getExportState(resource) {
+    const { data: state, error } = await supabase
+      .from('zendesk_sync_state')
+      .select('cursor, start_time')
+      .eq('resource', resource)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('zendesk_sync_state table not found, exporting the whole window');
+        return null;
+      }
+      logger.error(`Error fetching Zendesk ${resource} export cursor:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return state || null;
+  },
+
+  /**
+   * Remember where an export stopped
+   * @param {string} resource The export, e.g. 'tickets'
+   * @param {string} cursor The after_cursor to resume from
+   * @param {string} [startTime] ISO time the export started from, so a wider window can restart it
+   */
+  async setExportCursor(resource, cursor, startTime = null) {
+    const { error } = await supabase
+      .from('zendesk_sync_state')
+      .upsert({
+        resource,
+        cursor,
+        start_time: startTime,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'resource' });
+
+    if (error) {
+      logger.error(`Error saving Zendesk ${resource} export cursor:`, error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the tickets whose comments couldn't be fetched, to try them again
+   * @returns {Promise<Array>} Rows ({ ticket_id, ticket, attempts, last_error }); empty if the table doesn't exist
+   */
+  async getCommentRetries() {
+    const { data: rows, error } = await supabase
+      .from('zendesk_comment_retries')
+      .select('ticket_id, ticket, attempts, last_error');
+
+    if (error) {
+      if (error.code === '42P01') {
+        return [];
+      }
+      logger.error('Error fetching Zendesk comment retries:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return rows || [];
+  },
+
+  /**
+   * Remember tickets whose comments couldn't be fetched
+   * @param {Array} retries Rows ({ ticket_id, ticket, attempts, last_error })
+   * @returns {Promise<boolean>} Whether they were kept (false if the table doesn't exist)
+   */
+  async saveCommentRetries(retries) {
+    if (retries.length === 0) {
+      return true;
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('zendesk_comment_retries')
+      .upsert(retries.map(retry => ({ ...retry, updated_at: now })), { onConflict: 'ticket_id' });
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('zendesk_comment_retries table not found, the export waits for failed comment fetches');
+        return false;
+      }
+      logger.error('Error storing Zendesk comment retries:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return true;
+  },
+
+  /**
+   * Forget tickets that no longer need their comments retried
+   * @param {Array<number>} ticketIds Ticket IDs
+   */
+  async deleteCommentRetries(ticketIds) {
+    if (ticketIds.length === 0) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from('zendesk_comment_retries')
+      .delete()
+      .in('ticket_id', ticketIds);
+
+    if (error && error.code !== '42P01') {
+      logger.error('Error deleting Zendesk comment retries:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+  },
+
+  /**
+   * Store tickets, replacing earlier copies
+   * @param {Array} tickets Tickets with their comments and side-loaded names
+   * @returns {Promise<boolean>} Whether they were stored (false if the table doesn't exist)
+   */
+  async saveTickets(tickets) {
+    if (tickets.length === 0) {
+      return true;
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('zendesk_tickets')
+      .upsert(tickets.map(ticket => ({
+        id: ticket.id,
+        status: ticket.status,
+        ticket,
+        ticket_updated_at: ticket.updated_at,
+        synced_at: now
+      })), { onConflict: 'id' });
+
+    if (error) {
+      if (error.code === '42P01') {
+        logger.warn('zendesk_tickets table not found, tickets are not kept between runs');
+        return false;
+      }
+      logger.error('Error storing Zendesk tickets:', error);
+      throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    return true;
+  },
+
+  /**
+   * Get stored tickets, most recently updated first
+   * @param {Object} [filters] Filters
+   * @param {Date} [filters.since] Only tickets updated at or after this time
+   * @param {Array<string>} [filters.statuses] Only tickets in these statuses
+   * @returns {Promise<Array>} Tickets
+   */
+  async getTickets({ since, statuses } = {}) {
+    const tickets = [];
+
+    // Read page by page, since unsolved tickets aren't bounded by a window
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('zendesk_tickets')
+        .select('ticket');
+
+      if (since) {
+        query = query.gte('ticket_updated_at', since.toISOString());
+      }
+
+      if (statuses && statuses.length > 0) {
+        query = query.in('status', statuses);
+      }
+
+      const { data: rows, error } = await query
+        .order('ticket_updated_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error('Error fetching stored Zendesk tickets:', error);
+        throw new Error(`Supabase error: ${error.message}`);
+      }
+
+      tickets.push(...(rows || []).map(row => row.ticket));
+
+      if (!rows || rows.length < PAGE_SIZE) {
+        return tickets;
+      }
+    }
+  }
+};
+
+module.exports = zendeskStore;
@@ -0,0 +1,68 @@
+const axios = require('axios');
+
+/**
+ * Client for the app's own fetch routes (/api/slack/messages, ...)
+ *
+ * Sources fetch through the API rather than calling the integrations directly,
+ * so the fetch routes stay the single place that knows each integration.
+ */
+
+/**
+ * Build an API context from an incoming request, reusing its host and credentials
+ * @param {Object} req Express request
+ * @returns {Object} { baseUrl, authorization }
+ */
+function apiContextFromRequest(req) {
+  return {
+    baseUrl: `${req.protocol}://${req.get('host')}/api`,
+    authorization: req.headers.authorization
+  };
+}
+
+/**
+ * Build an API context for work that doesn't run inside a request
+ * (background jobs, schedules)
+ * @returns {Object} { baseUrl, authorization }
+ */
+function internalApiContext() {
+  return {
+    baseUrl: process.env.INTERNAL_API_URL || `http://localhost:${process.env.PORT || 3000}/api`,
+    authorization: `Bearer ${process.env.ADMIN_ACCESS_TOKEN}`
+  };
+}
+
+/**
+ * Create an API client
+ * @param {Object} context { baseUrl, authorization }
+ * @returns {Object} Client with get(path, params, key)
+ */
+function createApiClient({ baseUrl, authorization }) {
+  return {
+    /**
+     * GET a fetch route and return one array from its response
+     * @param {string} path Route path, e.g. '/slack/messages'
+     * @param {Object} params Query parameters
+     * @param {string} key Response key holding the items
+     * @param {Object} [options] Options
+     * @param {AbortSignal} [options.signal] Aborts the request
+     * @returns {Promise<Array>} The items
+     */
+    async get(path, params, key, { signal } = {}) {
+      const response = await axios.get(`${baseUrl}${path}`, {
+        headers: {
+          Authorization: authorization
+        },
+        params,
+        signal
+      });
+
+      return response.data[key] || [];
+    }
+  };
+}
+
+module.exports = {
+  apiContextFromRequest,
+  internalApiContext,
+  createApiClient
+};
@@ -0,0 +1,48 @@
+/**
+ * Errors raised while running a source pipeline
+ */
+
+/**
+ * Raised when a pipeline stage fails; records which source and stage
+ */
+class SourcePipelineError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} details Error details
+   * @param {string} details.source The source being run
+   * @param {string} details.stage The stage that failed (fetch, incremental, prepare, ai, store)
+   * @param {string} [details.code] Machine-readable code
+   * @param {Error} [details.cause] The underlying error
+   */
+  constructor(message, { source, stage, code = 'PIPELINE_FAILED', cause } = {}) {
+    super(message);
+    this.name = 'SourcePipelineError';
+    this.code = code;
+    this.source = source;
+    this.stage = stage;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Describe a source failure for the structured `errors` array
+ * @param {string} source The source
+ * @param {Error} error The error
+ * @returns {Object} { source, stage, code, message, validation_errors }
+ */
+function toErrorEntry(source, error) {
+  const cause = error.cause || error;
+
+  return {
+    source,
+    stage: error.stage || null,
+    code: error.code || 'PIPELINE_FAILED',
+    message: error.message,
+    validation_errors: Array.isArray(cause.errors) ? cause.errors : undefined
+  };
+}
+
+module.exports = {
+  SourcePipelineError,
+  toErrorEntry
+};
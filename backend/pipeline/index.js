@@ -0,0 +1,18 @@
+const sourcePipeline = require('./sourcePipeline');
+const { apiContextFromRequest, internalApiContext } = require('./apiClient');
+const { DEFAULT_DAYS, summarizeCombined, runSummarize } = require('./summarizeRun');
+
+// Every summarizable source registers here
+sourcePipeline.registerSource(require('./sources/slack'));
+sourcePipeline.registerSource(require('./sources/zendesk'));
+sourcePipeline.registerSource(require('./sources/harvest'));
+sourcePipeline.registerSource(require('./sources/email'));
+
+module.exports = {
+  ...sourcePipeline,
+  DEFAULT_DAYS,
+  summarizeCombined,
+  runSummarize,
+  apiContextFromRequest,
+  internalApiContext
+};
@@ -0,0 +1,311 @@
+const contextStore = require('../memory/contextStore');
+const watermarkStore = require('../memory/watermarkStore');
+const experimentStore = require('../memory/experimentStore');
+const summaryStore = require('../memory/summaryStore');
+const { getPromptTemplates } = require('../templates');
+const { postApprovalCards } = require('../slack/approvalCards');
+const { processInChunks } = require('../ai/mapReduce');
+const { mapWithConcurrency, withTimeout } = require('../utils/concurrency');
+const { createApiClient } = require('./apiClient');
+const { SourcePipelineError, toErrorEntry } = require('./errors');
+const logger = require('../utils/logger');
+
+// Registered sources, keyed by name
+const sources = new Map();
+
+// AI providers rate-limit, so only a few sources run at once by default
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_SOURCE_TIMEOUT_MS = 3 * 60 * 1000;
+
+/**
+ * Register a source
+ *
+ * A source describes how to fetch its items and which prompt summarizes them:
+ * {
+ *   name: 'slack',
+ *   promptName: 'slack-summary',
+ *   defaultDays: 1,
+ *   fetchers: { messages: (api, { days, signal }) => Promise<Array> },
+ *   incremental: true,            // filter the first item key by the source's high-water mark
+ *   emptySummary: previousSummary => 'No recent Slack messages to summarize.',
+ *   replyService: 'slack',        // optional; where suggested replies go, picks the reply templates (default: name)
+ *   summaryExtras: (data, summary) => ({}),  // optional; fields worked out from the fetched data that replace the summary's, e.g. at_risk
+ *   prepare: async data => {},    // optional; runs on the fetched data before it is summarized, e.g. to claim what the summary will suggest
+ *   afterStore: async (data, result, storedSummary) => {}  // optional
+ * }
+ * @param {Object} source The source definition
+ */
+function registerSource(source) {
+  sources.set(source.name, source);
+}
+
+/**
+ * Get a registered source
+ * @param {string} name The source name
+ * @returns {Object|undefined} The source definition
+ */
+function getSource(name) {
+  return sources.get(name);
+}
+
+/**
+ * List registered source names
+ * @returns {Array<string>} Source names in registration order
+ */
+function getSourceNames() {
+  return [...sources.keys()];
+}
+
+/**
+ * Get the timeout for one source
+ * @param {string} name The source name
+ * @returns {number} Timeout in milliseconds (0 disables it)
+ */
+function getSourceTimeout(name) {
+  const specific = process.env[`SUMMARIZE_${name.toUpperCase()}_TIMEOUT_MS`];
+  const value = parseInt(specific !== undefined ? specific : process.env.SUMMARIZE_SOURCE_TIMEOUT_MS);
+  return Number.isFinite(value) ? value : DEFAULT_SOURCE_TIMEOUT_MS;
+}
+
+/**
+ * Describe the period a summary covers, for the {{DATE_RANGE}} prompt variable
+ * @param {number} days Number of days looked back
+ * @returns {string} e.g. "2024-05-01 to 2024-05-07 (last 7 days)"
+ */
+function describeDateRange(days) {
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+  return `${from.toISOString().split('T')[0]} to ${to.toISOString().split('T')[0]} (last ${days} day${days === 1 ? '' : 's'})`;
+}
+
+/**
+ * Run one stage, turning failures into a SourcePipelineError
+ * @param {string} source The source name
+ * @param {string} stage The stage name
+ * @param {Function} fn Async stage function
+ * @param {AbortSignal} [signal] Stops the run before the stage if aborted
+ * @returns {Promise<*>} The stage result
+ */
+async function runStage(source, stage, fn, signal) {
+  if (signal && signal.aborted) {
+    throw new SourcePipelineError(`${source} was cancelled before ${stage}`, {
+      source,
+      stage,
+      code: (signal.reason && signal.reason.code) || 'CANCELLED',
+      cause: signal.reason
+    });
+  }
+
+  try {
+    return await fn();
+  } catch (error) {
+    if (error instanceof SourcePipelineError) {
+      throw error;
+    }
+
+    throw new SourcePipelineError(`${source} ${stage} failed: ${error.message}`, {
+      source,
+      stage,
+      code: error.code && stage !== 'fetch' ? error.code : `${stage.toUpperCase()}_FAILED`,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Narrow fetched items down to those newer than the source's high-water mark
+ * @param {string} source The source name
+ * @param {Array} items The fetched items
+ * @returns {Promise<Object>} { items, previousSummary }
+ */
+async function filterIncremental(source, items) {
+  const watermark = await watermarkStore.getWatermark(source);
+  const newItems = watermarkStore.filterNewItems(source, items, watermark);
+
+  logger.info(`Incremental ${source} run: ${newItems.length} of ${items.length} items are new`);
+
+  return {
+    items: newItems,
+    previousSummary: await watermarkStore.getPreviousSummary(watermark)
+  };
+}
+
+/**
+ * Fetch, summarize and store one source
+ * @param {string} name The source name
+ * @param {Object} options Run options
+ * @param {Object} options.api API context ({ baseUrl, authorization }) for fetching
+ * @param {number} [options.days] Days to look back (defaults to the source's default)
+ * @param {boolean} [options.incremental] Only summarize items newer than the last run (default: true)
+ * @param {Object} [options.provided] Items passed in by the caller, keyed like the source's fetchers
+ * @param {Function} [options.onProgress] Called with progress events
+ * @param {AbortSignal} [options.signal] Stops the run at the next stage when aborted
+ * @returns {Promise<Object>} { success, summary_id, summary, action_items, suggested_messages }
+ */
+async function runSource(name, { api, days, incremental = true, provided = {}, onProgress, signal } = {}) {
+  const source = getSource(name);
+  if (!source) {
+    throw new SourcePipelineError(`Unknown service: ${name}`, { source: name, stage: 'resolve', code: 'UNKNOWN_SOURCE' });
+  }
+
+  const runDays = days || source.defaultDays;
+  // Progress from a timed-out run would confuse the stream it belonged to
+  const progress = event => {
+    if (onProgress && !(signal && signal.aborted)) onProgress(event);
+  };
+  const client = createApiClient(api);
+  const itemKeys = Object.keys(source.fetchers);
+
+  // Fetch whatever the caller didn't pass in
+  progress({ type: 'fetching', source: name });
+  const data = {};
+  for (const key of itemKeys) {
+    data[key] = provided[key] || await runStage(name, 'fetch', () => source.fetchers[key](client, { days: runDays, signal }), signal);
+  }
+  const fetchedCount = itemKeys.reduce((sum, key) => sum + (data[key] || []).length, 0);
+
+  // Only summarize what arrived since the last run (unless items were passed in)
+  let previousSummary = null;
+  const incrementalKey = itemKeys[0];
+  if (source.incremental && incremental && !provided[incrementalKey] && watermarkStore.supports(name)) {
+    const filtered = await runStage(name, 'incremental', () => filterIncremental(name, data[incrementalKey]), signal);
+    data[incrementalKey] = filtered.items;
+    previousSummary = filtered.previousSummary;
+  }
+
+  if (source.prepare) {
+    await runStage(name, 'prepare', () => source.prepare(data), signal);
+  }
+
+  const items = itemKeys.flatMap(key => data[key] || []);
+  progress({ type: 'fetched', source: name, count: fetchedCount, new: items.length });
+
+  // Computed fields such as at_risk come from the data, not the AI
+  const addExtras = summary => ({ ...summary, ...(source.summaryExtras ? source.summaryExtras(data, summary) : {}) });
+
+  if (items.length === 0) {
+    return addExtras({
+      success: true,
+      summary: source.emptySummary(previousSummary),
+      action_items: [],
+      suggested_messages: []
+    });
+  }
+
+  const result = await runStage(name, 'ai', async () => {
+    const clientContext = await contextStore.getRelevantClientContext(items);
+    const prompt = await experimentStore.assignPrompt(source.promptName);
+    const replyTemplates = await getPromptTemplates(source.replyService || name);
+
+    const summary = await processInChunks(prompt.template, {
+      ...data,
+      context: clientContext,
+      ...(previousSummary ? { previous_summary: previousSummary } : {})
+    }, { source: name, promptName: source.promptName, variables: { DATE_RANGE: describeDateRange(runDays) }, replyTemplates, onProgress: progress });
+
+    return { prompt, summary: addExtras(summary) };
+  }, signal);
+
+  const stored = await runStage(name, 'store', async () => {
+    const storedSummary = await summaryStore.storeSummary(name, result.summary, result.prompt);
+
+    // Remember how far this source has been summarized
+    if (source.incremental && !provided[incrementalKey] && storedSummary && watermarkStore.supports(name)) {
+      const highWaterMark = watermarkStore.getHighWaterMark(name, data[incrementalKey]);
+      if (highWaterMark !== null) {
+        await watermarkStore.setWatermark(name, highWaterMark, storedSummary.id);
+      }
+    }
+
+    if (source.afterStore) {
+      await source.afterStore(data, result.summary, storedSummary);
+    }
+
+    // Suggested replies can be approved from Slack as well as the dashboard
+    await postApprovalCards(storedSummary);
+
+    return storedSummary;
+  }, signal);
+
+  progress({ type: 'stored', source: name, summary_id: stored ? stored.id : null });
+
+  return {
+    success: true,
+    summary_id: stored ? stored.id : undefined,
+    ...result.summary
+  };
+}
+
+/**
+ * Run several sources concurrently, isolating failures
+ *
+ * Each source gets its own timeout. A source that fails or times out is
+ * reported in `errors` and as a failed entry in `results`; the others still
+ * complete.
+ * @param {Array<string>} names Source names
+ * @param {Object} options Run options (see runSource), plus:
+ * @param {Object} [options.days] Days to look back, per source name or one number for all
+ * @param {number} [options.concurrency] Maximum sources running at once (SUMMARIZE_CONCURRENCY)
+ * @param {Function} [options.onSourceComplete] Called with (name, result) as each source finishes
+ * @param {Function} [options.onSourceError] Called with (name, errorEntry) when a source fails
+ * @param {Function} [options.isCancelled] Checked before each source starts
+ * @returns {Promise<Object>} { results, errors }
+ */
+async function runSources(names, options = {}) {
+  const { days = {}, concurrency, onSourceComplete, onSourceError, isCancelled, ...runOptions } = options;
+  const limit = concurrency || parseInt(process.env.SUMMARIZE_CONCURRENCY) || DEFAULT_CONCURRENCY;
+
+  const settled = await mapWithConcurrency(names, limit, name => {
+    const controller = new AbortController();
+    const timeoutMs = getSourceTimeout(name);
+
+    return withTimeout(runSource(name, {
+      ...runOptions,
+      days: days && typeof days === 'object' ? days[name] : days,
+      signal: controller.signal
+    }), timeoutMs, {
+      message: `${name} timed out after ${timeoutMs}ms`,
+      controller
+    }).then(result => {
+      if (onSourceComplete) onSourceComplete(name, result);
+      return result;
+    });
+  }, { isCancelled });
+
+  const results = {};
+  const errors = [];
+
+  settled.forEach((outcome, index) => {
+    const name = names[index];
+
+    if (outcome.status === 'fulfilled') {
+      results[name] = outcome.value;
+    } else if (outcome.status === 'rejected') {
+      const entry = toErrorEntry(name, outcome.reason);
+      logger.error(`Error processing ${name}:`, outcome.reason);
+
+      errors.push(entry);
+      results[name] = {
+        success: false,
+        error: `Failed to process ${name}`,
+        details: entry.message,
+        code: entry.code,
+        validation_errors: entry.validation_errors
+      };
+
+      if (onSourceError) onSourceError(name, entry);
+    }
+  });
+
+  return { results, errors };
+}
+
+module.exports = {
+  registerSource,
+  getSource,
+  getSourceNames,
+  runSource,
+  runSources,
+  describeDateRange
+};
@@ -0,0 +1,24 @@
+const summaryStore = require('../../memory/summaryStore');
+
+/**
+ * Email source: recent Gmail messages
+ */
+module.exports = {
+  name: 'email',
+  promptName: 'email-summary',
+  defaultDays: 3,
+  incremental: true,
+  fetchers: {
+    emails: (api, { days, signal }) => api.get('/email/messages', { days }, 'emails', { signal })
+  },
+  emptySummary: previousSummary => (previousSummary
+    ? 'No new emails since the last summary.'
+    : 'No recent emails to summarize.'),
+
+  // Keep the suggested reply next to each email it answers
+  async afterStore(data, result) {
+    if (result.suggested_messages && result.suggested_messages.length > 0) {
+      await summaryStore.updateEmailSuggestedReplies(data.emails, result.suggested_messages);
+    }
+  }
+};
@@ -0,0 +1,47 @@
+const {
+  getReminders,
+  getMissingContactActions,
+  claimReminders,
+  linkReminders,
+  releaseReminders
+} = require('../../harvest/invoiceAging');
+
+/**
+ * Harvest source: time entries, open invoices with their aging, and project
+ * budget burn
+ *
+ * Not incremental: invoices stay relevant until they are paid, whenever they
+ * were created. Reminders for overdue invoices are drafted from the aging
+ * report rather than by the model.
+ */
+module.exports = {
+  name: 'harvest',
+  promptName: 'harvest-summary',
+  defaultDays: 7,
+  incremental: false,
+  // Invoice reminders go out by email
+  replyService: 'email',
+  fetchers: {
+    timeEntries: (api, { days, signal }) => api.get('/harvest/time', { days }, 'timeEntries', { signal }),
+    invoices: (api, { signal }) => api.get('/harvest/invoices', {}, 'invoices', { signal }),
+    budgets: (api, { signal }) => api.get('/harvest/budgets', {}, 'budgets', { signal }),
+    aging: (api, { signal }) => api.get('/harvest/invoices/aging', {}, 'clients', { signal })
+  },
+  summaryExtras: (data, summary) => ({
+    action_items: [...(summary.action_items || []), ...getMissingContactActions(data.aging || [])],
+    suggested_messages: [...getReminders(data.aging || []), ...(summary.suggested_messages || [])]
+  }),
+  // Each reminder stage fires once per invoice; claiming it before the AI call keeps overlapping runs from both drafting it
+  prepare: async data => {
+    data.aging = await claimReminders(data.aging || []);
+  },
+  afterStore: async (data, result, storedSummary) => {
+    if (storedSummary) {
+      await linkReminders(data.aging || [], storedSummary.id);
+    } else {
+      // Nothing carries the drafts, so a later run should draft them again
+      await releaseReminders(data.aging || []);
+    }
+  },
+  emptySummary: () => 'No recent Harvest data to summarize.'
+};
@@ -0,0 +1,15 @@
+/**
+ * Slack source: messages from the channels the bot has joined
+ */
+module.exports = {
+  name: 'slack',
+  promptName: 'slack-summary',
+  defaultDays: 1,
+  incremental: true,
+  fetchers: {
+    messages: (api, { days, signal }) => api.get('/slack/messages', { days }, 'messages', { signal })
+  },
+  emptySummary: previousSummary => (previousSummary
+    ? 'No new Slack messages since the last summary.'
+    : 'No recent Slack messages to summarize.')
+};
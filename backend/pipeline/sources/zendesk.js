@@ -0,0 +1,21 @@
+/**
+ * Zendesk source: recently updated tickets, plus unsolved tickets at risk of
+ * missing their reply targets
+ *
+ * The at-risk list isn't filtered by the high-water mark: a ticket that
+ * hasn't changed since the last run can still be about to breach.
+ */
+module.exports = {
+  name: 'zendesk',
+  promptName: 'zendesk-summary',
+  defaultDays: 7,
+  incremental: true,
+  fetchers: {
+    tickets: (api, { days, signal }) => api.get('/zendesk/tickets', { days }, 'tickets', { signal }),
+    sla: (api, { signal }) => api.get('/zendesk/sla', {}, 'at_risk', { signal })
+  },
+  summaryExtras: data => ({ at_risk: data.sla || [] }),
+  emptySummary: previousSummary => (previousSummary
+    ? 'No new Zendesk tickets since the last summary.'
+    : 'No recent Zendesk tickets to summarize.')
+};
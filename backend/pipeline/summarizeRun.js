@@ -0,0 +1,85 @@
+const experimentStore = require('../memory/experimentStore');
+const summaryStore = require('../memory/summaryStore');
+const { synthesizeSummaries } = require('../ai/synthesis');
+const { runSources } = require('./sourcePipeline');
+const { toErrorEntry } = require('./errors');
+
+// Look-back windows used when a caller doesn't pass its own
+const DEFAULT_DAYS = { slack: 1, zendesk: 7, harvest: 7, email: 3 };
+
+/**
+ * Correlate freshly generated service summaries into one combined briefing
+ * @param {Object} results Service results keyed by service name
+ * @param {Function} [onProgress] Called with progress events
+ * @returns {Promise<Object>} The combined result
+ */
+async function summarizeCombined(results, onProgress) {
+  const sourceSummaries = Object.entries(results)
+    .filter(([, result]) => result.success && result.summary)
+    .map(([service, result]) => ({ source: service, ...result }));
+
+  const combinedPrompt = await experimentStore.assignPrompt('synthesis-summary');
+  const comprehensiveSummary = await synthesizeSummaries(sourceSummaries, {
+    source: 'combined',
+    prompt: combinedPrompt,
+    onProgress
+  });
+
+  // Store the comprehensive summary
+  const combinedStored = await summaryStore.storeSummary('combined', comprehensiveSummary, combinedPrompt);
+
+  if (onProgress) {
+    onProgress({ type: 'stored', source: 'combined', summary_id: combinedStored ? combinedStored.id : null });
+  }
+
+  return {
+    success: true,
+    summary_id: combinedStored ? combinedStored.id : undefined,
+    ...comprehensiveSummary
+  };
+}
+
+/**
+ * Summarize several services, then combine whatever succeeded into one briefing
+ *
+ * Used by summarize jobs, however they were queued. The combined
+ * result is reported through onSourceComplete/onSourceError as source 'combined'.
+ * @param {Array<string>} services Source names
+ * @param {Object} options Run options (see runSources)
+ * @param {boolean} [options.combine] Build the combined briefing (default: true)
+ * @param {Function} [options.isCancelled] Also skips the combined step once it returns true
+ * @returns {Promise<Object>} { results, errors }
+ */
+async function runSummarize(services, options = {}) {
+  const { days = DEFAULT_DAYS, combine = true, onProgress, onSourceComplete, onSourceError, isCancelled, ...runOptions } = options;
+
+  // Each service runs in its own pipeline; one failing doesn't stop the others
+  const { results, errors } = await runSources(services, {
+    ...runOptions,
+    days,
+    onProgress,
+    onSourceComplete,
+    onSourceError,
+    isCancelled
+  });
+
+  if (combine && Object.values(results).some(result => result.success) && !(isCancelled && isCancelled())) {
+    try {
+      results.combined = await summarizeCombined(results, onProgress);
+      if (onSourceComplete) onSourceComplete('combined', results.combined);
+    } catch (combineError) {
+      console.error('Error generating combined summary:', combineError);
+      const entry = toErrorEntry('combined', combineError);
+      errors.push(entry);
+      if (onSourceError) onSourceError('combined', entry);
+    }
+  }
+
+  return { results, errors };
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  summarizeCombined,
+  runSummarize
+};
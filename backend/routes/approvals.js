@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const approvalStore = require('../memory/approvalStore');
+const replyStore = require('../memory/replyStore');
+const { getDispatcherNames, getDispatchErrorStatus } = require('../dispatchers');
+const { decideReply, listApprovals } = require('../dispatchers/approvals');
+const logger = require('../utils/logger');
+
+/**
+ * Check policy fields from a request body
+ * @param {Object} fields The request body
+ * @param {Object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields that were given (for updates)
+ * @returns {string|null} The error message, or null if valid
+ */
+function validatePolicyFields(fields, { partial = false } = {}) {
+  const { name, services, client_tags, keywords, required_approvals, required_role } = fields;
+  
+  if (!partial && !name) {
+    return 'Missing required field: name';
+  }
+  
+  if (services !== undefined) {
+    const serviceNames = getDispatcherNames();
+    if (!Array.isArray(services)) {
+      return 'services must be an array';
+    }
+    const unknown = services.filter(service => !serviceNames.includes(service));
+    if (unknown.length > 0) {
+      return `Unknown services: ${unknown.join(', ')}. Use ${serviceNames.join(', ')}`;
+    }
+  }
+  
+  for (const [field, value] of Object.entries({ client_tags, keywords })) {
+    if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim()))) {
+      return `${field} must be an array of strings`;
+    }
+  }
+  
+  if (required_approvals !== undefined && !(Number.isInteger(required_approvals) && required_approvals > 0)) {
+    return 'required_approvals must be a positive whole number';
+  }
+  
+  if (required_role !== undefined && required_role !== null && typeof required_role !== 'string') {
+    return 'required_role must be a string';
+  }
+  
+  return null;
+}
+
+/**
+ * @route GET /api/approvals/me
+ * @desc Get who the signed-in approver is
+ * @access Private (Admin, Approvers)
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+/**
+ * @route GET /api/approvals/policies
+ * @desc List approval policies
+ * @access Private (Admin, Approvers)
+ */
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await approvalStore.listPolicies();
+    
+    res.json({
+      success: true,
+      policies
+    });
+  } catch (error) {
+    logger.error('Error in GET /approvals/policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch approval policies',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/approvals/policies
+ * @desc Create an approval policy
+ * @access Private (Admin)
+ */
+router.post('/policies', async (req, res) => {
+  try {
+    const validationError = validatePolicyFields(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const policy = await approvalStore.createPolicy(req.body);
+    
+    res.status(201).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    logger.error('Error in POST /approvals/policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create approval policy',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/approvals/policies/:id
+ * @desc Update an approval policy (e.g. disable it)
+ * @access Private (Admin)
+ */
+router.patch('/policies/:id', async (req, res) => {
+  try {
+    const validationError = validatePolicyFields(req.body, { partial: true });
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const policy = await approvalStore.updatePolicy(req.params.id, req.body);
+    
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approval policy not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    logger.error(`Error in PATCH /approvals/policies/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update approval policy',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/approvals/policies/:id
+ * @desc Delete an approval policy
+ * @access Private (Admin)
+ */
+router.delete('/policies/:id', async (req, res) => {
+  try {
+    const deleted = await approvalStore.deletePolicy(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approval policy not found'
+      });
+    }
+    
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    logger.error(`Error in DELETE /approvals/policies/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete approval policy',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/approvals
+ * @desc List replies waiting for approval, with each policy's progress and the decisions so far
+ * @access Private (Admin, Approvers)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const replies = await listApprovals({ status: req.query.status });
+    
+    res.json({
+      success: true,
+      replies
+    });
+  } catch (error) {
+    logger.error('Error in GET /approvals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch approvals',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/approvals/:replyId/approve
+ * @desc Approve a reply; it moves to the outbox once every policy has its approvals
+ * @access Private (Admin, Approvers)
+ */
+router.post('/:replyId/approve', async (req, res) => {
+  try {
+    const reply = await decideReply(req.params.replyId, req.user, approvalStore.DECISION.APPROVED, (req.body || {}).comment);
+    
+    res.json({
+      success: true,
+      replyId: reply.id,
+      status: reply.status,
+      sendAt: reply.status === replyStore.REPLY_STATUS.SCHEDULED ? reply.send_at : null
+    });
+  } catch (error) {
+    logger.error(`Error in POST /approvals/${req.params.replyId}/approve:`, error);
+    res.status(getDispatchErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to approve reply',
+      details: error.message,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * @route POST /api/approvals/:replyId/reject
+ * @desc Reject a reply so it is never sent
+ * @access Private (Admin, Approvers)
+ */
+router.post('/:replyId/reject', async (req, res) => {
+  try {
+    const reply = await decideReply(req.params.replyId, req.user, approvalStore.DECISION.REJECTED, (req.body || {}).comment);
+    
+    res.json({
+      success: true,
+      replyId: reply.id,
+      status: reply.status
+    });
+  } catch (error) {
+    logger.error(`Error in POST /approvals/${req.params.replyId}/reject:`, error);
+    res.status(getDispatchErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to reject reply',
+      details: error.message,
+      code: error.code
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { buildDigest, deliverDigest, getConfiguredChannels, renderSubject, renderText, renderHtml, renderSlackBlocks } = require('../digest');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/digest/preview
+ * @desc Render the morning digest without sending it
+ * @access Private (Admin)
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const lookbackHours = parseInt(req.query.hours) || undefined;
+    const digest = await buildDigest({ lookbackHours });
+
+    if (format === 'html') {
+      return res.type('html').send(renderHtml(digest));
+    }
+
+    if (format === 'text') {
+      return res.type('text').send(renderText(digest));
+    }
+
+    if (format === 'slack') {
+      return res.json({
+        success: true,
+        ...renderSlackBlocks(digest)
+      });
+    }
+
+    res.json({
+      success: true,
+      subject: renderSubject(digest),
+      channels: getConfiguredChannels(),
+      digest
+    });
+  } catch (error) {
+    logger.error('Error in GET /digest/preview:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build digest',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/digest/send
+ * @desc Send the morning digest now
+ * @access Private (Admin)
+ */
+router.post('/send', async (req, res) => {
+  try {
+    const { channels, hours } = req.body;
+
+    if (channels !== undefined && (!Array.isArray(channels) || channels.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'channels must be a non-empty array, e.g. ["email", "slack"]'
+      });
+    }
+
+    const result = await deliverDigest({ channels, lookbackHours: parseInt(hours) || undefined });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error in POST /digest/send:', error);
+    res.status(error.result ? 502 : 500).json({
+      success: false,
+      error: 'Failed to send digest',
+      details: error.message,
+      deliveries: error.result ? error.result.deliveries : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const experimentStore = require('../memory/experimentStore');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/experiments
+ * @desc List prompt experiments
+ * @access Private (Admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const experiments = await experimentStore.listExperiments();
+    
+    res.json({
+      success: true,
+      experiments
+    });
+  } catch (error) {
+    logger.error('Error in GET /experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch experiments',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/experiments
+ * @desc Start an A/B experiment between prompt versions
+ * @access Private (Admin)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { prompt, variants, description } = req.body;
+    
+    if (!prompt || !Array.isArray(variants) || variants.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'A prompt name and at least two variants are required'
+      });
+    }
+    
+    if (variants.some(variant => !Number.isInteger(parseInt(variant.version)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every variant needs a prompt version'
+      });
+    }
+    
+    const experiment = await experimentStore.createExperiment(prompt, variants, description);
+    
+    res.status(201).json({
+      success: true,
+      experiment
+    });
+  } catch (error) {
+    logger.error('Error in POST /experiments:', error);
+    res.status(error.message.includes('has no version') ? 400 : 500).json({
+      success: false,
+      error: 'Failed to start experiment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/experiments/:id
+ * @desc Get an experiment with approval, edit and rejection rates per variant
+ * @access Private (Admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const stats = await experimentStore.getExperimentStats(req.params.id);
+    
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    logger.error(`Error in GET /experiments/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch experiment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/experiments/:id/stop
+ * @desc Stop an experiment and keep the current active prompt
+ * @access Private (Admin)
+ */
+router.post('/:id/stop', async (req, res) => {
+  try {
+    const experiment = await experimentStore.stopExperiment(req.params.id);
+    
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      experiment
+    });
+  } catch (error) {
+    logger.error(`Error in POST /experiments/${req.params.id}/stop:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop experiment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/experiments/:id/promote
+ * @desc Make a variant's prompt version the active one and end the experiment
+ * @access Private (Admin)
+ */
+router.post('/:id/promote', async (req, res) => {
+  try {
+    const { variant } = req.body;
+    
+    if (!variant) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: variant'
+      });
+    }
+    
+    const experiment = await experimentStore.promoteVariant(req.params.id, variant);
+    
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      experiment
+    });
+  } catch (error) {
+    logger.error(`Error in POST /experiments/${req.params.id}/promote:`, error);
+    res.status(error.message.includes('has no variant') ? 400 : 500).json({
+      success: false,
+      error: 'Failed to promote variant',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
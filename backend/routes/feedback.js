@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const feedbackHandler = require('../memory/feedbackHandler');
+const summaryStore = require('../memory/summaryStore');
+const { releaseRejectedReminder } = require('../harvest/invoiceAging');
 const logger = require('../utils/logger');
 
 /**
@@ -12,15 +14,18 @@ router.post('/', async (req, res) => {
   try {
     const feedbackData = req.body;
     
-    if (!feedbackData || !feedbackData.type) {
+    // The dashboard sends the rating as `action`; older clients send `rating` or `type`
+    const rating = feedbackData && (feedbackData.rating || feedbackData.type || feedbackData.action);
+    
+    if (!rating) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid feedback data. Type is required.'
+        error: 'Invalid feedback data. Action is required.'
       });
     }
     
     // Extract parameters from feedbackData
-    const { summaryId, rating, comment, userId } = feedbackData;
+    const { summaryId, comment, userId, suggestionIndex } = feedbackData;
     
     if (!summaryId) {
       return res.status(400).json({
@@ -30,7 +35,7 @@ router.post('/', async (req, res) => {
     }
     
     // Store the feedback using the feedbackHandler
-    const result = await feedbackHandler.storeFeedback(summaryId, rating || feedbackData.type, comment || feedbackData.content, userId);
+    const result = await feedbackHandler.storeFeedback(summaryId, rating, comment || feedbackData.content, userId, suggestionIndex);
     
     if (!result) {
       return res.status(500).json({
@@ -39,6 +44,12 @@ router.post('/', async (req, res) => {
       });
     }
     
+    // A rejected invoice reminder draft frees its stage, so a later run drafts it again
+    if (result.rating === 'rejected' && Number.isInteger(suggestionIndex)) {
+      const summary = await summaryStore.getSummary(summaryId);
+      await releaseRejectedReminder(summary && (summary.suggested_messages || [])[suggestionIndex]);
+    }
+    
     res.json({
       success: true,
       message: 'Feedback stored successfully',
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const { google } = require('googleapis');
+const { getGmailAuth } = require('../utils/gmailClient');
 const { createClient } = require('@supabase/supabase-js');
 
 // Initialize Supabase client
@@ -46,24 +47,6 @@ router.get('/messages', async (req, res) => {
   }
 });
 
-/**
- * Authenticate with Gmail API
- * @returns {Promise<OAuth2Client>} Authenticated OAuth2 client
- */
-async function getGmailAuth() {
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GMAIL_CLIENT_ID,
-    process.env.GMAIL_CLIENT_SECRET,
-    'https://developers.google.com/oauthplayground' // Redirect URI
-  );
-  
-  oauth2Client.setCredentials({
-    refresh_token: process.env.GMAIL_REFRESH_TOKEN
-  });
-  
-  return oauth2Client;
-}
-
 /**
  * Fetch emails from Gmail API
  * @param {string} afterDate Date string in YYYY/MM/DD format
@@ -131,6 +114,7 @@ async function fetchEmails(afterDate, unreadOnly) {
           return {
             id: message.id,
             threadId,
+            internalDate: msgRes.data.internalDate,
             snippet: msgRes.data.snippet,
             subject,
             from,
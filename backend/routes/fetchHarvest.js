@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { harvestGetAllPages, getProjects, getClients } = require('../utils/harvestClient');
+const { BUDGET_STATUS, DEFAULT_BURN_DAYS, getBudgetBurn } = require('../harvest/budgets');
+const { getAgingReport } = require('../harvest/invoiceAging');
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -68,53 +70,79 @@ router.get('/invoices', async (req, res) => {
 });
 
 /**
- * Fetch time entries from Harvest API
- * @param {string} fromDate Date string in YYYYMMDD format
- * @returns {Promise<Array>} Array of time entries
+ * @route GET /api/harvest/invoices/aging
+ * @desc Open Harvest invoices bucketed by days overdue per client, with the reminder drafts that are due
+ * @access Private (Admin)
  */
-async function fetchTimeEntries(fromDate) {
+router.get('/invoices/aging', async (req, res) => {
   try {
-    const response = await axios.get('https://api.harvestapp.com/v2/time_entries', {
-      headers: {
-        'Authorization': `Bearer ${process.env.HARVEST_ACCESS_TOKEN}`,
-        'Harvest-Account-ID': process.env.HARVEST_ACCOUNT_ID,
-        'User-Agent': 'Stealth AI Ops Assistant (support@example.com)'
-      },
-      params: {
-        from: fromDate,
-        is_running: false
-      }
-    });
-    
-    // Enrich time entries with project and client information
-    const timeEntries = response.data.time_entries;
+    const report = await getAgingReport();
     
-    // Get all projects for reference
-    const projectsResponse = await axios.get('https://api.harvestapp.com/v2/projects', {
-      headers: {
-        'Authorization': `Bearer ${process.env.HARVEST_ACCESS_TOKEN}`,
-        'Harvest-Account-ID': process.env.HARVEST_ACCOUNT_ID,
-        'User-Agent': 'Stealth AI Ops Assistant (support@example.com)'
-      }
+    res.json({
+      success: true,
+      as_of: report.as_of,
+      totals: report.totals,
+      count: report.clients.length,
+      clients: report.clients
+    });
+  } catch (error) {
+    console.error('Error building Harvest invoice aging report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build Harvest invoice aging report',
+      details: error.message
     });
+  }
+});
+
+/**
+ * @route GET /api/harvest/budgets
+ * @desc Budget burn for active Harvest projects, with the ones at risk of running over first
+ * @access Private (Admin)
+ */
+router.get('/budgets', async (req, res) => {
+  try {
+    const { days = DEFAULT_BURN_DAYS } = req.query;
     
-    const projects = projectsResponse.data.projects;
+    const budgets = await getBudgetBurn({ days: parseInt(days) || DEFAULT_BURN_DAYS });
     
-    // Get all clients for reference
-    const clientsResponse = await axios.get('https://api.harvestapp.com/v2/clients', {
-      headers: {
-        'Authorization': `Bearer ${process.env.HARVEST_ACCESS_TOKEN}`,
-        'Harvest-Account-ID': process.env.HARVEST_ACCOUNT_ID,
-        'User-Agent': 'Stealth AI Ops Assistant (support@example.com)'
-      }
+    res.json({
+      success: true,
+      count: budgets.length,
+      at_risk: budgets.filter(budget => budget.status !== BUDGET_STATUS.ON_TRACK),
+      budgets
+    });
+  } catch (error) {
+    console.error('Error fetching Harvest budgets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Harvest budgets',
+      details: error.message
     });
+  }
+});
+
+/**
+ * Fetch time entries from Harvest API
+ * @param {string} fromDate Date string in YYYYMMDD format
+ * @returns {Promise<Array>} Array of time entries
+ */
+async function fetchTimeEntries(fromDate) {
+  try {
+    // Projects and clients come from the cached catalogs
+    const [timeEntries, projects, clients] = await Promise.all([
+      harvestGetAllPages('/time_entries', { from: fromDate, is_running: false }, 'time_entries'),
+      getProjects(),
+      getClients()
+    ]);
     
-    const clients = clientsResponse.data.clients;
+    const projectsById = new Map(projects.map(project => [project.id, project]));
+    const clientsById = new Map(clients.map(client => [client.id, client]));
     
     // Enrich time entries with project and client details
     return timeEntries.map(entry => {
-      const project = projects.find(p => p.id === entry.project.id);
-      const client = project ? clients.find(c => c.id === project.client.id) : null;
+      const project = projectsById.get(entry.project.id);
+      const client = project ? clientsById.get(project.client.id) : null;
       
       return {
         ...entry,
@@ -130,23 +158,12 @@ async function fetchTimeEntries(fromDate) {
 
 /**
  * Fetch invoices from Harvest API
- * @param {string} status Invoice status to filter by
+ * @param {string} status Invoice state to filter by (draft, open, paid or closed)
  * @returns {Promise<Array>} Array of invoices
  */
 async function fetchInvoices(status) {
   try {
-    const response = await axios.get('https://api.harvestapp.com/v2/invoices', {
-      headers: {
-        'Authorization': `Bearer ${process.env.HARVEST_ACCESS_TOKEN}`,
-        'Harvest-Account-ID': process.env.HARVEST_ACCOUNT_ID,
-        'User-Agent': 'Stealth AI Ops Assistant (support@example.com)'
-      },
-      params: {
-        status
-      }
-    });
-    
-    return response.data.invoices;
+    return await harvestGetAllPages('/invoices', { state: status }, 'invoices');
   } catch (error) {
     console.error('Error in fetchInvoices:', error);
     throw error;
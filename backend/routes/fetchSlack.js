@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { getAllSlackPages } = require('../utils/slackClient');
+const slackDirectory = require('../utils/slackDirectory');
+const slackMessageStore = require('../memory/slackMessageStore');
+
+// Days before the window searched for older threads that got replies in it (SLACK_THREAD_LOOKBACK_DAYS)
+const DEFAULT_THREAD_LOOKBACK_DAYS = 14;
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -15,22 +21,36 @@ const supabase = createClient(supabaseUrl, supabaseKey);
  */
 router.get('/messages', async (req, res) => {
   try {
-    const { days = 1, channels } = req.query;
+    const { days = 1, channels, source = process.env.SLACK_MESSAGE_SOURCE || 'api' } = req.query;
     const daysAgo = new Date();
     daysAgo.setDate(daysAgo.getDate() - parseInt(days));
     
-    // Convert to Unix timestamp (seconds)
-    const oldest = Math.floor(daysAgo.getTime() / 1000);
+    if (!['api', 'events'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'source must be api or events'
+      });
+    }
     
-    // If specific channels are requested, use those, otherwise fetch from all channels
-    const channelList = channels ? channels.split(',') : await getAllChannels();
+    let messages;
     
-    const messages = [];
-    
-    // Fetch messages from each channel
-    for (const channelId of channelList) {
-      const channelMessages = await fetchChannelMessages(channelId, oldest);
-      messages.push(...channelMessages);
+    if (source === 'events') {
+      // Messages the Events API receiver stored; no Slack calls needed
+      messages = await getReceivedMessages(daysAgo, channels ? channels.split(',') : []);
+    } else {
+      // Convert to Unix timestamp (seconds)
+      const oldest = Math.floor(daysAgo.getTime() / 1000);
+      
+      // If specific channels are requested, use those, otherwise fetch from all channels
+      const channelList = channels ? channels.split(',') : await getAllChannels();
+      
+      messages = [];
+      
+      // Fetch messages from each channel
+      for (const channelId of channelList) {
+        const channelMessages = await fetchChannelMessages(channelId, oldest);
+        messages.push(...channelMessages);
+      }
     }
     
     res.json({
@@ -54,27 +74,21 @@ router.get('/messages', async (req, res) => {
  */
 async function getAllChannels() {
   try {
-    const response = await axios.get('https://slack.com/api/conversations.list', {
-      headers: {
-        Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`
-      },
-      params: {
-        types: 'public_channel,private_channel',
-        exclude_archived: true,
-        limit: 1000
-      }
-    });
+    const channels = await getAllSlackPages('conversations.list', {
+      types: 'public_channel,private_channel',
+      exclude_archived: true,
+      limit: 1000
+    }, 'channels');
     
-    if (!response.data.ok) {
-      throw new Error(`Slack API error: ${response.data.error}`);
-    }
+    // The list already has each channel's metadata, so no conversations.info calls are needed later
+    slackDirectory.primeChannels(channels);
     
     // Auto-join public channels if SLACK_MODE is set to 'all'
     if (process.env.SLACK_MODE === 'all') {
-      await joinAllChannels(response.data.channels);
+      await joinAllChannels(channels);
     }
     
-    return response.data.channels.map(channel => channel.id);
+    return channels.map(channel => channel.id);
   } catch (error) {
     console.error('Error fetching channels:', error);
     throw error;
@@ -106,55 +120,192 @@ async function joinAllChannels(channels) {
   }
 }
 
+/**
+ * Get how many days before the window to look for threads with new replies
+ * @returns {number} Days (0 turns the lookback off)
+ */
+function getThreadLookbackDays() {
+  const days = parseInt(process.env.SLACK_THREAD_LOOKBACK_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_THREAD_LOOKBACK_DAYS;
+}
+
+/**
+ * Find threads started before the window that got replies in it
+ *
+ * History only lists top-level messages by when they were posted, so a new
+ * reply to an older thread doesn't show up in the window's history. The
+ * lookback period before the window is read instead, keeping parents whose
+ * latest_reply falls in the window. Threads started before the lookback
+ * period are still missed.
+ * @param {string} channelId The channel ID
+ * @param {number} oldest Unix timestamp the window starts at
+ * @returns {Promise<Array>} Thread parents, oldest first
+ */
+async function fetchActiveOlderThreads(channelId, oldest) {
+  const lookbackDays = getThreadLookbackDays();
+  if (lookbackDays === 0) {
+    return [];
+  }
+  
+  try {
+    const earlier = await getAllSlackPages('conversations.history', {
+      channel: channelId,
+      oldest: oldest - lookbackDays * 24 * 60 * 60,
+      latest: oldest,
+      limit: 200,
+      include_all_metadata: true
+    }, 'messages');
+    
+    return earlier
+      .filter(message => message.reply_count > 0 && message.thread_ts === message.ts)
+      .filter(message => parseFloat(message.latest_reply) >= oldest)
+      .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+  } catch (error) {
+    // The window's own messages are still worth returning
+    console.warn(`Could not look for active older threads in channel ${channelId}:`, error.message);
+    return [];
+  }
+}
+
 /**
  * Fetch messages from a specific channel
+ *
+ * Reads every page of the channel's history, then the replies of each thread
+ * started in the window. Threads started up to SLACK_THREAD_LOOKBACK_DAYS
+ * before the window that got replies in it are included too, parent first
+ * so the replies have their context. Replies follow their parent message and
+ * carry its thread_ts. Each message gets the author's name and email and has
+ * its mentions resolved to names.
  * @param {string} channelId The channel ID
  * @param {number} oldest Unix timestamp for oldest message to fetch
- * @returns {Promise<Array>} Array of messages
+ * @returns {Promise<Array>} Array of messages, oldest first
  */
 async function fetchChannelMessages(channelId, oldest) {
   try {
-    const response = await axios.get('https://slack.com/api/conversations.history', {
-      headers: {
-        Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`
-      },
-      params: {
+    const [history, olderThreads, channel] = await Promise.all([
+      getAllSlackPages('conversations.history', {
         channel: channelId,
         oldest,
-        limit: 100,
+        limit: 200,
         include_all_metadata: true
-      }
-    });
+      }, 'messages'),
+      fetchActiveOlderThreads(channelId, oldest),
+      slackDirectory.getChannel(channelId)
+    ]);
     
-    if (!response.data.ok) {
-      throw new Error(`Slack API error: ${response.data.error}`);
-    }
+    // History comes newest first; summaries read better in order
+    const topLevel = [
+      ...olderThreads,
+      ...history.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+    ];
     
-    // Get channel info for context
-    const channelInfo = await axios.get('https://slack.com/api/conversations.info', {
-      headers: {
-        Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`
-      },
-      params: {
-        channel: channelId
+    const messages = [];
+    for (const message of topLevel) {
+      messages.push(message);
+      
+      if (message.reply_count > 0 && message.thread_ts === message.ts) {
+        messages.push(...await fetchThreadReplies(channelId, message.ts, oldest));
       }
-    });
-    
-    if (!channelInfo.data.ok) {
-      throw new Error(`Slack API error: ${channelInfo.data.error}`);
     }
     
-    // Add channel name to each message
-    const channelName = channelInfo.data.channel.name;
-    return response.data.messages.map(msg => ({
-      ...msg,
-      channel_id: channelId,
-      channel_name: channelName
-    }));
+    return await describeMessages(messages, channelId, channel.name);
   } catch (error) {
     console.error(`Error fetching messages from channel ${channelId}:`, error);
     return []; // Return empty array instead of failing the entire request
   }
 }
 
+/**
+ * Fetch the replies in a thread
+ * @param {string} channelId The channel ID
+ * @param {string} threadTs The parent message's ts
+ * @param {number} oldest Unix timestamp for oldest reply to fetch
+ * @returns {Promise<Array>} Replies, oldest first, without the parent message
+ */
+async function fetchThreadReplies(channelId, threadTs, oldest) {
+  try {
+    const replies = await getAllSlackPages('conversations.replies', {
+      channel: channelId,
+      ts: threadTs,
+      oldest,
+      limit: 200
+    }, 'messages');
+    
+    // Slack returns the parent as the first message of every page set
+    return replies.filter(reply => reply.ts !== threadTs);
+  } catch (error) {
+    // Keep the parent message even if its thread can't be read
+    console.warn(`Could not fetch thread ${threadTs} in channel ${channelId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Add channel and author details to messages
+ * @param {Array} messages Slack messages
+ * @param {string} channelId The channel ID
+ * @param {string} channelName The channel name
+ * @returns {Promise<Array>} Messages with channel_name, user_name, user_email and resolved mentions
+ */
+async function describeMessages(messages, channelId, channelName) {
+  const users = await slackDirectory.getUsers(messages.flatMap(msg => [
+    msg.user,
+    msg.parent_user_id,
+    ...slackDirectory.getMentionedUserIds(msg.text)
+  ]));
+  
+  return messages.map(msg => {
+    const user = users.get(msg.user);
+    const parentUser = users.get(msg.parent_user_id);
+    
+    return {
+      ...msg,
+      text: slackDirectory.resolveMentions(msg.text, users),
+      channel_id: channelId,
+      channel_name: channelName,
+      // Bots and integrations post without a user
+      user_name: user ? user.name : (msg.bot_profile && msg.bot_profile.name) || msg.username || msg.user || null,
+      user_email: user ? user.email : null,
+      ...(msg.parent_user_id && { parent_user_name: parentUser ? parentUser.name : msg.parent_user_id })
+    };
+  });
+}
+
+/**
+ * Get messages stored by the Events API receiver
+ *
+ * Returned in the same shape as messages fetched from the API: grouped by
+ * channel, with thread replies after the message that started the thread.
+ * @param {Date} since Oldest message to return
+ * @param {Array<string>} channels Only these channels (empty for all)
+ * @returns {Promise<Array>} Array of messages
+ */
+async function getReceivedMessages(since, channels) {
+  const rows = await slackMessageStore.getMessages({ since, channels });
+  
+  const messages = rows.map(row => ({
+    type: 'message',
+    ts: row.ts,
+    thread_ts: row.thread_ts || undefined,
+    user: row.user_id,
+    bot_id: row.bot_id || undefined,
+    subtype: row.subtype || undefined,
+    text: row.text,
+    channel_id: row.channel_id,
+    channel_name: row.channel_name,
+    user_name: row.user_name,
+    user_email: row.user_email,
+    reactions: row.reactions && row.reactions.length > 0 ? row.reactions : undefined,
+    is_mention: row.is_mention || undefined,
+    edited_at: row.edited_at || undefined
+  }));
+  
+  const threadKey = message => parseFloat(message.thread_ts || message.ts);
+  return messages.sort((a, b) =>
+    a.channel_id.localeCompare(b.channel_id) ||
+    threadKey(a) - threadKey(b) ||
+    parseFloat(a.ts) - parseFloat(b.ts)
+  );
+}
+
 module.exports = router;
\ No newline at end of file
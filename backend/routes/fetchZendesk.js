@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { getRecentTickets, getTicketsByStatus } = require('../zendesk/ticketSync');
+const { analyzeSla, getSlaTargets } = require('../zendesk/sla');
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -10,7 +11,7 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 
 /**
  * @route GET /api/zendesk/tickets
- * @desc Fetch recent Zendesk tickets
+ * @desc Fetch recently updated Zendesk tickets with their comments, requester and organization
  * @access Private (Admin)
  */
 router.get('/tickets', async (req, res) => {
@@ -19,11 +20,11 @@ router.get('/tickets', async (req, res) => {
     const daysAgo = new Date();
     daysAgo.setDate(daysAgo.getDate() - parseInt(days));
     
-    // Format date for Zendesk API (ISO format)
-    const startDate = daysAgo.toISOString();
-    
-    // Fetch tickets
-    const tickets = await fetchTickets(startDate, status);
+    // Tickets updated (not just created) in the window, from the incremental export
+    const tickets = await getRecentTickets({
+      since: daysAgo,
+      statuses: status.split(',').map(value => value.trim()).filter(Boolean)
+    });
     
     res.json({
       success: true,
@@ -41,66 +42,38 @@ router.get('/tickets', async (req, res) => {
 });
 
 /**
- * Fetch tickets from Zendesk API
- * @param {string} startDate ISO date string for oldest ticket to fetch
- * @param {string} status Comma-separated list of statuses to filter by
- * @returns {Promise<Array>} Array of tickets
+ * @route GET /api/zendesk/sla
+ * @desc Reply-time signals for unsolved Zendesk tickets, with the ones at risk of breaching first
+ * @access Private (Admin)
  */
-async function fetchTickets(startDate, status) {
+router.get('/sla', async (req, res) => {
   try {
-    // Construct the search query
-    const query = `type:ticket created>${startDate} status:${status}`;
-    
-    // Zendesk authentication
-    const auth = Buffer.from(`${process.env.ZENDESK_EMAIL}/token:${process.env.ZENDESK_API_TOKEN}`).toString('base64');
+    const { days = 30, status = 'new,open,pending,hold' } = req.query;
+    const daysAgo = new Date();
+    daysAgo.setDate(daysAgo.getDate() - parseInt(days));
     
-    const response = await axios.get(`https://${process.env.ZENDESK_SUBDOMAIN}.zendesk.com/api/v2/search.json`, {
-      headers: {
-        Authorization: `Basic ${auth}`
-      },
-      params: {
-        query,
-        sort_by: 'created_at',
-        sort_order: 'desc'
-      }
+    // Unsolved tickets count however long ago they were updated; days only sets how far back the export reaches
+    const tickets = await getTicketsByStatus({
+      since: daysAgo,
+      statuses: status.split(',').map(value => value.trim()).filter(Boolean)
     });
+    const sla = analyzeSla(tickets);
     
-    // Filter to only include tickets
-    const tickets = response.data.results.filter(result => result.type === 'ticket');
-    
-    // Fetch additional details for each ticket
-    const ticketsWithDetails = await Promise.all(
-      tickets.map(async ticket => {
-        try {
-          // Get ticket comments
-          const commentsResponse = await axios.get(
-            `https://${process.env.ZENDESK_SUBDOMAIN}.zendesk.com/api/v2/tickets/${ticket.id}/comments.json`,
-            {
-              headers: {
-                Authorization: `Basic ${auth}`
-              }
-            }
-          );
-          
-          return {
-            ...ticket,
-            comments: commentsResponse.data.comments
-          };
-        } catch (error) {
-          console.warn(`Could not fetch comments for ticket ${ticket.id}:`, error.message);
-          return {
-            ...ticket,
-            comments: []
-          };
-        }
-      })
-    );
-    
-    return ticketsWithDetails;
+    res.json({
+      success: true,
+      count: sla.tickets.length,
+      at_risk: sla.at_risk,
+      tickets: sla.tickets,
+      targets: getSlaTargets()
+    });
   } catch (error) {
-    console.error('Error in fetchTickets:', error);
-    throw error;
+    console.error('Error computing Zendesk SLA signals:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute Zendesk SLA signals',
+      details: error.message
+    });
   }
-}
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../memory/jobQueue');
+const { streamJobProgress } = require('../jobs/progress');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/jobs
+ * @desc List recent background jobs
+ * @access Private (Admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    if (status && !Object.values(jobQueue.JOB_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Object.values(jobQueue.JOB_STATUS).join(', ')}`
+      });
+    }
+    
+    const jobs = await jobQueue.listJobs({ status, type, limit });
+    
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    logger.error('Error in GET /jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Get a job's status, and its result once it has finished
+ * @access Private (Admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    logger.error(`Error in GET /jobs/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/jobs/:id/events
+ * @desc Stream a job's progress as Server-Sent Events until it finishes
+ * @access Private (Admin)
+ */
+router.get('/:id/events', async (req, res) => {
+  let job;
+  
+  try {
+    job = await jobQueue.getJob(req.params.id);
+  } catch (error) {
+    logger.error(`Error in GET /jobs/${req.params.id}/events:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+      details: error.message
+    });
+  }
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  await streamJobProgress(res, job);
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const promptRegistry = require('../memory/promptRegistry');
+const { getUnknownVariables, PROMPT_VARIABLES } = require('../ai/promptRenderer');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/prompts
+ * @desc List prompts with their active version and version history
+ * @access Private (Admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const prompts = await promptRegistry.listPrompts();
+    
+    res.json({
+      success: true,
+      prompts,
+      variables: PROMPT_VARIABLES
+    });
+  } catch (error) {
+    logger.error('Error in GET /prompts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompts',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/prompts/:name
+ * @desc Get the active version and all versions of a prompt
+ * @access Private (Admin)
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const [active, versions] = await Promise.all([
+      promptRegistry.getActivePrompt(name),
+      promptRegistry.getPromptVersions(name)
+    ]);
+    
+    res.json({
+      success: true,
+      active,
+      versions
+    });
+  } catch (error) {
+    logger.error(`Error in GET /prompts/${req.params.name}:`, error);
+    res.status(error.message.startsWith('Unknown prompt') ? 404 : 500).json({
+      success: false,
+      error: 'Failed to fetch prompt',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/prompts/:name
+ * @desc Create a new version of a prompt
+ * @access Private (Admin)
+ */
+router.post('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { template, description, activate = true } = req.body;
+    
+    if (!template || typeof template !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: template'
+      });
+    }
+    
+    const unknownVariables = getUnknownVariables(template);
+    if (unknownVariables.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown prompt variables: ${unknownVariables.map(variable => `{{${variable}}}`).join(', ')}`,
+        allowed_variables: Object.keys(PROMPT_VARIABLES)
+      });
+    }
+    
+    const prompt = await promptRegistry.createPromptVersion(name, template, { description, activate });
+    
+    res.status(201).json({
+      success: true,
+      prompt
+    });
+  } catch (error) {
+    logger.error(`Error in POST /prompts/${req.params.name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create prompt version',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/prompts/:name/activate
+ * @desc Activate a prompt version (e.g. roll back to an earlier one)
+ * @access Private (Admin)
+ */
+router.post('/:name/activate', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const version = parseInt(req.body.version);
+    
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: version'
+      });
+    }
+    
+    const prompt = await promptRegistry.activatePromptVersion(name, version);
+    
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        error: `Prompt ${name} has no version ${version}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      prompt
+    });
+  } catch (error) {
+    logger.error(`Error in POST /prompts/${req.params.name}/activate:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate prompt version',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
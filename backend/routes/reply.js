@@ -1,124 +1,183 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const replyStore = require('../memory/replyStore');
+const { sendReply, buildReply, getDispatchErrorStatus } = require('../dispatchers');
+const { cancelReply, rescheduleReply } = require('../dispatchers/outbox');
+const { submitReply } = require('../dispatchers/approvals');
 const logger = require('../utils/logger');
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize Supabase client with service role
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY; // Despite the name, this is a service role key
-const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
-  },
-  global: {
-    headers: {
-      'X-Client-Info': 'stealth-ai-ops-assistant'
-    }
-  }
-});
 
 /**
  * @route POST /api/reply/:service
- * @desc Send a reply to a specific service (Slack, Zendesk, Email)
+ * @desc Queue a reply to a specific service (Slack, Zendesk, Email) in the outbox; it waits for approval if a policy applies,
+ *       then is sent once its undo window or sendAt passes
  * @access Private (Admin)
  */
 router.post('/:service', async (req, res) => {
   try {
     const { service } = req.params;
-    const replyData = req.body;
+    const replyData = req.body || {};
+    const message = replyData.message || replyData.text;
     
-    if (!replyData || !replyData.message) {
+    if (!message) {
       return res.status(400).json({
         success: false,
         error: 'Invalid reply data. Message is required.'
       });
     }
     
-    // Store the reply in Supabase for tracking
-    const { data: storedReply, error: storeError } = await supabase
-      .from('replies')
-      .insert({
-        service,
-        message: replyData.message,
-        recipient: replyData.recipient || null,
-        thread_id: replyData.threadId || null,
-        ticket_id: replyData.ticketId || null,
-        email_id: replyData.emailId || null,
-        status: 'pending',
-        created_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const storedReply = await submitReply(buildReply(service, replyData), {
+      sendAt: replyData.sendAt,
+      delaySeconds: replyData.delaySeconds
+    }, req.user);
+    const needsApproval = storedReply.status === replyStore.REPLY_STATUS.PENDING_APPROVAL;
     
-    if (storeError) {
-      logger.warn(`Error storing reply to ${service}:`, storeError);
-      // Continue even if storage fails
-    }
+    res.status(202).json({
+      success: true,
+      message: needsApproval ? `Reply to ${service} is waiting for approval` : `Reply to ${service} scheduled`,
+      replyId: storedReply.id,
+      status: storedReply.status,
+      sendAt: needsApproval ? null : storedReply.send_at,
+      approvalSteps: storedReply.approval_steps || []
+    });
+  } catch (error) {
+    logger.error(`Error in POST /reply/${req.params.service}:`, error);
+    res.status(getDispatchErrorStatus(error)).json({
+      success: false,
+      error: `Failed to schedule reply to ${req.params.service}`,
+      details: error.message,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * @route POST /api/reply/:id/cancel
+ * @desc Cancel (undo) a reply that is still waiting for approval or in the outbox
+ * @access Private (Admin)
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const reply = await cancelReply(req.params.id);
     
-    // For MVP, we don't actually send the reply, just store it for review
-    // In a production version, this would integrate with the respective APIs
+    res.json({
+      success: true,
+      replyId: reply.id,
+      status: reply.status
+    });
+  } catch (error) {
+    logger.error(`Error in POST /reply/${req.params.id}/cancel:`, error);
+    res.status(getDispatchErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to cancel reply',
+      details: error.message,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * @route POST /api/reply/:id/reschedule
+ * @desc Change when a scheduled, cancelled or failed reply is sent
+ * @access Private (Admin)
+ */
+router.post('/:id/reschedule', async (req, res) => {
+  try {
+    const { sendAt, delaySeconds } = req.body || {};
+    const reply = await rescheduleReply(req.params.id, { sendAt, delaySeconds });
     
-    logger.info(`Reply to ${service} stored for review:`, {
-      recipient: replyData.recipient,
-      messagePreview: replyData.message.substring(0, 50) + (replyData.message.length > 50 ? '...' : '')
+    res.json({
+      success: true,
+      replyId: reply.id,
+      status: reply.status,
+      sendAt: reply.send_at
     });
+  } catch (error) {
+    logger.error(`Error in POST /reply/${req.params.id}/reschedule:`, error);
+    res.status(getDispatchErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to reschedule reply',
+      details: error.message,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * @route POST /api/reply/:id/retry
+ * @desc Send a failed reply again, straight away
+ * @access Private (Admin)
+ */
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const { FAILED } = replyStore.REPLY_STATUS;
+    // 'pending' and 'ready' replies were stored before the outbox existed
+    const sentReply = await sendReply(req.params.id, { fromStatuses: [FAILED, 'pending', 'ready'] });
     
-    // Update the reply status to 'ready'
-    if (storedReply) {
-      await supabase
-        .from('replies')
-        .update({ status: 'ready' })
-        .eq('id', storedReply.id);
-    }
+    res.json({
+      success: true,
+      replyId: sentReply.id,
+      status: sentReply.status,
+      providerMessageId: sentReply.provider_message_id
+    });
+  } catch (error) {
+    logger.error(`Error in POST /reply/${req.params.id}/retry:`, error);
+    res.status(getDispatchErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to send reply',
+      details: error.message,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * @route GET /api/reply
+ * @desc Get replies, optionally filtered by status
+ * @access Private (Admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const replies = await replyStore.listReplies({ status: req.query.status });
     
     res.json({
       success: true,
-      message: `Reply to ${service} stored for review`,
-      replyId: storedReply?.id || null,
-      note: 'In this MVP, replies are only stored for review and not automatically sent'
+      replies
     });
   } catch (error) {
-    logger.error(`Error in POST /reply/${req.params.service}:`, error);
+    logger.error('Error in GET /reply:', error);
     res.status(500).json({
       success: false,
-      error: `Failed to process reply to ${req.params.service}`,
+      error: 'Failed to fetch replies',
       details: error.message
     });
   }
 });
 
 /**
- * @route GET /api/reply
- * @desc Get all pending replies
+ * @route GET /api/reply/:id
+ * @desc Get a reply and its outbox status
  * @access Private (Admin)
  */
-router.get('/', async (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    const { data: replies, error } = await supabase
-      .from('replies')
-      .select('*')
-      .order('created_at', { ascending: false });
+    const reply = await replyStore.getReply(req.params.id);
     
-    if (error) {
-      logger.error('Error fetching replies:', error);
-      return res.status(500).json({
+    if (!reply) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to fetch replies',
-        details: error.message
+        error: 'Reply not found'
       });
     }
     
     res.json({
       success: true,
-      replies: replies || []
+      reply
     });
   } catch (error) {
-    logger.error('Error in GET /reply:', error);
+    logger.error(`Error in GET /reply/${req.params.id}:`, error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch replies',
+      error: 'Failed to fetch reply',
       details: error.message
     });
   }
@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const scheduleStore = require('../memory/scheduleStore');
+const { triggerSchedule } = require('../jobs');
+const { getSourceNames } = require('../pipeline');
+const { validateCron, isValidTimeZone } = require('../utils/cron');
+const logger = require('../utils/logger');
+
+/**
+ * Check schedule fields from a request body
+ * @param {Object} fields The request body
+ * @param {Object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields that were given (for updates)
+ * @returns {string|null} The error message, or null if valid
+ */
+function validateScheduleFields(fields, { partial = false } = {}) {
+  const { name, cron, timezone, services, days } = fields;
+  
+  if (!partial && (!name || !cron || !services)) {
+    return 'Missing required fields: name, cron and services';
+  }
+  
+  if (cron !== undefined) {
+    const cronError = validateCron(cron);
+    if (cronError) {
+      return cronError;
+    }
+  }
+  
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return `Unknown time zone: ${timezone}`;
+  }
+  
+  if (services !== undefined) {
+    const sourceNames = getSourceNames();
+    if (!Array.isArray(services) || services.length === 0) {
+      return 'services must be a non-empty array';
+    }
+    const unknown = services.filter(service => !sourceNames.includes(service));
+    if (unknown.length > 0) {
+      return `Unknown services: ${unknown.join(', ')}. Use ${sourceNames.join(', ')}`;
+    }
+  }
+  
+  if (days !== undefined && days !== null && !(Number.isInteger(days) && days > 0)) {
+    return 'days must be a positive whole number';
+  }
+  
+  return null;
+}
+
+/**
+ * @route GET /api/schedules
+ * @desc List summarize schedules
+ * @access Private (Admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await scheduleStore.listSchedules();
+    
+    res.json({
+      success: true,
+      schedules
+    });
+  } catch (error) {
+    logger.error('Error in GET /schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedules',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/schedules
+ * @desc Create a summarize schedule
+ * @access Private (Admin)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateScheduleFields(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const schedule = await scheduleStore.createSchedule(req.body);
+    
+    res.status(201).json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    logger.error('Error in POST /schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/schedules/:id
+ * @desc Get a schedule with its recent run history
+ * @access Private (Admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await scheduleStore.getSchedule(req.params.id);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await scheduleStore.getRuns(schedule.id, limit);
+    
+    res.json({
+      success: true,
+      schedule,
+      runs
+    });
+  } catch (error) {
+    logger.error(`Error in GET /schedules/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/schedules/:id
+ * @desc Update a schedule (e.g. change its cron expression or disable it)
+ * @access Private (Admin)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const validationError = validateScheduleFields(req.body, { partial: true });
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const schedule = await scheduleStore.updateSchedule(req.params.id, req.body);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    logger.error(`Error in PATCH /schedules/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/schedules/:id
+ * @desc Delete a schedule and its run history
+ * @access Private (Admin)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await scheduleStore.deleteSchedule(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    logger.error(`Error in DELETE /schedules/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/schedules/:id/run
+ * @desc Queue a run of a schedule now, without changing its next run
+ * @access Private (Admin)
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    const schedule = await scheduleStore.getSchedule(req.params.id);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    const { run, job } = await triggerSchedule(schedule, { trigger: 'manual' });
+    
+    res.status(202).json({
+      success: true,
+      run,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error(`Error in POST /schedules/${req.params.id}/run:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run schedule',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { verifySlackSignature } = require('../slack/verifySignature');
+const { handleEvent } = require('../slack/events');
+const logger = require('../utils/logger');
+
+/**
+ * @route POST /api/slack/events
+ * @desc Receive Slack Events API callbacks (message, app_mention, reaction_added)
+ * @access Public (signed by Slack)
+ */
+router.post('/', express.raw({ type: '*/*' }), verifySlackSignature, (req, res) => {
+  let payload;
+  try {
+    payload = JSON.parse(req.rawBody);
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid JSON body'
+    });
+  }
+
+  // Sent once when the request URL is saved in the Slack app settings
+  if (payload.type === 'url_verification') {
+    return res.json({ challenge: payload.challenge });
+  }
+
+  if (payload.type !== 'event_callback') {
+    return res.json({ success: true, result: 'ignored' });
+  }
+
+  // Slack needs an answer within 3 seconds and retries otherwise, so the work happens after responding.
+  // Messages are keyed by channel and ts, so a retry that still arrives is stored once.
+  res.json({ success: true, result: 'accepted' });
+  handleEvent(payload).catch(error => {
+    logger.error(`Error handling Slack event ${payload.event_id}:`, error);
+  });
+});
+
+module.exports = router;
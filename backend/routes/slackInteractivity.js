@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { verifySlackSignature } = require('../slack/verifySignature');
+const { handleBlockActions, validateEditSubmission, handleEditSubmission } = require('../slack/interactivity');
+const logger = require('../utils/logger');
+
+/**
+ * @route POST /api/slack/interactivity
+ * @desc Receive clicks on Slack approval cards and edit modal submissions
+ * @access Public (signed by Slack)
+ */
+router.post('/', express.raw({ type: '*/*' }), verifySlackSignature, (req, res) => {
+  let payload;
+  try {
+    // Slack posts interactions as a form with the JSON in its payload field
+    payload = JSON.parse(new URLSearchParams(req.rawBody).get('payload'));
+  } catch (error) {
+    payload = null;
+  }
+  
+  // A body without a payload field parses to null
+  if (!payload || typeof payload !== 'object') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid interaction payload'
+    });
+  }
+  
+  // Slack needs an answer within 3 seconds, so the work happens after responding
+  if (payload.type === 'block_actions') {
+    res.status(200).send();
+    handleBlockActions(payload).catch(error => {
+      logger.error('Error handling Slack block action:', error);
+    });
+    return;
+  }
+  
+  if (payload.type === 'view_submission') {
+    const errors = validateEditSubmission(payload);
+    if (errors) {
+      return res.json(errors);
+    }
+    
+    // An empty response closes the modal
+    res.status(200).send();
+    handleEditSubmission(payload).catch(error => {
+      logger.error('Error handling Slack edit submission:', error);
+    });
+    return;
+  }
+  
+  res.status(200).send();
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const templateStore = require('../memory/templateStore');
+const { getDispatcherNames } = require('../dispatchers');
+const { TEMPLATE_VARIABLES, getTemplateVariables, renderReplyTemplate } = require('../templates');
+const logger = require('../utils/logger');
+
+/**
+ * Check template fields from a request body
+ * @param {Object} fields The request body
+ * @param {Object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields that were given (for updates)
+ * @returns {string|null} The error message, or null if valid
+ */
+function validateTemplateFields(fields, { partial = false } = {}) {
+  const { name, body, subject, services } = fields;
+  
+  if (!partial && (!name || !body)) {
+    return 'Missing required fields: name and body';
+  }
+  
+  if (body !== undefined && (typeof body !== 'string' || !body.trim())) {
+    return 'body must be a non-empty string';
+  }
+  
+  if (subject !== undefined && subject !== null && typeof subject !== 'string') {
+    return 'subject must be a string';
+  }
+  
+  if (services !== undefined) {
+    const serviceNames = getDispatcherNames();
+    if (!Array.isArray(services)) {
+      return 'services must be an array';
+    }
+    const unknown = services.filter(service => !serviceNames.includes(service));
+    if (unknown.length > 0) {
+      return `Unknown services: ${unknown.join(', ')}. Use ${serviceNames.join(', ')}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Add the variables a template uses to it
+ * @param {Object} template The template row
+ * @returns {Object} The template with { variables }
+ */
+function withVariables(template) {
+  return {
+    ...template,
+    variables: getTemplateVariables(template)
+  };
+}
+
+/**
+ * @route GET /api/templates
+ * @desc List reply templates
+ * @access Private (Admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { service, category, enabled } = req.query;
+    const templates = await templateStore.listTemplates({ service, category, enabledOnly: enabled === 'true' });
+    
+    res.json({
+      success: true,
+      templates: templates.map(withVariables)
+    });
+  } catch (error) {
+    logger.error('Error in GET /templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch templates',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/templates/variables
+ * @desc List the variables templates can use
+ * @access Private (Admin)
+ */
+router.get('/variables', (req, res) => {
+  res.json({
+    success: true,
+    variables: TEMPLATE_VARIABLES
+  });
+});
+
+/**
+ * @route POST /api/templates
+ * @desc Create a reply template
+ * @access Private (Admin)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const validationError = validateTemplateFields(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const template = await templateStore.createTemplate(req.body);
+    
+    res.status(201).json({
+      success: true,
+      template: withVariables(template)
+    });
+  } catch (error) {
+    logger.error('Error in POST /templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/templates/:id
+ * @desc Get a reply template
+ * @access Private (Admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await templateStore.getTemplate(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      template: withVariables(template)
+    });
+  } catch (error) {
+    logger.error(`Error in GET /templates/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/templates/:id
+ * @desc Update a reply template
+ * @access Private (Admin)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const validationError = validateTemplateFields(req.body, { partial: true });
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const template = await templateStore.updateTemplate(req.params.id, req.body);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      template: withVariables(template)
+    });
+  } catch (error) {
+    logger.error(`Error in PATCH /templates/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/templates/:id
+ * @desc Delete a reply template
+ * @access Private (Admin)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await templateStore.deleteTemplate(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    logger.error(`Error in DELETE /templates/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/templates/:id/render
+ * @desc Fill in a template from a client's profile and the item being answered
+ * @access Private (Admin)
+ */
+router.post('/:id/render', async (req, res) => {
+  try {
+    const template = await templateStore.getTemplate(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { clientId, client, item, source, recipient, variables } = req.body || {};
+    const rendered = await renderReplyTemplate(template, {
+      clientId,
+      clientName: client,
+      item: item || {},
+      source,
+      recipient,
+      variables
+    });
+    
+    res.json({
+      success: true,
+      templateId: template.id,
+      ...rendered
+    });
+  } catch (error) {
+    logger.error(`Error in POST /templates/${req.params.id}/render:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render template',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
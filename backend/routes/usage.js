@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const usageLedger = require('../memory/usageLedger');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/usage
+ * @desc Get AI token usage and estimated cost with daily and per-source rollups
+ * @access Private (Admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const usage = await usageLedger.getUsageReport(days);
+    
+    res.json({
+      success: true,
+      usage
+    });
+  } catch (error) {
+    logger.error('Error in GET /usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI usage',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
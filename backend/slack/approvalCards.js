@@ -0,0 +1,230 @@
+const { callSlack, sendDirectMessage } = require('../utils/slackClient');
+const { getApprovalCardUserId } = require('../utils/approvers');
+const { getDispatcherNames } = require('../dispatchers');
+const { getSuggestionLink } = require('../digest/buildDigest');
+const { escapeSlack, truncate, sourceLabel } = require('../digest/renderDigest');
+const logger = require('../utils/logger');
+
+// Slack allows 3000 characters per text field
+const MAX_SLACK_TEXT = 2900;
+
+// Cross-source briefings repeat the source summaries' suggestions, so they get no cards
+const CARDLESS_SOURCES = ['all', 'combined'];
+
+// Button action IDs, handled by slack/interactivity.js
+const ACTIONS = {
+  APPROVE: 'approve_suggestion',
+  EDIT: 'edit_suggestion',
+  REJECT: 'reject_suggestion',
+  UNDO: 'cancel_reply'
+};
+
+// callback_id of the modal that edits a suggestion before approving it
+const EDIT_VIEW = 'edit_suggestion';
+
+/**
+ * Whether suggested replies are posted to Slack for approval
+ * @returns {boolean} Whether SLACK_APPROVAL_CARDS is on and there is someone to send them to
+ */
+function isEnabled() {
+  return process.env.SLACK_APPROVAL_CARDS === 'true' &&
+    Boolean(process.env.SLACK_BOT_TOKEN && getApprovalCardUserId());
+}
+
+/**
+ * Get where a suggestion's reply would be sent
+ * @param {Object} summary The summary row
+ * @param {Object} suggestion The suggested message
+ * @returns {string|null} The service, or null if the suggestion can't be sent as a reply
+ */
+function getSuggestionService(summary, suggestion) {
+  // Combined summaries carry each suggestion's own service
+  const service = suggestion.service || summary.source;
+  return getDispatcherNames().includes(service) ? service : null;
+}
+
+/**
+ * Describe a suggestion in mrkdwn: who it is for and what it says
+ * @param {Object} summary The summary row
+ * @param {Object} suggestion The suggested message
+ * @param {string} [text] The reply text, if it was edited
+ * @returns {Object} Section block
+ */
+function renderSuggestionSection(summary, suggestion, text) {
+  const service = getSuggestionService(summary, suggestion);
+  const heading = `*${sourceLabel(service || summary.source)}* reply to *${escapeSlack(suggestion.recipient || 'unknown')}*` +
+    (suggestion.subject ? ` · ${escapeSlack(suggestion.subject)}` : '');
+  const body = escapeSlack(text || suggestion.message || suggestion.text)
+    .split('\n')
+    .map(line => `>${line}`)
+    .join('\n');
+
+  return { type: 'section', text: { type: 'mrkdwn', text: truncate(`${heading}\n${body}`, MAX_SLACK_TEXT) } };
+}
+
+/**
+ * Build the approval card for one suggested reply
+ * @param {Object} summary The summary row
+ * @param {number} index The suggestion's position in suggested_messages
+ * @returns {Object} { text, blocks }
+ */
+function renderApprovalCard(summary, index) {
+  const suggestion = summary.suggested_messages[index];
+  // Buttons carry the suggestion's position, not its text (values are limited to 2000 characters)
+  const value = JSON.stringify({ summaryId: summary.id, index });
+  const link = getSuggestionLink(summary.id, index);
+
+  return {
+    text: `Suggested reply to ${suggestion.recipient || 'unknown'}`,
+    blocks: [
+      renderSuggestionSection(summary, suggestion),
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: getSuggestionService(summary, suggestion)
+            ? `<${link}|Open in dashboard>`
+            : `Can't be sent from here; approving records feedback only · <${link}|Open in dashboard>`
+        }]
+      },
+      {
+        type: 'actions',
+        block_id: 'suggestion_actions',
+        elements: [
+          { type: 'button', action_id: ACTIONS.APPROVE, style: 'primary', text: { type: 'plain_text', text: 'Approve' }, value },
+          { type: 'button', action_id: ACTIONS.EDIT, text: { type: 'plain_text', text: 'Edit' }, value },
+          { type: 'button', action_id: ACTIONS.REJECT, style: 'danger', text: { type: 'plain_text', text: 'Reject' }, value }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Build a card that records what was decided
+ *
+ * It has no Approve/Edit/Reject buttons, so a suggestion can't be decided
+ * twice. A queued reply gets an Undo button instead, which cancels it and
+ * brings the buttons back.
+ * @param {Object} summary The summary row
+ * @param {number} index The suggestion's position in suggested_messages
+ * @param {Object} outcome Outcome
+ * @param {string} outcome.status What happened, as mrkdwn, e.g. 'Approved by Dana · sending in 30s'
+ * @param {string} [outcome.text] The reply text, if it was edited
+ * @param {string} [outcome.undoReplyId] The queued reply the Undo button cancels
+ * @returns {Object} { text, blocks }
+ */
+function renderDecidedCard(summary, index, { status, text, undoReplyId }) {
+  const suggestion = summary.suggested_messages[index];
+
+  return {
+    text: `Suggested reply to ${suggestion.recipient || 'unknown'}`,
+    blocks: [
+      renderSuggestionSection(summary, suggestion, text),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: status }] },
+      ...(undoReplyId ? [{
+        type: 'actions',
+        block_id: 'reply_actions',
+        elements: [{
+          type: 'button',
+          action_id: ACTIONS.UNDO,
+          text: { type: 'plain_text', text: 'Undo' },
+          value: JSON.stringify({ summaryId: summary.id, index, replyId: undoReplyId })
+        }]
+      }] : [])
+    ]
+  };
+}
+
+/**
+ * Build the modal that edits a suggestion before approving it
+ * @param {Object} summary The summary row
+ * @param {number} index The suggestion's position in suggested_messages
+ * @param {Object} card The card the edit came from ({ channel, ts }), updated once the modal is submitted
+ * @returns {Object} Modal view
+ */
+function renderEditModal(summary, index, { channel, ts }) {
+  const suggestion = summary.suggested_messages[index];
+
+  return {
+    type: 'modal',
+    callback_id: EDIT_VIEW,
+    private_metadata: JSON.stringify({ summaryId: summary.id, index, channel, ts }),
+    title: { type: 'plain_text', text: 'Edit reply' },
+    submit: { type: 'plain_text', text: 'Approve' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `To *${escapeSlack(suggestion.recipient || 'unknown')}*${suggestion.subject ? ` · ${escapeSlack(suggestion.subject)}` : ''}` }]
+      },
+      {
+        type: 'input',
+        block_id: 'reply_block',
+        label: { type: 'plain_text', text: 'Reply' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'reply_text',
+          multiline: true,
+          max_length: 3000,
+          initial_value: truncate(suggestion.message || suggestion.text, 3000)
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Replace a posted card
+ * @param {string} channel The DM channel the card is in
+ * @param {string} ts The card's ts
+ * @param {Object} card { text, blocks }
+ * @returns {Promise<Object>} The Slack response
+ */
+function updateCard(channel, ts, card) {
+  return callSlack('chat.update', { channel, ts, ...card });
+}
+
+/**
+ * DM an approval card for each suggested reply in a summary
+ *
+ * Failures are logged, not thrown, so a summarize run never fails because
+ * Slack is unavailable.
+ * @param {Object} summary The stored summary row
+ * @returns {Promise<number>} Cards posted
+ */
+async function postApprovalCards(summary) {
+  if (!isEnabled() || !summary || CARDLESS_SOURCES.includes(summary.source)) {
+    return 0;
+  }
+
+  let posted = 0;
+  const suggestions = summary.suggested_messages || [];
+
+  for (let index = 0; index < suggestions.length; index++) {
+    try {
+      await sendDirectMessage(getApprovalCardUserId(), renderApprovalCard(summary, index));
+      posted++;
+    } catch (error) {
+      logger.error(`Error posting approval card for suggestion ${summary.id}-${index}:`, error);
+    }
+  }
+
+  if (posted > 0) {
+    logger.info(`Posted ${posted} approval card(s) to Slack for ${summary.source} summary ${summary.id}`);
+  }
+
+  return posted;
+}
+
+module.exports = {
+  ACTIONS,
+  EDIT_VIEW,
+  isEnabled,
+  getSuggestionService,
+  renderApprovalCard,
+  renderDecidedCard,
+  renderEditModal,
+  updateCard,
+  postApprovalCards
+};
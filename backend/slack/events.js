@@ -0,0 +1,199 @@
+const slackMessageStore = require('../memory/slackMessageStore');
+const slackDirectory = require('../utils/slackDirectory');
+const { sendDirectMessage } = require('../utils/slackClient');
+const logger = require('../utils/logger');
+
+// Words that make a mention urgent enough to DM the founder right away
+const DEFAULT_URGENT_KEYWORDS = ['urgent', 'asap', 'emergency', 'outage', 'down', 'blocked'];
+
+// Message subtypes that are someone posting; joins, topic changes etc. are skipped
+const POSTED_SUBTYPES = [undefined, 'thread_broadcast', 'file_share', 'bot_message', 'me_message'];
+
+/**
+ * Get the words that make a mention urgent
+ * @returns {Array<string>} Lower-case keywords (SLACK_URGENT_KEYWORDS, comma-separated)
+ */
+function getUrgentKeywords() {
+  if (!process.env.SLACK_URGENT_KEYWORDS) {
+    return DEFAULT_URGENT_KEYWORDS;
+  }
+
+  return process.env.SLACK_URGENT_KEYWORDS.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Get who urgent mentions are sent to
+ * @returns {string|undefined} Slack user ID (SLACK_ALERT_USER_ID, falling back to DIGEST_SLACK_USER_ID)
+ */
+function getAlertUserId() {
+  return process.env.SLACK_ALERT_USER_ID || process.env.DIGEST_SLACK_USER_ID;
+}
+
+/**
+ * Whether a stored message should trigger an alert
+ *
+ * It must mention the bot or the alert user and contain an urgent keyword.
+ * @param {Object} message The stored message
+ * @param {Array<string>} mentionedUserIds Users mentioned in the original text
+ * @returns {boolean} Whether to alert
+ */
+function isUrgentMention(message, mentionedUserIds) {
+  const alertUserId = getAlertUserId();
+  if (!alertUserId || message.user_id === alertUserId || message.bot_id) {
+    return false;
+  }
+
+  if (!message.is_mention && !mentionedUserIds.includes(alertUserId)) {
+    return false;
+  }
+
+  const text = (message.text || '').toLowerCase();
+  return getUrgentKeywords().some(keyword => new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+}
+
+/**
+ * DM the founder about an urgent mention, once per message
+ * @param {Object} message The stored message
+ * @returns {Promise<boolean>} Whether an alert was sent
+ */
+async function sendUrgentAlert(message) {
+  if (!await slackMessageStore.markAlerted(message.channel_id, message.ts)) {
+    return false;
+  }
+
+  const where = message.channel_name ? `#${message.channel_name}` : 'a direct message';
+  const text = `:rotating_light: ${message.user_name || 'Someone'} in ${where}: ${message.text}`;
+
+  await sendDirectMessage(getAlertUserId(), {
+    text,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text } }
+    ]
+  });
+
+  logger.info(`Sent urgent mention alert for Slack message ${message.channel_id}/${message.ts}`);
+  return true;
+}
+
+/**
+ * Store a posted message with its author and channel names
+ * @param {Object} event The message or app_mention event
+ * @param {Object} options Options
+ * @param {string} options.eventId The event ID from the envelope
+ * @param {boolean} [options.isMention] Whether the event is an app_mention
+ * @returns {Promise<Object>} The stored message
+ */
+async function ingestMessage(event, { eventId, isMention = false }) {
+  const mentionedUserIds = slackDirectory.getMentionedUserIds(event.text);
+  const [users, channel] = await Promise.all([
+    slackDirectory.getUsers([event.user, ...mentionedUserIds]),
+    // DMs and channels the bot can't read info for are stored without a name
+    slackDirectory.getChannel(event.channel).catch(() => null)
+  ]);
+  const user = users.get(event.user);
+
+  const message = await slackMessageStore.saveMessage({
+    channel_id: event.channel,
+    channel_name: channel ? channel.name || null : null,
+    ts: event.ts,
+    thread_ts: event.thread_ts || null,
+    user_id: event.user || null,
+    user_name: user ? user.name : (event.bot_profile && event.bot_profile.name) || event.username || event.user || null,
+    user_email: user ? user.email : null,
+    bot_id: event.bot_id || null,
+    subtype: event.subtype || null,
+    text: slackDirectory.resolveMentions(event.text, users),
+    event_id: eventId,
+    // Only ever set to true, so the plain message event doesn't undo it
+    ...(isMention && { is_mention: true })
+  });
+
+  if (isUrgentMention(message, mentionedUserIds)) {
+    // Don't hold up the acknowledgement Slack is waiting for
+    sendUrgentAlert(message).catch(error => {
+      logger.error(`Error sending urgent mention alert for ${message.channel_id}/${message.ts}:`, error);
+    });
+  }
+
+  return message;
+}
+
+/**
+ * Handle a message event, including edits and deletions
+ * @param {Object} event The message event
+ * @param {string} eventId The event ID
+ * @returns {Promise<string>} What was done
+ */
+async function handleMessage(event, eventId) {
+  if (event.subtype === 'message_changed') {
+    const updated = await slackMessageStore.updateMessage(event.channel, event.message.ts, {
+      text: slackDirectory.resolveMentions(
+        event.message.text,
+        await slackDirectory.getUsers(slackDirectory.getMentionedUserIds(event.message.text))
+      ),
+      edited_at: new Date().toISOString()
+    });
+    return updated ? 'edited' : 'ignored';
+  }
+
+  if (event.subtype === 'message_deleted') {
+    const deleted = await slackMessageStore.updateMessage(event.channel, event.deleted_ts, {
+      deleted_at: new Date().toISOString()
+    });
+    return deleted ? 'deleted' : 'ignored';
+  }
+
+  if (!POSTED_SUBTYPES.includes(event.subtype)) {
+    return 'ignored';
+  }
+
+  await ingestMessage(event, { eventId });
+  return 'stored';
+}
+
+/**
+ * Handle a reaction_added event
+ * @param {Object} event The reaction_added event
+ * @returns {Promise<string>} What was done
+ */
+async function handleReaction(event) {
+  if (!event.item || event.item.type !== 'message') {
+    return 'ignored';
+  }
+
+  const user = await slackDirectory.getUser(event.user);
+  const updated = await slackMessageStore.addReaction(event.item.channel, event.item.ts, {
+    name: event.reaction,
+    user_id: event.user,
+    user_name: user ? user.name : event.user
+  });
+
+  return updated ? 'reaction' : 'ignored';
+}
+
+/**
+ * Handle an event_callback from the Slack Events API
+ * @param {Object} envelope The request body ({ type: 'event_callback', event_id, event })
+ * @returns {Promise<string>} What was done: stored, edited, deleted, reaction or ignored
+ */
+async function handleEvent(envelope) {
+  const { event, event_id: eventId } = envelope;
+
+  switch (event && event.type) {
+    case 'message':
+      return handleMessage(event, eventId);
+    case 'app_mention':
+      await ingestMessage(event, { eventId, isMention: true });
+      return 'stored';
+    case 'reaction_added':
+      return handleReaction(event);
+    default:
+      return 'ignored';
+  }
+}
+
+module.exports = {
+  handleEvent,
+  isUrgentMention,
+  getUrgentKeywords
+};
@@ -0,0 +1,275 @@
+const summaryStore = require('../memory/summaryStore');
+const feedbackHandler = require('../memory/feedbackHandler');
+const replyStore = require('../memory/replyStore');
+const { buildReply } = require('../dispatchers');
+const { submitReply } = require('../dispatchers/approvals');
+const { cancelReply } = require('../dispatchers/outbox');
+const { findUserBySlackId } = require('../utils/approvers');
+const { releaseRejectedReminder } = require('../harvest/invoiceAging');
+const { callSlack } = require('../utils/slackClient');
+const {
+  ACTIONS,
+  EDIT_VIEW,
+  getSuggestionService,
+  renderApprovalCard,
+  renderDecidedCard,
+  renderEditModal,
+  updateCard
+} = require('./approvalCards');
+const { escapeSlack } = require('../digest/renderDigest');
+const logger = require('../utils/logger');
+
+// Suggestions being decided right now, so a double click doesn't queue two replies
+const inFlight = new Set();
+
+const NOT_AN_APPROVER = "You aren't set up to approve replies. Ask the admin to add your slack_user_id to APPROVERS.";
+
+/**
+ * Load the suggestion a button or modal refers to
+ * @param {Object} ref { summaryId, index }
+ * @returns {Promise<Object>} The summary row
+ * @throws {Error} If the summary or suggestion no longer exists
+ */
+async function loadSummary({ summaryId, index }) {
+  const summary = await summaryStore.getSummary(summaryId);
+
+  if (!summary || !(summary.suggested_messages || [])[index]) {
+    throw new Error(`Suggestion ${summaryId}-${index} no longer exists`);
+  }
+
+  return summary;
+}
+
+/**
+ * Show a message only the Slack user who clicked can see
+ * @param {string} channel The channel the card is in
+ * @param {string} user Slack user ID
+ * @param {string} text The message
+ * @returns {Promise<Object>} The Slack response
+ */
+function tellUser(channel, user, text) {
+  return callSlack('chat.postEphemeral', { channel, user, text });
+}
+
+/**
+ * Format a time for Slack, shown in the reader's own time zone
+ * @param {string} iso ISO timestamp
+ * @returns {string} Slack date token
+ */
+function slackTime(iso) {
+  const time = new Date(iso);
+  return `<!date^${Math.floor(time.getTime() / 1000)}^{date_short_pretty} {time}|${time.toISOString()}>`;
+}
+
+/**
+ * Record an approval (or an edit) and queue the reply, as the dashboard does
+ * with POST /api/feedback followed by POST /api/reply/:service
+ * @param {Object} summary The summary row
+ * @param {number} index The suggestion's position in suggested_messages
+ * @param {Object} user Who approved it ({ name, roles })
+ * @param {string} [text] The reply text from the editor, if it was opened
+ * @returns {Promise<Object>} Card outcome for renderDecidedCard
+ */
+async function approveSuggestion(summary, index, user, text) {
+  const suggestion = summary.suggested_messages[index];
+  // Submitting the editor without changes is a plain approval
+  const editedText = text && text !== (suggestion.message || suggestion.text) ? text : null;
+  const rating = editedText ? 'edited' : 'approved';
+  const feedback = await feedbackHandler.storeFeedback(summary.id, rating, editedText || '', null, index);
+
+  if (!feedback) {
+    throw new Error('Failed to store feedback');
+  }
+
+  const decidedBy = `${editedText ? 'Edited and approved' : 'Approved'} by ${escapeSlack(user.name)}`;
+  const service = getSuggestionService(summary, suggestion);
+
+  if (!service) {
+    return { status: decidedBy, text: editedText };
+  }
+
+  let reply;
+  try {
+    reply = await submitReply(buildReply(service, {
+      ...suggestion,
+      message: editedText || suggestion.message || suggestion.text,
+      feedbackId: feedback.id,
+      summaryId: summary.id,
+      suggestionIndex: index
+    }), {}, user);
+  } catch (error) {
+    // Approved already, e.g. from the dashboard; submitReply has withdrawn this approval's feedback
+    if (error.code === 'ALREADY_HANDLED') {
+      return { status: `Already handled · ${escapeSlack(error.message)}` };
+    }
+    throw error;
+  }
+
+  if (reply.status === replyStore.REPLY_STATUS.PENDING_APPROVAL) {
+    return { status: `${decidedBy} · waiting for approval`, text: editedText, undoReplyId: reply.id };
+  }
+
+  return { status: `${decidedBy} · sending ${slackTime(reply.send_at)}`, text: editedText, undoReplyId: reply.id };
+}
+
+/**
+ * Run a decision on a suggestion and show the outcome on its card
+ *
+ * Errors are shown to the Slack user and logged; the card keeps its buttons
+ * so the decision can be tried again.
+ * @param {Object} options Options
+ * @param {Object} options.ref { summaryId, index }
+ * @param {string} options.channel The channel the card is in
+ * @param {string} options.ts The card's ts
+ * @param {string} options.slackUserId Who clicked
+ * @param {Function} options.decide Called with (summary, user); returns the card to show
+ */
+async function runDecision({ ref, channel, ts, slackUserId, decide }) {
+  const key = `${ref.summaryId}-${ref.index}`;
+  if (inFlight.has(key)) {
+    return;
+  }
+
+  inFlight.add(key);
+  try {
+    const user = findUserBySlackId(slackUserId);
+    if (!user) {
+      await tellUser(channel, slackUserId, NOT_AN_APPROVER);
+      return;
+    }
+
+    const summary = await loadSummary(ref);
+    await updateCard(channel, ts, await decide(summary, user));
+  } catch (error) {
+    logger.error(`Error handling Slack decision on suggestion ${key}:`, error);
+    await tellUser(channel, slackUserId, `Couldn't update that suggestion: ${error.message}`).catch(() => {});
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Handle a button click on an approval card
+ * @param {Object} payload The block_actions payload
+ * @returns {Promise<void>}
+ */
+async function handleBlockActions(payload) {
+  const action = payload.actions && payload.actions[0];
+  if (!action || !Object.values(ACTIONS).includes(action.action_id)) {
+    return;
+  }
+
+  const ref = JSON.parse(action.value);
+  const channel = payload.container.channel_id;
+  const ts = payload.container.message_ts;
+  const slackUserId = payload.user.id;
+
+  switch (action.action_id) {
+    case ACTIONS.EDIT: {
+      // The trigger_id expires after 3 seconds, so the modal opens before anything else
+      try {
+        if (!findUserBySlackId(slackUserId)) {
+          await tellUser(channel, slackUserId, NOT_AN_APPROVER);
+          return;
+        }
+        const summary = await loadSummary(ref);
+        await callSlack('views.open', {
+          trigger_id: payload.trigger_id,
+          view: renderEditModal(summary, ref.index, { channel, ts })
+        });
+      } catch (error) {
+        logger.error(`Error opening edit modal for suggestion ${ref.summaryId}-${ref.index}:`, error);
+        await tellUser(channel, slackUserId, `Couldn't open the editor: ${error.message}`).catch(() => {});
+      }
+      return;
+    }
+
+    case ACTIONS.APPROVE:
+      return runDecision({
+        ref, channel, ts, slackUserId,
+        decide: async (summary, user) => renderDecidedCard(summary, ref.index, await approveSuggestion(summary, ref.index, user))
+      });
+
+    case ACTIONS.REJECT:
+      return runDecision({
+        ref, channel, ts, slackUserId,
+        decide: async (summary, user) => {
+          const feedback = await feedbackHandler.storeFeedback(summary.id, 'rejected', '', null, ref.index);
+          if (!feedback) {
+            throw new Error('Failed to store feedback');
+          }
+          await releaseRejectedReminder(summary.suggested_messages[ref.index]);
+          return renderDecidedCard(summary, ref.index, { status: `Rejected by ${escapeSlack(user.name)}` });
+        }
+      });
+
+    case ACTIONS.UNDO:
+      return runDecision({
+        ref, channel, ts, slackUserId,
+        decide: async summary => {
+          await cancelReply(ref.replyId);
+          return renderApprovalCard(summary, ref.index);
+        }
+      });
+
+    default:
+      return;
+  }
+}
+
+/**
+ * Check an edit modal submission
+ * @param {Object} payload The view_submission payload
+ * @returns {Object|null} A response_action: 'errors' body for Slack, or null if the edit is valid
+ */
+function validateEditSubmission(payload) {
+  if (payload.view.callback_id !== EDIT_VIEW) {
+    return null;
+  }
+
+  const text = getSubmittedText(payload);
+
+  if (!text.trim()) {
+    return { response_action: 'errors', errors: { reply_block: 'Reply cannot be empty' } };
+  }
+
+  return null;
+}
+
+/**
+ * Get the reply text from an edit modal submission
+ * @param {Object} payload The view_submission payload
+ * @returns {string} The text
+ */
+function getSubmittedText(payload) {
+  const block = payload.view.state.values.reply_block || {};
+  return (block.reply_text && block.reply_text.value) || '';
+}
+
+/**
+ * Approve a suggestion with the text from the edit modal and update its card
+ * @param {Object} payload The view_submission payload
+ * @returns {Promise<void>}
+ */
+async function handleEditSubmission(payload) {
+  if (payload.view.callback_id !== EDIT_VIEW) {
+    return;
+  }
+
+  const { summaryId, index, channel, ts } = JSON.parse(payload.view.private_metadata);
+  const text = getSubmittedText(payload).trim();
+
+  await runDecision({
+    ref: { summaryId, index },
+    channel,
+    ts,
+    slackUserId: payload.user.id,
+    decide: async (summary, user) => renderDecidedCard(summary, index, await approveSuggestion(summary, index, user, text))
+  });
+}
+
+module.exports = {
+  handleBlockActions,
+  validateEditSubmission,
+  handleEditSubmission
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Requests older than this are rejected so a captured request can't be replayed
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+/**
+ * Check a Slack request signature
+ * @param {Object} request Request details
+ * @param {string} request.body The raw request body
+ * @param {string} request.timestamp X-Slack-Request-Timestamp header
+ * @param {string} request.signature X-Slack-Signature header
+ * @param {string} signingSecret The app's signing secret
+ * @param {number} [now] Current Unix time in seconds
+ * @returns {boolean} Whether the request came from Slack
+ */
+function isValidSlackSignature({ body, timestamp, signature }, signingSecret, now = Math.floor(Date.now() / 1000)) {
+  if (!timestamp || !signature || Math.abs(now - parseInt(timestamp, 10)) > MAX_REQUEST_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+/**
+ * Middleware that rejects requests not signed by Slack
+ *
+ * Must run after express.raw(), since the signature covers the exact bytes
+ * Slack sent. Sets req.rawBody to the body as a string.
+ */
+function verifySlackSignature(req, res, next) {
+  if (!process.env.SLACK_SIGNING_SECRET) {
+    logger.error('Slack request received but SLACK_SIGNING_SECRET is not configured');
+    return res.status(500).json({
+      success: false,
+      error: 'SLACK_SIGNING_SECRET is not configured'
+    });
+  }
+
+  const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  const valid = isValidSlackSignature({
+    body,
+    timestamp: req.headers['x-slack-request-timestamp'],
+    signature: req.headers['x-slack-signature']
+  }, process.env.SLACK_SIGNING_SECRET);
+
+  if (!valid) {
+    logger.warn('Rejected Slack request with a missing, stale or invalid signature');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid Slack signature'
+    });
+  }
+
+  req.rawBody = body;
+  next();
+}
+
+module.exports = {
+  isValidSlackSignature,
+  verifySlackSignature
+};
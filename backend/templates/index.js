@@ -0,0 +1,72 @@
+const templateStore = require('../memory/templateStore');
+const contextStore = require('../memory/contextStore');
+const { TEMPLATE_VARIABLES, getTemplateVariables, buildTemplateVariables, renderTemplate } = require('./renderTemplate');
+
+// Templates offered to the model per summarize call; keeps prompts small
+const MAX_PROMPT_TEMPLATES = 20;
+
+/**
+ * Find the client a reply is for
+ * @param {Object} options Options
+ * @param {string} [options.clientId] Client ID
+ * @param {string} [options.clientName] Client name
+ * @returns {Promise<Object|null>} The client or null if not found
+ */
+async function findClient({ clientId, clientName }) {
+  if (clientId) {
+    return contextStore.getClientById(clientId);
+  }
+
+  if (!clientName) {
+    return null;
+  }
+
+  const { clients } = await contextStore.getRelevantClientContext([{ client_details: { name: clientName } }]);
+  return clients.find(client => client.name.toLowerCase() === clientName.toLowerCase()) || null;
+}
+
+/**
+ * Fill in a template for a reply
+ * @param {Object} template The template
+ * @param {Object} [context] Context
+ * @param {string} [context.clientId] Client whose profile fills client.* variables
+ * @param {string} [context.clientName] Client name, if the ID isn't known
+ * @param {Object} [context.item] The ticket, invoice, email or message being answered
+ * @param {string} [context.source] Where the item came from (slack, zendesk, harvest, email)
+ * @param {string} [context.recipient] Who the reply is to
+ * @param {Object} [context.variables] Values that override everything else
+ * @returns {Promise<Object>} { subject, body, missing, client }
+ */
+async function renderReplyTemplate(template, { clientId, clientName, item, source, recipient, variables } = {}) {
+  const client = await findClient({ clientId, clientName });
+  const rendered = renderTemplate(template, buildTemplateVariables({ client, item, source, recipient, variables }));
+
+  return {
+    ...rendered,
+    client: client ? { id: client.id, name: client.name } : null
+  };
+}
+
+/**
+ * Get the templates to offer the model when it drafts replies for a source
+ * @param {string} service Where the source's replies go (slack, zendesk, email)
+ * @returns {Promise<Array<Object>>} { id, name, category, subject, body }
+ */
+async function getPromptTemplates(service) {
+  const templates = await templateStore.listTemplates({ service, enabledOnly: true });
+
+  return templates.slice(0, MAX_PROMPT_TEMPLATES).map(({ id, name, category, subject, body }) => ({
+    id,
+    name,
+    category,
+    subject,
+    body
+  }));
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  getTemplateVariables,
+  renderReplyTemplate,
+  getPromptTemplates
+};
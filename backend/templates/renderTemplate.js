@@ -0,0 +1,109 @@
+/**
+ * Variable substitution for reply templates
+ *
+ * Templates reference variables as {{name}} or {{path.to.field}}, e.g.
+ * {{client.name}} or {{item.priority}}. Unlike prompt variables they are
+ * lower case, so a template can be shown to the model inside a prompt
+ * without being filled in by the prompt renderer.
+ */
+
+// Variables a reply template may use
+const TEMPLATE_VARIABLES = {
+  'client.name': 'Client name',
+  'client.<field>': "Any field in the client's profile, e.g. client.billing_contact",
+  recipient: 'Who the reply is to',
+  founder_name: 'Who the reply is from (FOUNDER_NAME)',
+  today: "Today's date",
+  subject: 'Subject of the email or ticket being answered',
+  ticket_id: 'Zendesk ticket ID',
+  invoice_number: 'Harvest invoice number',
+  amount: 'Amount due on the invoice',
+  due_date: 'Invoice due date',
+  'item.<field>': 'Any field of the ticket, invoice, email or message being answered'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_][a-z0-9_]*(?:\.[a-z0-9_]+)*)\s*\}\}/g;
+
+/**
+ * List the variables a template uses
+ * @param {Object} template The template ({ subject, body })
+ * @returns {Array<string>} Variable names, without braces
+ */
+function getTemplateVariables({ subject, body }) {
+  const text = `${subject || ''}\n${body || ''}`;
+  return [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Look up a dotted path in an object
+ * @param {Object} values The values
+ * @param {string} path e.g. 'client.name'
+ * @returns {*} The value, or undefined
+ */
+function resolvePath(values, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), values);
+}
+
+/**
+ * Gather the values a template can use
+ * @param {Object} context Context
+ * @param {Object} [context.client] Client row ({ name, profile })
+ * @param {Object} [context.item] The source item being answered (ticket, invoice, email, message)
+ * @param {string} [context.source] Where the item came from; a Zendesk item's id is its ticket_id
+ * @param {string} [context.recipient] Who the reply is to
+ * @param {Object} [context.variables] Values that override everything else
+ * @returns {Object} Template values
+ */
+function buildTemplateVariables({ client = null, item = {}, source = null, recipient = null, variables = {} } = {}) {
+  return {
+    founder_name: process.env.FOUNDER_NAME,
+    today: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+    recipient: recipient || item.recipient || item.requester_name || item.user_name || item.from || undefined,
+    subject: item.subject,
+    ticket_id: item.ticket_id || item.ticketId || (source === 'zendesk' ? item.id : undefined),
+    invoice_number: item.invoice_number || item.number,
+    amount: item.due_amount !== undefined ? item.due_amount : item.amount,
+    due_date: item.due_date,
+    client: client ? { ...(client.profile || {}), name: client.name } : {},
+    item,
+    ...variables
+  };
+}
+
+/**
+ * Fill in a template
+ *
+ * Variables without a value are left in place so whoever sends the reply
+ * can see what still needs filling in.
+ * @param {Object} template The template ({ subject, body })
+ * @param {Object} values Template values (see buildTemplateVariables)
+ * @returns {Object} { subject, body, missing }
+ */
+function renderTemplate(template, values) {
+  const missing = new Set();
+
+  const fill = text => (text || '').replace(VARIABLE_PATTERN, (placeholder, path) => {
+    const value = resolvePath(values, path);
+    if (Array.isArray(value) && value.length > 0) {
+      return value.join(', ');
+    }
+    if (value === undefined || value === null || value === '' || typeof value === 'object') {
+      missing.add(path);
+      return placeholder;
+    }
+    return String(value);
+  });
+
+  return {
+    subject: template.subject ? fill(template.subject) : null,
+    body: fill(template.body),
+    missing: [...missing]
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  getTemplateVariables,
+  buildTemplateVariables,
+  renderTemplate
+};
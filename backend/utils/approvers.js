@@ -0,0 +1,99 @@
+const logger = require('./logger');
+
+/**
+ * Get the people who can approve replies
+ *
+ * APPROVERS is a JSON array of { name, token, roles, slack_user_id }, e.g.
+ * [{"name":"Dana","token":"...","roles":["finance"],"slack_user_id":"U0123"}].
+ * Each approver signs in to the dashboard with their own token, so approvals
+ * record who gave them; the token only reaches the approval queue (see
+ * isApproverRoute). slack_user_id lets them act on Slack approval cards.
+ * @returns {Array<Object>} Approvers
+ */
+function getApprovers() {
+  if (!process.env.APPROVERS) {
+    return [];
+  }
+
+  try {
+    const approvers = JSON.parse(process.env.APPROVERS);
+    return Array.isArray(approvers) ? approvers.filter(approver => approver.name && approver.token) : [];
+  } catch (error) {
+    logger.error('Invalid APPROVERS, expected a JSON array:', error);
+    return [];
+  }
+}
+
+/**
+ * Find who a token belongs to
+ * @param {string} token Bearer token from the request
+ * @returns {Object|null} { name, roles, admin }, or null if the token isn't known; admin is only
+ *   true for ADMIN_ACCESS_TOKEN, whatever roles an approver is given
+ */
+function findUserByToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  if (token === process.env.ADMIN_ACCESS_TOKEN) {
+    return { name: process.env.ADMIN_NAME || 'admin', roles: ['admin'], admin: true };
+  }
+
+  const approver = getApprovers().find(candidate => candidate.token === token);
+  return approver ? { name: approver.name, roles: approver.roles || [], admin: false } : null;
+}
+
+// What an approver's token can reach: the queue, deciding on a reply, and
+// reading who they are and the policies. Everything else needs the admin token.
+const APPROVER_ROUTES = [
+  { method: 'GET', path: /^\/api\/approvals\/?$/ },
+  { method: 'GET', path: /^\/api\/approvals\/(me|policies)\/?$/ },
+  { method: 'POST', path: /^\/api\/approvals\/[^/]+\/(approve|reject)\/?$/ }
+];
+
+/**
+ * Whether an approver's token may call a route
+ * @param {string} method HTTP method
+ * @param {string} path Request path, e.g. '/api/approvals/123/approve'
+ * @returns {boolean} Whether the route is open to approvers
+ */
+function isApproverRoute(method, path) {
+  return APPROVER_ROUTES.some(route => route.method === method && route.path.test(path));
+}
+
+/**
+ * Find who a Slack user is
+ *
+ * SLACK_APPROVAL_USER_ID (the founder, who gets the approval cards) acts as
+ * the admin; approvers are matched by their slack_user_id.
+ * @param {string} slackUserId Slack user ID
+ * @returns {Object|null} { name, roles, admin }, or null if the Slack user can't approve
+ */
+function findUserBySlackId(slackUserId) {
+  if (!slackUserId) {
+    return null;
+  }
+
+  if (slackUserId === getApprovalCardUserId()) {
+    return { name: process.env.ADMIN_NAME || 'admin', roles: ['admin'], admin: true };
+  }
+
+  const approver = getApprovers().find(candidate => candidate.slack_user_id === slackUserId);
+  return approver ? { name: approver.name, roles: approver.roles || [], admin: false } : null;
+}
+
+/**
+ * Get who suggested replies are sent to as Slack approval cards
+ * @returns {string|undefined} Slack user ID (SLACK_APPROVAL_USER_ID, falling back to DIGEST_SLACK_USER_ID)
+ */
+function getApprovalCardUserId() {
+  return process.env.SLACK_APPROVAL_USER_ID || process.env.DIGEST_SLACK_USER_ID;
+}
+
+module.exports = {
+  getApprovers,
+  findUserByToken,
+  isApproverRoute,
+  findUserBySlackId,
+  getApprovalCardUserId
+};
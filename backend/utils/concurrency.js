@@ -0,0 +1,76 @@
+/**
+ * Helpers for running async work with limits
+ */
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * @param {Array} items The items
+ * @param {number} limit Maximum concurrent calls
+ * @param {Function} fn Async function called with (item, index)
+ * @param {Object} [options] Options
+ * @param {Function} [options.isCancelled] Checked before each item starts; remaining items are skipped once it returns true
+ * @returns {Promise<Array>} Settled results in item order ({ status, value | reason }, or { status: 'skipped' })
+ */
+async function mapWithConcurrency(items, limit, fn, { isCancelled } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+
+      if (isCancelled && isCancelled()) {
+        results[index] = { status: 'skipped' };
+        continue;
+      }
+
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ *
+ * The underlying work isn't cancelled; pass an AbortController so it can stop
+ * itself at the next checkpoint.
+ * @param {Promise} promise The promise
+ * @param {number} ms Timeout in milliseconds
+ * @param {Object} [options] Options
+ * @param {string} [options.message] Error message on timeout
+ * @param {AbortController} [options.controller] Aborted when the timeout fires
+ * @returns {Promise} The promise's result
+ */
+function withTimeout(promise, ms, { message, controller } = {}) {
+  if (!ms || ms <= 0) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message || `Timed out after ${ms}ms`);
+      error.code = 'TIMEOUT';
+      if (controller) {
+        controller.abort(error);
+      }
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  mapWithConcurrency,
+  withTimeout
+};
@@ -0,0 +1,233 @@
+/**
+ * Minimal cron expression support for schedules
+ *
+ * Five fields: minute hour day-of-month month day-of-week. Fields accept *,
+ * numbers, names (JAN-DEC, SUN-SAT), ranges (1-5), lists (1,15) and steps
+ * (*\/2, 8-18/2). @hourly, @daily, @weekly and @monthly are shorthands.
+ * As in standard cron, when both day fields are restricted a day matching
+ * either one runs.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Longest gap searched for the next run (covers Feb 29 schedules)
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+/**
+ * Parse one value of a field, accepting names where the field has them
+ * @param {string} value The value
+ * @param {Object} field The field definition
+ * @returns {number} The numeric value
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex >= 0 ? nameIndex + field.offset : Number(value);
+
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ * @param {string} text The field text
+ * @param {Object} field The field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression e.g. '0 *\/2 * * MON-FRI'
+ * @returns {Object} Matching values per field, plus whether each day field is restricted
+ */
+function parseCron(expression) {
+  const normalized = SHORTHANDS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is Sunday too
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression The cron expression
+ * @returns {string|null} The error message, or null if valid
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Get the wall-clock fields of a date in a time zone
+ * @param {Date} date The date
+ * @param {string} timeZone IANA time zone
+ * @returns {Object} { month, dayOfMonth, dayOfWeek, hour, minute }
+ */
+function getZonedFields(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    month: Number(parts.month),
+    dayOfMonth: Number(parts.day),
+    dayOfWeek: WEEKDAYS[parts.weekday],
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+/**
+ * Whether a day matches the expression's day fields
+ * @param {Object} cron Parsed expression
+ * @param {Object} fields Zoned date fields
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(cron, fields) {
+  const dayOfMonth = cron.dayOfMonth.has(fields.dayOfMonth);
+  const dayOfWeek = cron.dayOfWeek.has(fields.dayOfWeek);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get the next time a cron expression fires
+ * @param {string} expression The cron expression
+ * @param {Object} [options] Options
+ * @param {Date} [options.after] Find the first run strictly after this time (default: now)
+ * @param {string} [options.timeZone] IANA time zone the expression is read in (default: UTC)
+ * @returns {Date} The next run
+ */
+function getNextRun(expression, { after = new Date(), timeZone = 'UTC' } = {}) {
+  const cron = parseCron(expression);
+
+  // Start at the next whole minute
+  let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = time + MAX_SEARCH_MINUTES * 60000;
+
+  while (time < limit) {
+    const fields = getZonedFields(new Date(time), timeZone);
+
+    if (!cron.month.has(fields.month) || !matchesDay(cron, fields)) {
+      // Skip to the next local midnight
+      time += ((23 - fields.hour) * 60 + (60 - fields.minute)) * 60000;
+    } else if (!cron.hour.has(fields.hour)) {
+      time += (60 - fields.minute) * 60000;
+    } else if (!cron.minute.has(fields.minute)) {
+      time += 60000;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  throw new Error(`Cron expression never fires: ${expression}`);
+}
+
+/**
+ * Check whether a time zone name is valid
+ * @param {string} timeZone IANA time zone
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  getNextRun,
+  isValidTimeZone
+};
@@ -0,0 +1,32 @@
+const { google } = require('googleapis');
+
+/**
+ * Authenticate with Gmail API
+ * @returns {Promise<OAuth2Client>} Authenticated OAuth2 client
+ */
+async function getGmailAuth() {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GMAIL_CLIENT_ID,
+    process.env.GMAIL_CLIENT_SECRET,
+    'https://developers.google.com/oauthplayground' // Redirect URI
+  );
+
+  oauth2Client.setCredentials({
+    refresh_token: process.env.GMAIL_REFRESH_TOKEN
+  });
+
+  return oauth2Client;
+}
+
+/**
+ * Get an authenticated Gmail API client
+ * @returns {Promise<Object>} Gmail v1 client
+ */
+async function getGmail() {
+  return google.gmail({ version: 'v1', auth: await getGmailAuth() });
+}
+
+module.exports = {
+  getGmailAuth,
+  getGmail
+};
@@ -0,0 +1,144 @@
+const axios = require('axios');
+
+const HARVEST_API_URL = 'https://api.harvestapp.com/v2';
+
+// Times a rate-limited request is retried after waiting out Retry-After
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Projects and clients rarely change, so their lists are reused across runs
+const CATALOG_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+// Entries are { value, expiresAt }; value is a promise so concurrent lookups share one download
+const catalogCache = new Map();
+
+/**
+ * Call the Harvest API with the access token from the environment
+ *
+ * A 429 is retried after the Retry-After Harvest sends (it allows 100
+ * requests per 15 seconds).
+ * @param {string} method HTTP method
+ * @param {string} path API path, e.g. '/time_entries', or a full next-page URL from a response
+ * @param {Object} [options] Options
+ * @param {Object} [options.data] JSON body
+ * @param {Object} [options.params] Query parameters
+ * @returns {Promise<Object>} The response body
+ */
+async function harvestRequest(method, path, { data, params } = {}) {
+  if (!process.env.HARVEST_ACCOUNT_ID || !process.env.HARVEST_ACCESS_TOKEN) {
+    throw new Error('Harvest is not configured (HARVEST_ACCOUNT_ID, HARVEST_ACCESS_TOKEN)');
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios({
+        method,
+        url: path.startsWith('https://') ? path : `${HARVEST_API_URL}${path}`,
+        headers: {
+          Authorization: `Bearer ${process.env.HARVEST_ACCESS_TOKEN}`,
+          'Harvest-Account-ID': process.env.HARVEST_ACCOUNT_ID,
+          'User-Agent': 'Stealth AI Ops Assistant (support@example.com)'
+        },
+        data,
+        params
+      });
+
+      return response.data;
+    } catch (error) {
+      if (!error.response || error.response.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw error;
+      }
+
+      const retryAfter = parseInt(error.response.headers['retry-after'], 10) || 15;
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+    }
+  }
+}
+
+/**
+ * Read every page of a Harvest list
+ *
+ * Follows links.next until Harvest stops sending one. The next-page URL
+ * carries the original query parameters.
+ * @param {string} path API path, e.g. '/time_entries'
+ * @param {Object} params Query parameters for the first page
+ * @param {string} key Response field holding the page's records, e.g. 'time_entries'
+ * @returns {Promise<Array>} Records from all pages, in the order Harvest returned them
+ */
+async function harvestGetAllPages(path, params, key) {
+  const records = [];
+  let page = await harvestRequest('GET', path, { params });
+
+  for (;;) {
+    records.push(...(page[key] || []));
+
+    if (!page.links || !page.links.next) {
+      return records;
+    }
+
+    page = await harvestRequest('GET', page.links.next);
+  }
+}
+
+/**
+ * Get a cached catalog or download it
+ * @param {string} key Cache key
+ * @param {Function} load Downloads the catalog when it isn't cached
+ * @returns {Promise<Array>} The catalog
+ */
+function getCachedCatalog(key, load) {
+  const cached = catalogCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const value = load().catch(error => {
+    // Don't keep failures around; the next run tries again
+    catalogCache.delete(key);
+    throw error;
+  });
+  catalogCache.set(key, { value, expiresAt: Date.now() + CATALOG_CACHE_TTL });
+  return value;
+}
+
+/**
+ * Get every Harvest project, active or not, with its budget settings
+ * @returns {Promise<Array>} Harvest projects (cached for an hour)
+ */
+function getProjects() {
+  return getCachedCatalog('projects', () => harvestGetAllPages('/projects', {}, 'projects'));
+}
+
+/**
+ * Get every Harvest client
+ * @returns {Promise<Array>} Harvest clients (cached for an hour)
+ */
+function getClients() {
+  return getCachedCatalog('clients', () => harvestGetAllPages('/clients', {}, 'clients'));
+}
+
+/**
+ * Get how much of each active project's budget is spent
+ *
+ * Not cached: the numbers move with every hour logged.
+ * @returns {Promise<Array>} Project budget report rows
+ *   ({ project_id, project_name, client_id, client_name, budget_by, budget_is_monthly, budget, budget_spent, budget_remaining })
+ */
+function getProjectBudgets() {
+  return harvestGetAllPages('/reports/project_budget', { is_active: true }, 'results');
+}
+
+/**
+ * Forget the cached projects and clients
+ */
+function clearCache() {
+  catalogCache.clear();
+}
+
+module.exports = {
+  harvestRequest,
+  harvestGetAllPages,
+  getProjects,
+  getClients,
+  getProjectBudgets,
+  clearCache
+};
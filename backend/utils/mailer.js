@@ -0,0 +1,51 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Get the SMTP transport, creating it on first use
+ * @returns {Object} Nodemailer transport
+ */
+function getTransporter() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      // Port 465 is implicit TLS; others upgrade with STARTTLS
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Send an email over SMTP
+ * @param {Object} message { to, subject, text, html }
+ * @returns {Promise<Object>} { messageId }
+ */
+async function sendMail({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  return { messageId: info.messageId };
+}
+
+module.exports = {
+  sendMail
+};
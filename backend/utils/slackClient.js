@@ -0,0 +1,123 @@
+const axios = require('axios');
+
+const SLACK_API_URL = 'https://slack.com/api';
+
+// Times a rate-limited read is retried after waiting out Retry-After
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+/**
+ * Call a Slack Web API method with the bot token
+ *
+ * Slack reports most failures as HTTP 200 with `ok: false`, so those are
+ * turned into errors here.
+ * @param {string} method API method, e.g. 'chat.postMessage'
+ * @param {Object} body JSON body
+ * @returns {Promise<Object>} The Slack response
+ */
+async function callSlack(method, body) {
+  if (!process.env.SLACK_BOT_TOKEN) {
+    throw new Error('SLACK_BOT_TOKEN is not configured');
+  }
+
+  const response = await axios.post(`${SLACK_API_URL}/${method}`, body, {
+    headers: {
+      Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`,
+      'Content-Type': 'application/json; charset=utf-8'
+    }
+  });
+
+  if (!response.data.ok) {
+    const error = new Error(`Slack ${method} failed: ${response.data.error}`);
+    error.code = response.data.error;
+    throw error;
+  }
+
+  return response.data;
+}
+
+/**
+ * Call a read-only Slack Web API method with query parameters
+ *
+ * History and directory methods don't accept JSON bodies. A 429 is retried
+ * after the Retry-After Slack sends, so long paginated reads survive the
+ * per-method rate limits.
+ * @param {string} method API method, e.g. 'conversations.history'
+ * @param {Object} params Query parameters
+ * @returns {Promise<Object>} The Slack response
+ */
+async function getSlack(method, params) {
+  if (!process.env.SLACK_BOT_TOKEN) {
+    throw new Error('SLACK_BOT_TOKEN is not configured');
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.get(`${SLACK_API_URL}/${method}`, {
+        headers: {
+          Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`
+        },
+        params
+      });
+
+      if (!response.data.ok) {
+        const error = new Error(`Slack ${method} failed: ${response.data.error}`);
+        error.code = response.data.error;
+        throw error;
+      }
+
+      return response.data;
+    } catch (error) {
+      if (!error.response || error.response.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw error;
+      }
+
+      const retryAfter = parseInt(error.response.headers['retry-after'], 10) || 1;
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+    }
+  }
+}
+
+/**
+ * Read every page of a cursor-paginated Slack method
+ * @param {string} method API method, e.g. 'conversations.history'
+ * @param {Object} params Query parameters (without cursor)
+ * @param {string} key Response field holding the page's items, e.g. 'messages'
+ * @returns {Promise<Array>} Items from all pages, in the order Slack returned them
+ */
+async function getAllSlackPages(method, params, key) {
+  const items = [];
+  let cursor;
+
+  do {
+    const page = await getSlack(method, { ...params, cursor });
+    items.push(...(page[key] || []));
+    cursor = page.response_metadata && page.response_metadata.next_cursor;
+  } while (cursor);
+
+  return items;
+}
+
+/**
+ * Send a direct message to a Slack user
+ * @param {string} userId Slack user ID (U...)
+ * @param {Object} message { text, blocks }; text is the notification fallback
+ * @returns {Promise<Object>} { channel, ts }
+ */
+async function sendDirectMessage(userId, { text, blocks }) {
+  const { channel } = await callSlack('conversations.open', { users: userId });
+  const posted = await callSlack('chat.postMessage', {
+    channel: channel.id,
+    text,
+    blocks,
+    unfurl_links: false
+  });
+
+  return { channel: posted.channel, ts: posted.ts };
+}
+
+module.exports = {
+  callSlack,
+  getSlack,
+  getAllSlackPages,
+  sendDirectMessage
+};
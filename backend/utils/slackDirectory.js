@@ -0,0 +1,163 @@
+const { getSlack } = require('./slackClient');
+const logger = require('./logger');
+
+/**
+ * Cached Slack users and channels
+ *
+ * Names and emails rarely change, so each user and channel is looked up once
+ * and reused across summarize runs instead of calling users.info and
+ * conversations.info for every message and channel.
+ */
+
+// In-memory cache configuration
+const USER_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const CHANNEL_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+// Entries are { value, expiresAt }; value is a promise so concurrent lookups share one call
+const userCache = new Map();
+const channelCache = new Map();
+
+/**
+ * Get a cached value or load it
+ * @param {Map} cache The cache
+ * @param {string} key Cache key
+ * @param {number} ttl Time to live in ms
+ * @param {Function} load Loads the value when it isn't cached
+ * @returns {Promise<*>} The value
+ */
+function getCached(cache, key, ttl, load) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const value = load().catch(error => {
+    // Don't keep failures around; the next run tries again
+    cache.delete(key);
+    throw error;
+  });
+  cache.set(key, { value, expiresAt: Date.now() + ttl });
+  return value;
+}
+
+/**
+ * Pick the fields summaries need from a Slack user
+ * @param {Object} user users.info user
+ * @returns {Object} { id, name, real_name, email, is_bot }
+ */
+function toDirectoryUser(user) {
+  const profile = user.profile || {};
+
+  return {
+    id: user.id,
+    name: profile.display_name || profile.real_name || user.real_name || user.name,
+    real_name: profile.real_name || user.real_name || null,
+    // Only present with the users:read.email scope
+    email: profile.email || null,
+    is_bot: Boolean(user.is_bot)
+  };
+}
+
+/**
+ * Look up a Slack user
+ * @param {string} userId Slack user ID (U... or W...)
+ * @returns {Promise<Object|null>} { id, name, real_name, email, is_bot }, or null if Slack doesn't know the user
+ */
+async function getUser(userId) {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    return await getCached(userCache, userId, USER_CACHE_TTL, async () => {
+      try {
+        const { user } = await getSlack('users.info', { user: userId });
+        return toDirectoryUser(user);
+      } catch (error) {
+        // Deleted users and users from other workspaces; cache the miss
+        if (error.code === 'user_not_found') {
+          return null;
+        }
+        throw error;
+      }
+    });
+  } catch (error) {
+    logger.warn(`Could not look up Slack user ${userId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Look up several Slack users at once
+ * @param {Array<string>} userIds Slack user IDs; duplicates are looked up once
+ * @returns {Promise<Map<string, Object>>} Users by ID; unknown users are left out
+ */
+async function getUsers(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const users = await Promise.all(ids.map(getUser));
+
+  return new Map(users.filter(Boolean).map(user => [user.id, user]));
+}
+
+/**
+ * Cache channels already fetched, e.g. from conversations.list
+ * @param {Array<Object>} channels Slack channel objects
+ */
+function primeChannels(channels) {
+  const expiresAt = Date.now() + CHANNEL_CACHE_TTL;
+  for (const channel of channels) {
+    channelCache.set(channel.id, { value: Promise.resolve(channel), expiresAt });
+  }
+}
+
+/**
+ * Look up a Slack channel
+ * @param {string} channelId Slack channel ID
+ * @returns {Promise<Object>} The conversations.info channel
+ */
+function getChannel(channelId) {
+  return getCached(channelCache, channelId, CHANNEL_CACHE_TTL, async () => {
+    const { channel } = await getSlack('conversations.info', { channel: channelId });
+    return channel;
+  });
+}
+
+/**
+ * Replace user mentions (<@U123> or <@U123|dana>) in message text with names
+ * @param {string} text Message text
+ * @param {Map<string, Object>} users Users by ID (see getUsers)
+ * @returns {string} The text with @name mentions
+ */
+function resolveMentions(text, users) {
+  return (text || '').replace(/<@([UW][A-Z0-9]+)(?:\|([^>]+))?>/g, (mention, userId, label) => {
+    const user = users.get(userId);
+    return user ? `@${user.name}` : label ? `@${label}` : mention;
+  });
+}
+
+/**
+ * Find the user IDs mentioned in message text
+ * @param {string} text Message text
+ * @returns {Array<string>} Slack user IDs
+ */
+function getMentionedUserIds(text) {
+  return [...(text || '').matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]+)?>/g)].map(match => match[1]);
+}
+
+/**
+ * Forget cached users and channels
+ */
+function clearCache() {
+  userCache.clear();
+  channelCache.clear();
+}
+
+module.exports = {
+  getUser,
+  getUsers,
+  getChannel,
+  primeChannels,
+  resolveMentions,
+  getMentionedUserIds,
+  clearCache
+};
@@ -0,0 +1,52 @@
+/**
+ * Server-Sent Events helpers for streaming progress to the dashboard
+ */
+
+// Comment lines keep proxies from closing idle streams
+const KEEPALIVE_INTERVAL = 15 * 1000;
+
+/**
+ * Turn a response into an event stream
+ * @param {Object} res Express response
+ * @returns {Object} Stream with send(event, data), close() and isClosed()
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+
+  // Fires when the client disconnects as well as when we end the response
+  res.on('close', () => {
+    closed = true;
+    clearInterval(keepalive);
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepalive);
+      res.end();
+    },
+
+    isClosed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,81 @@
+const axios = require('axios');
+
+// Times a rate-limited request is retried after waiting out Retry-After
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+/**
+ * Call the Zendesk API with the API token from the environment
+ *
+ * A 429 is retried after the Retry-After Zendesk sends; the incremental
+ * export in particular allows only 10 requests a minute.
+ * @param {string} method HTTP method
+ * @param {string} path API path, e.g. '/tickets/123.json', or a full next-page URL from a response
+ * @param {Object} [options] Options
+ * @param {Object} [options.data] JSON body
+ * @param {Object} [options.params] Query parameters
+ * @returns {Promise<Object>} The response body
+ */
+async function zendeskRequest(method, path, { data, params } = {}) {
+  if (!process.env.ZENDESK_SUBDOMAIN || !process.env.ZENDESK_API_TOKEN) {
+    throw new Error('Zendesk is not configured (ZENDESK_SUBDOMAIN, ZENDESK_EMAIL, ZENDESK_API_TOKEN)');
+  }
+
+  const auth = Buffer.from(`${process.env.ZENDESK_EMAIL}/token:${process.env.ZENDESK_API_TOKEN}`).toString('base64');
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios({
+        method,
+        url: path.startsWith('https://') ? path : `https://${process.env.ZENDESK_SUBDOMAIN}.zendesk.com/api/v2${path}`,
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/json'
+        },
+        data,
+        params
+      });
+
+      return response.data;
+    } catch (error) {
+      if (!error.response || error.response.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw error;
+      }
+
+      const retryAfter = parseInt(error.response.headers['retry-after'], 10) || 10;
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+    }
+  }
+}
+
+/**
+ * Read every page of a cursor-paginated Zendesk list
+ *
+ * Follows links.next while meta.has_more is set. Arrays in each page (the
+ * list itself and side-loads such as users) are concatenated.
+ * @param {string} path API path, e.g. '/tickets/123/comments.json'
+ * @param {Object} [params] Query parameters for the first page
+ * @returns {Promise<Object>} The arrays from all pages, keyed as in the response
+ */
+async function zendeskGetAllPages(path, params = {}) {
+  const merged = {};
+  let page = await zendeskRequest('GET', path, { params: { 'page[size]': 100, ...params } });
+
+  for (;;) {
+    for (const [key, value] of Object.entries(page)) {
+      if (Array.isArray(value)) {
+        merged[key] = (merged[key] || []).concat(value);
+      }
+    }
+
+    if (!page.meta || !page.meta.has_more || !page.links || !page.links.next) {
+      return merged;
+    }
+
+    page = await zendeskRequest('GET', page.links.next);
+  }
+}
+
+module.exports = {
+  zendeskRequest,
+  zendeskGetAllPages
+};
@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+
+/**
+ * SLA signals for Zendesk tickets
+ *
+ * Worked out from ticket timestamps and comment authors, so they don't need
+ * a Zendesk SLA plan. Times are calendar minutes; business hours and
+ * holidays aren't taken into account.
+ */
+
+// Minutes the team has to reply, by what the ticket is waiting for and its priority
+const DEFAULT_SLA_TARGETS = {
+  first_reply: { urgent: 60, high: 4 * 60, normal: 8 * 60, low: 24 * 60 },
+  next_reply: { urgent: 2 * 60, high: 8 * 60, normal: 24 * 60, low: 48 * 60 }
+};
+
+// Share of the target after which a ticket counts as at risk (ZENDESK_SLA_RISK_RATIO)
+const DEFAULT_RISK_RATIO = 0.75;
+
+// Tickets reopened this many times are at risk whatever their clock says
+const REOPEN_THRESHOLD = 2;
+
+// Statuses in which the team owes the customer a reply; pending and on-hold tickets pause the clock
+const AWAITING_STATUSES = ['new', 'open'];
+const RESOLVED_STATUSES = ['solved', 'closed', 'deleted'];
+
+const SLA_STATE = {
+  OK: 'ok',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached'
+};
+
+/**
+ * Get the reply targets
+ *
+ * ZENDESK_SLA_TARGETS overrides any of the defaults, e.g.
+ * {"first_reply":{"urgent":30},"next_reply":{"normal":720}} (minutes).
+ * @returns {Object} { first_reply, next_reply }, each keyed by priority
+ */
+function getSlaTargets() {
+  let overrides = {};
+
+  if (process.env.ZENDESK_SLA_TARGETS) {
+    try {
+      overrides = JSON.parse(process.env.ZENDESK_SLA_TARGETS);
+    } catch (error) {
+      logger.error('Invalid ZENDESK_SLA_TARGETS, expected JSON; using the defaults:', error);
+    }
+  }
+
+  return {
+    first_reply: { ...DEFAULT_SLA_TARGETS.first_reply, ...(overrides.first_reply || {}) },
+    next_reply: { ...DEFAULT_SLA_TARGETS.next_reply, ...(overrides.next_reply || {}) }
+  };
+}
+
+/**
+ * Get the share of a target after which a ticket is at risk
+ * @returns {number} Ratio between 0 and 1
+ */
+function getRiskRatio() {
+  const ratio = parseFloat(process.env.ZENDESK_SLA_RISK_RATIO);
+  return ratio > 0 && ratio <= 1 ? ratio : DEFAULT_RISK_RATIO;
+}
+
+/**
+ * Whether a comment came from the customer
+ * @param {Object} comment The comment (with author_role from the sync)
+ * @param {Object} ticket The ticket
+ * @returns {boolean} Whether the customer wrote it
+ */
+function isCustomerComment(comment, ticket) {
+  return comment.author_role
+    ? comment.author_role === 'end-user'
+    : comment.author_id === ticket.requester_id;
+}
+
+/**
+ * Whether a comment is a reply the customer could see from the team
+ * @param {Object} comment The comment
+ * @param {Object} ticket The ticket
+ * @returns {boolean} Whether it is a public agent reply
+ */
+function isAgentReply(comment, ticket) {
+  return comment.public !== false && !isCustomerComment(comment, ticket);
+}
+
+/**
+ * Minutes between two times
+ * @param {number} from Start time (ms)
+ * @param {number} to End time (ms)
+ * @returns {number} Whole minutes
+ */
+function minutesBetween(from, to) {
+  return Math.max(0, Math.round((to - from) / 60000));
+}
+
+/**
+ * Work out a ticket's SLA signals
+ * @param {Object} ticket The ticket with its comments (see zendesk/ticketSync)
+ * @param {Date} [now] The current time
+ * @returns {Object} { ticket_id, subject, status, priority, requester_name, organization_name, assignee_name,
+ *   awaiting ('first_reply', 'next_reply' or null), waiting_minutes, target_minutes, breach_at,
+ *   first_reply_minutes, minutes_since_customer_comment, reopens, state, reasons }
+ */
+function computeTicketSla(ticket, now = new Date()) {
+  const targets = getSlaTargets();
+  const priority = ticket.priority || 'normal';
+  const createdAt = Date.parse(ticket.created_at);
+  const comments = [...(ticket.comments || [])].sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+  // The first comment is the request itself, even when an agent opened the ticket
+  const replies = comments.slice(1).filter(comment => isAgentReply(comment, ticket));
+  const customerComments = comments.filter(comment => isCustomerComment(comment, ticket));
+  const firstReply = replies[0];
+  const lastReply = replies[replies.length - 1];
+  const lastCustomerComment = customerComments[customerComments.length - 1];
+
+  // What the customer is waiting for, and since when
+  let awaiting = null;
+  let clockStart = null;
+  // Without its comments there's no telling whether the team replied
+  if (AWAITING_STATUSES.includes(ticket.status) && !ticket.comments_unavailable) {
+    if (!firstReply) {
+      awaiting = 'first_reply';
+      clockStart = createdAt;
+    } else if (lastCustomerComment && Date.parse(lastCustomerComment.created_at) > Date.parse(lastReply.created_at)) {
+      awaiting = 'next_reply';
+      clockStart = Date.parse(lastCustomerComment.created_at);
+    }
+  }
+
+  const targetMinutes = awaiting ? targets[awaiting][priority] || targets[awaiting].normal : null;
+  const waitingMinutes = awaiting ? minutesBetween(clockStart, now.getTime()) : null;
+  const reopens = ticket.reopens || 0;
+
+  let state = SLA_STATE.OK;
+  const reasons = [];
+
+  if (awaiting && waitingMinutes >= targetMinutes) {
+    state = SLA_STATE.BREACHED;
+    reasons.push(`${awaiting === 'first_reply' ? 'First reply' : 'Reply'} overdue: waiting ${waitingMinutes} min, target ${targetMinutes} min`);
+  } else if (awaiting && waitingMinutes >= targetMinutes * getRiskRatio()) {
+    state = SLA_STATE.AT_RISK;
+    reasons.push(`${awaiting === 'first_reply' ? 'First reply' : 'Reply'} due in ${targetMinutes - waitingMinutes} min`);
+  }
+
+  if (reopens >= REOPEN_THRESHOLD && !RESOLVED_STATUSES.includes(ticket.status)) {
+    state = state === SLA_STATE.OK ? SLA_STATE.AT_RISK : state;
+    reasons.push(`Reopened ${reopens} times`);
+  }
+
+  return {
+    ticket_id: ticket.id,
+    subject: ticket.subject,
+    status: ticket.status,
+    priority,
+    requester_name: ticket.requester_name || null,
+    organization_name: ticket.organization_name || null,
+    assignee_name: ticket.assignee_name || null,
+    awaiting,
+    waiting_minutes: waitingMinutes,
+    target_minutes: targetMinutes,
+    breach_at: awaiting ? new Date(clockStart + targetMinutes * 60000).toISOString() : null,
+    first_reply_minutes: firstReply ? minutesBetween(createdAt, Date.parse(firstReply.created_at)) : null,
+    minutes_since_customer_comment: lastCustomerComment
+      ? minutesBetween(Date.parse(lastCustomerComment.created_at), now.getTime())
+      : null,
+    reopens,
+    state,
+    reasons
+  };
+}
+
+/**
+ * Work out SLA signals for tickets and pick out the ones in trouble
+ * @param {Array} tickets Tickets with their comments
+ * @param {Date} [now] The current time
+ * @returns {Object} { tickets, at_risk }; at_risk has breached tickets first, then those closest to breaching
+ */
+function analyzeSla(tickets, now = new Date()) {
+  const signals = tickets.map(ticket => computeTicketSla(ticket, now));
+  const urgency = signal => (signal.target_minutes ? signal.waiting_minutes / signal.target_minutes : 0);
+
+  const atRisk = signals
+    .filter(signal => signal.state !== SLA_STATE.OK)
+    .sort((a, b) =>
+      (b.state === SLA_STATE.BREACHED) - (a.state === SLA_STATE.BREACHED) ||
+      urgency(b) - urgency(a)
+    );
+
+  return { tickets: signals, at_risk: atRisk };
+}
+
+module.exports = {
+  SLA_STATE,
+  getSlaTargets,
+  computeTicketSla,
+  analyzeSla
+};
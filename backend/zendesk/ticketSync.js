@@ -0,0 +1,232 @@
+const zendeskStore = require('../memory/zendeskStore');
+const { zendeskRequest, zendeskGetAllPages } = require('../utils/zendeskClient');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+// zendesk_sync_state key for the ticket export
+const EXPORT_RESOURCE = 'tickets';
+
+// Comment fetches per ticket run at most this many at once (ZENDESK_COMMENT_CONCURRENCY)
+const DEFAULT_COMMENT_CONCURRENCY = 4;
+
+// A ticket whose comments fail this many runs in a row is stored without them
+const MAX_COMMENT_ATTEMPTS = 5;
+
+/**
+ * Get how many tickets' comments are fetched at once
+ * @returns {number} Concurrency
+ */
+function getCommentConcurrency() {
+  return parseInt(process.env.ZENDESK_COMMENT_CONCURRENCY, 10) || DEFAULT_COMMENT_CONCURRENCY;
+}
+
+/**
+ * Index side-loaded records by ID
+ * @param {Array} records Users or organizations
+ * @returns {Map<number, Object>} Records by ID
+ */
+function byId(records) {
+  return new Map((records || []).map(record => [record.id, record]));
+}
+
+/**
+ * Read the incremental ticket export from a cursor or a start time to its end
+ *
+ * Tickets come with their requester, assignee and organization names from
+ * the side-loaded users and organizations, and their reopen count from the
+ * side-loaded ticket metrics.
+ * @param {Object} from Where to start: { cursor } or { startTime } (Unix seconds)
+ * @returns {Promise<Object>} { tickets, afterCursor }; a ticket changed more than once appears once, as it is now
+ */
+async function exportTickets({ cursor, startTime }) {
+  const tickets = new Map();
+  let params = cursor ? { cursor } : { start_time: startTime };
+  let afterCursor = cursor || null;
+
+  for (;;) {
+    const page = await zendeskRequest('GET', '/incremental/tickets/cursor.json', {
+      params: { ...params, include: 'users,organizations,metric_sets' }
+    });
+    const users = byId(page.users);
+    const organizations = byId(page.organizations);
+    const metrics = new Map((page.metric_sets || []).map(metric => [metric.ticket_id, metric]));
+
+    for (const ticket of page.tickets || []) {
+      const requester = users.get(ticket.requester_id);
+      const assignee = users.get(ticket.assignee_id);
+      const organization = organizations.get(ticket.organization_id);
+      const metric = metrics.get(ticket.id);
+
+      tickets.set(ticket.id, {
+        ...ticket,
+        requester_name: requester ? requester.name : null,
+        requester_email: requester ? requester.email : null,
+        assignee_name: assignee ? assignee.name : null,
+        organization_name: organization ? organization.name : null,
+        reopens: metric ? metric.reopens : null
+      });
+    }
+
+    afterCursor = page.after_cursor || afterCursor;
+    if (page.end_of_stream || !page.after_cursor) {
+      return { tickets: [...tickets.values()], afterCursor };
+    }
+
+    params = { cursor: page.after_cursor };
+  }
+}
+
+/**
+ * Fetch all comments on a ticket with their authors' names and roles
+ * @param {number} ticketId The ticket ID
+ * @returns {Promise<Array>} Comments, oldest first; author_role is end-user, agent or admin.
+ *   Empty if the ticket is gone (Zendesk answers 404 for deleted tickets)
+ */
+async function fetchComments(ticketId) {
+  let page;
+  try {
+    page = await zendeskGetAllPages(`/tickets/${ticketId}/comments.json`, { include: 'users' });
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+
+  const { comments = [], users } = page;
+  const authors = byId(users);
+
+  // html_body and plain_body repeat body
+  return comments.map(({ html_body: htmlBody, plain_body: plainBody, ...comment }) => {
+    const author = authors.get(comment.author_id);
+    return {
+      ...comment,
+      author_name: author ? author.name : null,
+      author_role: author ? author.role : null
+    };
+  });
+}
+
+/**
+ * Bring the local copy of tickets up to date
+ *
+ * Resumes the export from the stored cursor, or starts it at `since` on the
+ * first run. A `since` earlier than where the export started restarts it
+ * from `since`, so a wider window backfills older tickets. Changed tickets
+ * get their comments (a few tickets at a time) and are stored. A ticket whose
+ * comments can't be fetched goes in zendesk_comment_retries and is tried on
+ * the next runs, so the cursor still moves on; after MAX_COMMENT_ATTEMPTS it
+ * is stored without comments (comments_unavailable).
+ * @param {Date} since Where the first export starts
+ * @returns {Promise<Object>} { tickets, stored }: the changed tickets, and whether they were kept (false without the tables)
+ */
+async function syncTickets(since) {
+  const state = await zendeskStore.getExportState(EXPORT_RESOURCE);
+  const backfill = Boolean(state && state.start_time && since < new Date(state.start_time));
+  const resume = Boolean(state && state.cursor && !backfill);
+  const { tickets, afterCursor } = await exportTickets(resume ? { cursor: state.cursor } : { startTime: Math.floor(since.getTime() / 1000) });
+  const startTime = resume ? state.start_time : since.toISOString();
+
+  if (backfill) {
+    logger.info(`Zendesk export restarted from ${startTime} to cover a wider window`);
+  }
+
+  // Earlier failures are tried again, unless the export brought a newer copy of the ticket
+  const retries = await zendeskStore.getCommentRetries();
+  const changedIds = new Set(tickets.map(ticket => ticket.id));
+  const attempts = new Map(retries.map(retry => [retry.ticket_id, retry.attempts]));
+  const toFetch = [...tickets, ...retries.filter(retry => !changedIds.has(retry.ticket_id)).map(retry => retry.ticket)];
+
+  // Deleted tickets still come through the export, but their comments are gone
+  const results = await mapWithConcurrency(toFetch, getCommentConcurrency(), async ticket => ({
+    ...ticket,
+    comments: ticket.status === 'deleted' ? [] : await fetchComments(ticket.id)
+  }));
+
+  const withComments = [];
+  const failures = [];
+  results.forEach((result, index) => {
+    const ticket = toFetch[index];
+    if (result.status === 'fulfilled') {
+      withComments.push(result.value);
+      return;
+    }
+
+    const attempt = (attempts.get(ticket.id) || 0) + 1;
+    if (attempt >= MAX_COMMENT_ATTEMPTS) {
+      logger.warn(`Giving up on comments for ticket ${ticket.id} after ${attempt} attempts: ${result.reason.message}`);
+      withComments.push({ ...ticket, comments: [], comments_unavailable: true });
+    } else {
+      logger.warn(`Could not fetch comments for ticket ${ticket.id} (attempt ${attempt}): ${result.reason.message}`);
+      failures.push({ ticket_id: ticket.id, ticket, attempts: attempt, last_error: result.reason.message });
+    }
+  });
+
+  const stored = await zendeskStore.saveTickets(withComments);
+  if (stored) {
+    const kept = await zendeskStore.saveCommentRetries(failures);
+    const failedIds = new Set(failures.map(failure => failure.ticket_id));
+    await zendeskStore.deleteCommentRetries(retries.map(retry => retry.ticket_id).filter(id => !failedIds.has(id)));
+
+    // Without the retry table, failed tickets are only fetched again if the cursor stays put
+    if (afterCursor && (kept || failures.length === 0)) {
+      await zendeskStore.setExportCursor(EXPORT_RESOURCE, afterCursor, startTime);
+    }
+  }
+
+  logger.info(`Zendesk export: ${tickets.length} changed ticket(s)${failures.length > 0 ? `, ${failures.length} without comments` : ''}`);
+  return { tickets: withComments, stored };
+}
+
+/**
+ * Get tickets updated in a window, syncing first
+ * @param {Object} options Options
+ * @param {Date} options.since Only tickets updated at or after this time
+ * @param {Array<string>} [options.statuses] Only tickets in these statuses
+ * @returns {Promise<Array>} Tickets with comments and names, most recently updated first
+ */
+async function getRecentTickets({ since, statuses }) {
+  const { tickets, stored } = await syncTickets(since);
+
+  if (stored) {
+    return zendeskStore.getTickets({ since, statuses });
+  }
+
+  // Without the tables every run exports the whole window, so the export is the answer
+  return tickets
+    .filter(ticket => Date.parse(ticket.updated_at) >= since.getTime())
+    .filter(ticket => !statuses || statuses.length === 0 || statuses.includes(ticket.status))
+    .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at));
+}
+
+/**
+ * Get every ticket in some statuses, however long ago it was updated, syncing first
+ *
+ * For reply-time signals: a new ticket nobody has touched is the one most
+ * overdue. Only tickets the export has reached are known, so `since` sets how
+ * far back it reaches (see syncTickets).
+ * @param {Object} options Options
+ * @param {Date} options.since Where the export starts if it hasn't reached this far back
+ * @param {Array<string>} options.statuses Only tickets in these statuses
+ * @returns {Promise<Array>} Tickets with comments and names, most recently updated first
+ */
+async function getTicketsByStatus({ since, statuses }) {
+  const { tickets, stored } = await syncTickets(since);
+
+  if (stored) {
+    return zendeskStore.getTickets({ statuses });
+  }
+
+  // Without the tables the export of the window is all there is
+  return tickets
+    .filter(ticket => !statuses || statuses.length === 0 || statuses.includes(ticket.status))
+    .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at));
+}
+
+module.exports = {
+  exportTickets,
+  fetchComments,
+  syncTickets,
+  getRecentTickets,
+  getTicketsByStatus
+};
@@ -8,6 +8,7 @@ import {
   ChatBubbleLeftRightIcon,
   CogIcon,
   BellIcon,
+  CheckBadgeIcon,
 } from '@heroicons/react/24/outline';
 
 const Layout = ({ children }) => {
@@ -17,6 +18,7 @@ const Layout = ({ children }) => {
 
   const navigation = [
     { name: 'Dashboard', href: '/', icon: ChatBubbleLeftRightIcon, current: router.pathname === '/' },
+    { name: 'Approvals', href: '/approvals', icon: CheckBadgeIcon, current: router.pathname === '/approvals' },
     { name: 'Settings', href: '/settings', icon: CogIcon, current: router.pathname === '/settings' },
   ];
 
@@ -1,35 +1,77 @@
-import React, { useState } from 'react';
-import { CheckIcon, XMarkIcon, PencilIcon, PaperAirplaneIcon } from '@heroicons/react/24/solid';
+import React, { useState, useEffect } from 'react';
+import { CheckIcon, XMarkIcon, PencilIcon, PaperAirplaneIcon, ClockIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/solid';
 import apiService from '../utils/api';
 
+// Sends further away than the undo window show their time instead of a countdown
+const COUNTDOWN_LIMIT_MS = 2 * 60 * 1000;
+
 const SuggestionCard = ({ suggestion, onActionComplete }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedText, setEditedText] = useState(suggestion.text);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [isScheduling, setIsScheduling] = useState(false);
+  const [sendAt, setSendAt] = useState('');
+  // The reply waiting for approval or in the outbox: { id, sendAt, approvalSteps, action }
+  const [outboxReply, setOutboxReply] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  // Reply templates for this suggestion's service, loaded when editing starts
+  const [templates, setTemplates] = useState(null);
+  const [templateSubject, setTemplateSubject] = useState(null);
+
+  const isCountingDown = Boolean(outboxReply?.sendAt) && new Date(outboxReply.sendAt) - now <= COUNTDOWN_LIMIT_MS;
+
+  // Tick the undo countdown, and finish once the reply has gone out
+  useEffect(() => {
+    if (!isCountingDown) return undefined;
+    
+    if (new Date(outboxReply.sendAt) <= now) {
+      onActionComplete && onActionComplete(outboxReply.action);
+      return undefined;
+    }
+    
+    const timer = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timer);
+  }, [isCountingDown, outboxReply, now, onActionComplete]);
+
+  // Queue the reply in the outbox; it can be undone until it is sent, which withdraws the feedback too
+  const queueReply = async (text, action, feedbackId) => {
+    if (!suggestion.service || !suggestion.replyData) {
+      onActionComplete && onActionComplete(action);
+      return;
+    }
+    
+    const result = await apiService.sendReply(suggestion.service, {
+      ...suggestion.replyData,
+      ...(templateSubject ? { subject: templateSubject } : {}),
+      message: text,
+      feedbackId,
+      // Lets the server refuse a second reply if the suggestion was already approved in Slack
+      summaryId: suggestion.summaryId,
+      suggestionIndex: suggestion.suggestionIndex,
+      sendAt: sendAt ? new Date(sendAt).toISOString() : undefined
+    });
+    
+    setNow(Date.now());
+    setOutboxReply({ id: result.replyId, sendAt: result.sendAt, approvalSteps: result.approvalSteps, action });
+  };
 
   const handleApprove = async () => {
     setIsLoading(true);
     setError('');
     try {
-      await apiService.submitFeedback({
+      const feedback = await apiService.submitFeedback({
         summaryId: suggestion.summaryId,
         suggestionId: suggestion.id,
+        suggestionIndex: suggestion.suggestionIndex,
         action: 'approved',
         originalText: suggestion.text,
         modifiedText: suggestion.text
       });
       
-      if (suggestion.service && suggestion.replyData) {
-        await apiService.sendReply(suggestion.service, {
-          ...suggestion.replyData,
-          text: suggestion.text
-        });
-      }
-      
-      onActionComplete && onActionComplete('approved');
+      await queueReply(suggestion.text, 'approved', feedback.feedbackId);
     } catch (err) {
-      setError('Failed to approve suggestion');
+      setError(err.response?.data?.details || 'Failed to approve suggestion');
       console.error(err);
     } finally {
       setIsLoading(false);
@@ -43,6 +85,7 @@ const SuggestionCard = ({ suggestion, onActionComplete }) => {
       await apiService.submitFeedback({
         summaryId: suggestion.summaryId,
         suggestionId: suggestion.id,
+        suggestionIndex: suggestion.suggestionIndex,
         action: 'rejected',
         originalText: suggestion.text,
         modifiedText: ''
@@ -57,8 +100,45 @@ const SuggestionCard = ({ suggestion, onActionComplete }) => {
     }
   };
 
-  const handleEdit = () => {
+  const handleEdit = async () => {
     setIsEditing(true);
+    
+    if (templates === null && suggestion.service) {
+      try {
+        const data = await apiService.getTemplates({ service: suggestion.service, enabled: true });
+        setTemplates(data.templates);
+      } catch (err) {
+        // Editing works without templates
+        console.error(err);
+        setTemplates([]);
+      }
+    }
+  };
+
+  // Replace the draft with a template filled in for this suggestion
+  const handleUseTemplate = async (templateId) => {
+    if (!templateId) return;
+    
+    setIsLoading(true);
+    setError('');
+    try {
+      const rendered = await apiService.renderTemplate(templateId, {
+        client: suggestion.replyData?.client,
+        recipient: suggestion.recipient,
+        source: suggestion.service,
+        item: {
+          ticket_id: suggestion.replyData?.ticketId,
+          subject: suggestion.subject
+        }
+      });
+      setEditedText(rendered.body);
+      setTemplateSubject(rendered.subject);
+    } catch (err) {
+      setError('Failed to load template');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   const handleSaveEdit = async () => {
@@ -70,25 +150,19 @@ const SuggestionCard = ({ suggestion, onActionComplete }) => {
     setIsLoading(true);
     setError('');
     try {
-      await apiService.submitFeedback({
+      const feedback = await apiService.submitFeedback({
         summaryId: suggestion.summaryId,
         suggestionId: suggestion.id,
+        suggestionIndex: suggestion.suggestionIndex,
         action: 'edited',
         originalText: suggestion.text,
         modifiedText: editedText
       });
       
-      if (suggestion.service && suggestion.replyData) {
-        await apiService.sendReply(suggestion.service, {
-          ...suggestion.replyData,
-          text: editedText
-        });
-      }
-      
+      await queueReply(editedText, 'edited', feedback.feedbackId);
       setIsEditing(false);
-      onActionComplete && onActionComplete('edited');
     } catch (err) {
-      setError('Failed to save edit');
+      setError(err.response?.data?.details || 'Failed to save edit');
       console.error(err);
     } finally {
       setIsLoading(false);
@@ -97,16 +171,73 @@ const SuggestionCard = ({ suggestion, onActionComplete }) => {
 
   const handleCancelEdit = () => {
     setEditedText(suggestion.text);
+    setTemplateSubject(null);
     setIsEditing(false);
     setError('');
   };
 
+  const handleUndo = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      await apiService.cancelReply(outboxReply.id);
+      setOutboxReply(null);
+    } catch (err) {
+      setError(err.response?.data?.details || 'Failed to undo send');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (outboxReply) {
+    const secondsLeft = Math.max(0, Math.ceil((new Date(outboxReply.sendAt) - now) / 1000));
+    
+    return (
+      <div className="suggestion-card">
+        <div className="flex items-center justify-between">
+          <div className="text-sm text-gray-700">
+            {!outboxReply.sendAt
+              ? `Waiting for approval: ${outboxReply.approvalSteps.map(step => step.name).join(', ')}`
+              : isCountingDown
+                ? `Sending to ${suggestion.service} in ${secondsLeft}s`
+                : `Scheduled for ${new Date(outboxReply.sendAt).toLocaleString()}`}
+          </div>
+          <div className="flex space-x-2">
+            {!isCountingDown && (
+              <button
+                onClick={() => onActionComplete && onActionComplete(outboxReply.action)}
+                disabled={isLoading}
+                className="btn btn-secondary flex items-center text-sm"
+              >
+                <CheckIcon className="h-4 w-4 mr-1" />
+                Done
+              </button>
+            )}
+            <button
+              onClick={handleUndo}
+              disabled={isLoading}
+              className="btn btn-secondary flex items-center text-sm"
+            >
+              <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+              {isLoading ? 'Undoing...' : 'Undo'}
+            </button>
+          </div>
+        </div>
+        {error && (
+          <div className="text-red-600 text-sm mt-2">{error}</div>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="suggestion-card">
       <div className="flex items-start justify-between mb-2">
         <div className="text-sm font-medium text-gray-500">
           Suggested {suggestion.type || 'Reply'}
           {suggestion.service && ` for ${suggestion.service}`}
+          {suggestion.templateId && ' · from a template'}
         </div>
         {suggestion.confidence && (
           <div className={`text-xs px-2 py-1 rounded-full ${
@@ -121,6 +252,21 @@ const SuggestionCard = ({ suggestion, onActionComplete }) => {
       
       {isEditing ? (
         <div className="mb-3">
+          {templates?.length > 0 && (
+            <select
+              className="input mb-2 text-sm"
+              value=""
+              onChange={(e) => handleUseTemplate(e.target.value)}
+              disabled={isLoading}
+            >
+              <option value="">Start from a template...</option>
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>
+                  {template.name}
+                </option>
+              ))}
+            </select>
+          )}
           <textarea
             className="w-full p-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
             rows={4}
@@ -139,6 +285,20 @@ const SuggestionCard = ({ suggestion, onActionComplete }) => {
         <div className="text-red-600 text-sm mb-3">{error}</div>
       )}
       
+      {isScheduling && (
+        <div className="mb-3 flex items-center justify-end text-sm text-gray-600">
+          <label htmlFor={`send-at-${suggestion.id}`} className="mr-2">Send at</label>
+          <input
+            id={`send-at-${suggestion.id}`}
+            type="datetime-local"
+            className="p-1 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            value={sendAt}
+            onChange={(e) => setSendAt(e.target.value)}
+            disabled={isLoading}
+          />
+        </div>
+      )}
+      
       <div className="flex justify-end space-x-2">
         {isEditing ? (
           <>
@@ -177,13 +337,24 @@ const SuggestionCard = ({ suggestion, onActionComplete }) => {
               <PencilIcon className="h-4 w-4 mr-1" />
               Edit
             </button>
+            <button
+              onClick={() => {
+                setIsScheduling(!isScheduling);
+                setSendAt('');
+              }}
+              disabled={isLoading}
+              className="btn btn-secondary flex items-center text-sm"
+            >
+              <ClockIcon className="h-4 w-4 mr-1" />
+              {isScheduling ? 'Send now' : 'Send later'}
+            </button>
             <button
               onClick={handleApprove}
               disabled={isLoading}
               className="btn btn-primary flex items-center text-sm"
             >
               <CheckIcon className="h-4 w-4 mr-1" />
-              {isLoading ? 'Sending...' : 'Approve & Send'}
+              {isLoading ? 'Sending...' : sendAt ? 'Approve & Schedule' : 'Approve & Send'}
             </button>
           </>
         )}
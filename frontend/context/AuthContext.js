@@ -21,7 +21,11 @@ export function AuthProvider({ children }) {
     try {
       await apiService.login(token);
       setIsAuthenticated(true);
-      router.push('/');
+      // Return to the page that sent us to login (e.g. a digest link), if it was one of ours
+      const next = typeof router.query.next === 'string' && router.query.next.startsWith('/') && !router.query.next.startsWith('//')
+        ? router.query.next
+        : '/';
+      router.push(next);
       return { success: true };
     } catch (error) {
       console.error('Login error:', error);
@@ -1,12 +1,73 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import apiService from '../utils/api';
 
+// Services approved replies can be sent through
+const REPLY_SERVICES = ['slack', 'zendesk', 'email'];
+
+// Cross-source briefings repeat their sources' suggestions, so only the source copy can be approved
+const BRIEFING_SOURCES = ['combined', 'all'];
+
+// Where an approved suggestion's reply goes, or null if it can't be sent
+const getReplyData = (suggestion, service) => {
+  if (suggestion.reply_data) return suggestion.reply_data;
+  if (!REPLY_SERVICES.includes(service)) return null;
+  
+  return {
+    recipient: suggestion.recipient,
+    subject: suggestion.subject,
+    channelId: suggestion.channel_id,
+    threadId: suggestion.thread_id,
+    ticketId: suggestion.ticket_id,
+    emailId: suggestion.email_id,
+  };
+};
+
+// Turn a summary into a chat message and its suggestion cards
+const summaryToChatItems = (summary) => {
+  const message = {
+    id: summary.id,
+    type: 'summary',
+    source: summary.source,
+    content: null,
+    summary: summary.summary,
+    timestamp: summary.created_at,
+  };
+  
+  const suggestedMessages = BRIEFING_SOURCES.includes(summary.source) ? [] : summary.suggested_messages || [];
+  
+  const suggestions = suggestedMessages.map((suggestion, index) => {
+    const service = suggestion.service || summary.source;
+    
+    return {
+      id: suggestion.id || `${summary.id}-${index}`,
+      summaryId: summary.id,
+      suggestionIndex: index,
+      type: suggestion.type || 'reply',
+      service,
+      text: suggestion.text || suggestion.message,
+      recipient: suggestion.recipient,
+      subject: suggestion.subject,
+      confidence: suggestion.confidence,
+      templateId: suggestion.template_id,
+      replyData: getReplyData(suggestion, service),
+    };
+  });
+  
+  return { message, suggestions };
+};
+
 const useChat = () => {
   const [messages, setMessages] = useState([]);
   const [suggestions, setSuggestions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [activeServices, setActiveServices] = useState(['slack', 'zendesk', 'harvest', 'email']);
+  // Live status of a refresh, keyed by source: { status, partial, done, failed }
+  const [progress, setProgress] = useState({});
+  const streamControllerRef = useRef(null);
+
+  // Stop listening when the dashboard unmounts; the refresh job keeps running
+  useEffect(() => () => streamControllerRef.current?.abort(), []);
 
   // Fetch initial summaries
   useEffect(() => {
@@ -26,30 +87,9 @@ const useChat = () => {
       const newSuggestions = [];
       
       data.forEach(summary => {
-        // Add the summary as a message
-        newMessages.push({
-          id: summary.id,
-          type: 'summary',
-          source: summary.source,
-          content: null,
-          summary: summary.summary,
-          timestamp: summary.created_at,
-        });
-        
-        // Add any suggested messages to the suggestions array
-        if (summary.suggested_messages && summary.suggested_messages.length > 0) {
-          summary.suggested_messages.forEach(suggestion => {
-            newSuggestions.push({
-              id: suggestion.id,
-              summaryId: summary.id,
-              type: suggestion.type || 'reply',
-              service: summary.source,
-              text: suggestion.text,
-              confidence: suggestion.confidence,
-              replyData: suggestion.reply_data,
-            });
-          });
-        }
+        const { message, suggestions: summarySuggestions } = summaryToChatItems(summary);
+        newMessages.push(message);
+        newSuggestions.push(...summarySuggestions);
       });
       
       setMessages(prev => [...newMessages, ...prev]);
@@ -62,28 +102,108 @@ const useChat = () => {
     }
   }, []);
 
-  // Refresh data by fetching new summaries from all services
+  // Update the live status of one source
+  const updateProgress = useCallback((source, update) => {
+    setProgress(prev => ({
+      ...prev,
+      [source]: { ...prev[source], ...(typeof update === 'function' ? update(prev[source] || {}) : update) },
+    }));
+  }, []);
+
+  // Show a finished summary as soon as it arrives
+  const addStreamedSummary = useCallback((data) => {
+    const { message, suggestions: summarySuggestions } = summaryToChatItems({
+      ...data,
+      id: data.summary_id || `${data.source}-${Date.now()}`,
+      created_at: new Date().toISOString(),
+    });
+    
+    setMessages(prev => [message, ...prev]);
+    setSuggestions(prev => [...summarySuggestions, ...prev]);
+  }, []);
+
+  // Handle a progress event from the summarize job
+  const handleStreamEvent = useCallback((event, data) => {
+    switch (event) {
+      case 'fetching':
+        updateProgress(data.source, { status: 'Fetching data…', partial: '' });
+        break;
+      case 'fetched':
+        updateProgress(data.source, {
+          status: data.new !== undefined && data.new !== data.count
+            ? `Found ${data.count} item(s), ${data.new} new`
+            : `Found ${data.count} item(s)`,
+        });
+        break;
+      case 'ai_started':
+        updateProgress(data.source, { status: `Summarizing with ${data.model}…`, partial: '' });
+        break;
+      case 'chunk':
+        updateProgress(data.source, { status: `Summarizing part ${data.index} of ${data.total}…`, partial: '' });
+        break;
+      case 'reduce':
+        updateProgress(data.source, { status: `Merging ${data.partials} partial summaries…`, partial: '' });
+        break;
+      case 'token':
+        updateProgress(data.source, current => ({ partial: (current.partial || '') + data.text }));
+        break;
+      case 'ai_retry':
+        updateProgress(data.source, { status: `Retrying (attempt ${data.attempt + 1})…`, partial: '' });
+        break;
+      case 'ai_repair':
+        updateProgress(data.source, { status: 'Fixing response format…', partial: '' });
+        break;
+      case 'status':
+        // A failed attempt goes back in the queue before it is retried
+        if (data.status === 'queued' && data.attempts > 0) {
+          setProgress({});
+        }
+        break;
+      case 'stored':
+        updateProgress(data.source, { status: 'Saved' });
+        break;
+      case 'summary':
+        updateProgress(data.source, { status: 'Done', partial: '', done: true });
+        addStreamedSummary(data);
+        break;
+      case 'service_error':
+        updateProgress(data.source, { status: data.message, partial: '', done: true, failed: true });
+        break;
+      case 'done':
+        if (data.errors && data.errors.length > 0) {
+          setError(`Some services failed: ${data.errors.map(entry => entry.message).join('; ')}`);
+        }
+        break;
+      case 'error':
+        setError(data.details || data.error || 'Failed to refresh data. Please try again.');
+        break;
+      default:
+        break;
+    }
+  }, [updateProgress, addStreamedSummary]);
+
+  // Refresh data by queueing a summarize job, streaming summaries in as they finish
   const refreshData = useCallback(async () => {
     setIsLoading(true);
     setError(null);
+    setProgress({});
+    
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
     
     try {
-      // Call the summarize all endpoint
-      const result = await apiService.summarizeAll();
-      
-      if (result.success) {
-        // Fetch the updated summaries
-        await fetchSummaries();
-      } else {
+      const { jobId } = await apiService.startSummarize({});
+      await apiService.streamJobEvents(jobId, handleStreamEvent, controller.signal);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error refreshing data:', err);
         setError('Failed to refresh data. Please try again.');
       }
-    } catch (err) {
-      console.error('Error refreshing data:', err);
-      setError('Failed to refresh data. Please try again.');
     } finally {
+      streamControllerRef.current = null;
       setIsLoading(false);
     }
-  }, [fetchSummaries]);
+  }, [handleStreamEvent]);
 
   // Handle user message input
   const sendMessage = useCallback(async (text) => {
@@ -147,6 +267,7 @@ const useChat = () => {
     suggestions: filteredSuggestions,
     isLoading,
     error,
+    progress,
     activeServices,
     sendMessage,
     refreshData,
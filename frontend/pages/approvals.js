@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../context/AuthContext';
+import Layout from '../components/Layout';
+import LoadingSpinner from '../components/LoadingSpinner';
+import apiService from '../utils/api';
+import { formatRelativeTime } from '../utils/dateUtils';
+import { CheckIcon, XMarkIcon } from '@heroicons/react/24/solid';
+
+export default function Approvals() {
+  const { isAuthenticated, isLoading: authLoading } = useAuth();
+  const router = useRouter();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [approver, setApprover] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [policies, setPolicies] = useState([]);
+  // Comment per reply, keyed by reply ID
+  const [comments, setComments] = useState({});
+  // The reply an approve/reject is in flight for
+  const [decidingId, setDecidingId] = useState(null);
+
+  // Fetch the queue on initial load
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchApprovals();
+    }
+  }, [isAuthenticated]);
+
+  // Redirect to login if not authenticated
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated) {
+      router.push('/login');
+    }
+  }, [isAuthenticated, authLoading, router]);
+
+  const fetchApprovals = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [me, approvals, policyData] = await Promise.all([
+        apiService.getCurrentApprover(),
+        apiService.getApprovals(),
+        apiService.getApprovalPolicies(),
+      ]);
+      setApprover(me.user);
+      setReplies(approvals.replies);
+      setPolicies(policyData.policies);
+    } catch (err) {
+      console.error('Error fetching approvals:', err);
+      setError('Failed to load approvals. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDecision = async (replyId, decision) => {
+    setDecidingId(replyId);
+    setError(null);
+
+    try {
+      if (decision === 'approved') {
+        await apiService.approveReply(replyId, comments[replyId]);
+      } else {
+        await apiService.rejectReply(replyId, comments[replyId]);
+      }
+
+      setComments(prev => ({ ...prev, [replyId]: '' }));
+      await fetchApprovals();
+    } catch (err) {
+      console.error(`Error recording ${decision}:`, err);
+      setError(err.response?.data?.details || 'Failed to record your decision. Please try again.');
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  // Whether the signed-in approver has already approved or rejected a reply
+  const hasDecided = (reply) => approver && reply.decisions.some(decision => decision.approver === approver.name);
+
+  if (authLoading) {
+    return (
+      <div className="flex items-center justify-center h-screen bg-gray-50">
+        <LoadingSpinner size="large" text="Loading approvals..." />
+      </div>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="py-6 px-4 sm:px-6 lg:px-8">
+        <div className="mb-6">
+          <h1 className="text-2xl font-semibold text-gray-900">Approvals</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Replies that need sign-off before they are sent
+            {approver && ` · Signed in as ${approver.name}${approver.roles.length > 0 ? ` (${approver.roles.join(', ')})` : ''}`}
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        {isLoading && replies.length === 0 ? (
+          <LoadingSpinner text="Loading approvals..." />
+        ) : replies.length === 0 ? (
+          <div className="bg-white shadow rounded-lg px-4 py-5 sm:p-6 text-sm text-gray-500">
+            Nothing is waiting for approval.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {replies.map(reply => (
+              <div key={reply.id} className="bg-white shadow rounded-lg px-4 py-5 sm:p-6">
+                <div className="flex items-start justify-between mb-2">
+                  <div className="text-sm font-medium text-gray-500">
+                    {reply.service} reply{reply.recipient && ` to ${reply.recipient}`}
+                    {reply.subject && ` · ${reply.subject}`}
+                  </div>
+                  <div className="text-xs text-gray-400">
+                    {reply.submitted_by && `${reply.submitted_by} · `}{formatRelativeTime(reply.created_at)}
+                  </div>
+                </div>
+
+                <div className="mb-4 text-gray-800 whitespace-pre-wrap">
+                  {reply.message}
+                </div>
+
+                {/* Progress per policy */}
+                <ul className="mb-4 space-y-1">
+                  {reply.approval_progress.map(step => (
+                    <li key={step.policy_id} className="flex items-center text-sm">
+                      <span className={`text-xs px-2 py-1 rounded-full mr-2 ${
+                        step.satisfied ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {step.approvals}/{step.required_approvals}
+                      </span>
+                      <span className="text-gray-700">
+                        {step.name}
+                        {step.required_role && ` (needs ${step.required_role})`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+
+                {/* Decisions so far */}
+                {reply.decisions.length > 0 && (
+                  <div className="mb-4 text-xs text-gray-500 space-y-1">
+                    {reply.decisions.map(decision => (
+                      <div key={decision.id || decision.approver}>
+                        {decision.approver} {decision.decision} {formatRelativeTime(decision.created_at)}
+                        {decision.comment && `: "${decision.comment}"`}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {hasDecided(reply) ? (
+                  <p className="text-sm text-gray-500">You have already signed off on this reply.</p>
+                ) : (
+                  <>
+                    <textarea
+                      rows={2}
+                      className="input mb-3"
+                      value={comments[reply.id] || ''}
+                      onChange={(e) => setComments(prev => ({ ...prev, [reply.id]: e.target.value }))}
+                      disabled={decidingId === reply.id}
+                      placeholder="Comment (optional)"
+                    />
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={() => handleDecision(reply.id, 'rejected')}
+                        disabled={decidingId === reply.id}
+                        className="btn btn-secondary flex items-center text-sm"
+                      >
+                        <XMarkIcon className="h-4 w-4 mr-1" />
+                        Reject
+                      </button>
+                      <button
+                        onClick={() => handleDecision(reply.id, 'approved')}
+                        disabled={decidingId === reply.id}
+                        className="btn btn-primary flex items-center text-sm"
+                      >
+                        <CheckIcon className="h-4 w-4 mr-1" />
+                        {decidingId === reply.id ? 'Saving...' : 'Approve'}
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Policies */}
+        <div className="mt-8 bg-white shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Policies</h2>
+            {policies.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No approval policies. Replies go straight to the outbox.
+              </p>
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {policies.map(policy => (
+                  <li key={policy.id} className={policy.enabled === false ? 'text-gray-400' : 'text-gray-700'}>
+                    <span className="font-medium">{policy.name}</span>
+                    {' · '}
+                    {policy.required_approvals} approval{policy.required_approvals === 1 ? '' : 's'}
+                    {policy.required_role && ` from ${policy.required_role}`}
+                    {policy.services?.length > 0 && ` · ${policy.services.join(', ')}`}
+                    {policy.client_tags?.length > 0 && ` · clients tagged ${policy.client_tags.join(', ')}`}
+                    {policy.keywords?.length > 0 && ` · mentions ${policy.keywords.join(', ')}`}
+                    {policy.enabled === false && ' (disabled)'}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
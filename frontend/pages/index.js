@@ -20,6 +20,7 @@ export default function Home() {
     suggestions,
     isLoading,
     error,
+    progress,
     activeServices,
     sendMessage,
     refreshData,
@@ -36,13 +37,22 @@ export default function Home() {
     scrollToBottom();
   }, [messages]);
 
-  // Redirect to login if not authenticated
+  // Redirect to login if not authenticated, keeping deep links from the digest
   useEffect(() => {
     if (!authLoading && !isAuthenticated) {
-      router.push('/login');
+      router.push(router.asPath === '/' ? '/login' : `/login?next=${encodeURIComponent(router.asPath)}`);
     }
   }, [isAuthenticated, authLoading, router]);
 
+  // Digest links open the dashboard on one suggested reply
+  const highlightedSuggestion = typeof router.query.suggestion === 'string' ? router.query.suggestion : null;
+
+  useEffect(() => {
+    if (highlightedSuggestion) {
+      document.getElementById(`suggestion-${highlightedSuggestion}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [highlightedSuggestion, suggestions]);
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (inputMessage.trim()) {
@@ -93,17 +103,43 @@ export default function Home() {
           </div>
         )}
 
+        {/* Live progress while a refresh is streaming */}
+        {isLoading && Object.keys(progress).length > 0 && (
+          <div className="bg-white border-b border-gray-200 p-4 space-y-2">
+            {Object.entries(progress).map(([source, state]) => (
+              <div key={source} className="text-sm">
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-900 capitalize">{source}</span>
+                  <span className={state.failed ? 'text-red-600' : state.done ? 'text-green-600' : 'text-gray-500'}>
+                    {state.status}
+                  </span>
+                </div>
+                {state.partial && (
+                  <p className="mt-1 text-xs text-gray-400 font-mono truncate">
+                    {state.partial.slice(-160)}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Suggestions section */}
         {suggestions.length > 0 && (
           <div className="bg-gray-50 border-b border-gray-200 p-4 space-y-4">
             <h2 className="text-lg font-medium text-gray-900">Suggested Actions</h2>
             <div className="space-y-4">
               {suggestions.map((suggestion) => (
-                <SuggestionCard
+                <div
                   key={suggestion.id}
-                  suggestion={suggestion}
-                  onActionComplete={(action) => handleSuggestionAction(suggestion.id, action)}
-                />
+                  id={`suggestion-${suggestion.id}`}
+                  className={suggestion.id === highlightedSuggestion ? 'ring-2 ring-primary-500 rounded-lg' : ''}
+                >
+                  <SuggestionCard
+                    suggestion={suggestion}
+                    onActionComplete={(action) => handleSuggestionAction(suggestion.id, action)}
+                  />
+                </div>
               ))}
             </div>
           </div>
@@ -14,6 +14,7 @@ export default function Settings() {
   const [clients, setClients] = useState([]);
   const [selectedClient, setSelectedClient] = useState(null);
   const [clientNotes, setClientNotes] = useState('');
+  const [clientTags, setClientTags] = useState('');
 
   // Fetch clients on initial load
   useEffect(() => {
@@ -40,6 +41,7 @@ export default function Settings() {
       if (data.length > 0) {
         setSelectedClient(data[0]);
         setClientNotes(data[0].profile?.notes || '');
+        setClientTags((data[0].profile?.tags || []).join(', '));
       }
     } catch (err) {
       console.error('Error fetching clients:', err);
@@ -54,6 +56,7 @@ export default function Settings() {
     if (client) {
       setSelectedClient(client);
       setClientNotes(client.profile?.notes || '');
+      setClientTags((client.profile?.tags || []).join(', '));
     }
   };
 
@@ -67,7 +70,8 @@ export default function Settings() {
     try {
       const updatedProfile = {
         ...selectedClient.profile,
-        notes: clientNotes
+        notes: clientNotes,
+        tags: clientTags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
       };
       
       await apiService.updateClient(selectedClient.id, {
@@ -157,6 +161,27 @@ export default function Settings() {
               </div>
             )}
             
+            {/* Client tags */}
+            {selectedClient && (
+              <div className="mb-4">
+                <label htmlFor="client-tags" className="block text-sm font-medium text-gray-700 mb-1">
+                  Tags
+                </label>
+                <input
+                  id="client-tags"
+                  type="text"
+                  className="input"
+                  value={clientTags}
+                  onChange={(e) => setClientTags(e.target.value)}
+                  disabled={isLoading}
+                  placeholder="e.g. vip, enterprise"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Comma-separated. Approval policies can require sign-off for replies to clients with a tag.
+                </p>
+              </div>
+            )}
+            
             {/* Error and success messages */}
             {error && (
               <div className="mb-4 text-sm text-red-600">
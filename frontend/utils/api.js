@@ -23,6 +23,28 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+/**
+ * Parse one Server-Sent Event block into { event, data }
+ * @param {string} rawEvent The text between blank lines
+ * @returns {Object|null} The parsed event, or null for comments/keepalives
+ */
+const parseServerSentEvent = (rawEvent) => {
+  let event = 'message';
+  const dataLines = [];
+
+  rawEvent.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
 // API service functions
 const apiService = {
   // Auth
@@ -66,7 +88,7 @@ const apiService = {
   // Summarization
   getSummaries: async () => {
     const response = await api.get('/summarize/summaries');
-    return response.data;
+    return response.data.summaries;
   },
   
   summarizeAll: async () => {
@@ -74,6 +96,51 @@ const apiService = {
     return response.data;
   },
   
+  // Queue a full summarize as a background job, so it keeps running if the
+  // dashboard is closed or reloaded. Resolves to { jobId, status, statusUrl }.
+  startSummarize: async (options) => {
+    const response = await api.post('/summarize', options || {});
+    return response.data;
+  },
+  
+  // Receive a job's progress events until it finishes. EventSource can't send
+  // auth headers, so this reads the event stream from fetch instead. Aborting
+  // only stops the updates; the job keeps running.
+  streamJobEvents: async (jobId, onEvent, signal) => {
+    const token = Cookies.get('admin_token');
+    const response = await fetch(`${API_URL}/jobs/${jobId}/events`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal,
+    });
+    
+    if (!response.ok || !response.body) {
+      throw new Error(`Job event stream failed with status ${response.status}`);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const parsed = parseServerSentEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        
+        if (parsed) {
+          onEvent(parsed.event, parsed.data);
+        }
+        
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+  },
+  
   // Feedback and replies
   submitFeedback: async (feedbackData) => {
     const response = await api.post('/feedback', feedbackData);
@@ -85,6 +152,53 @@ const apiService = {
     return response.data;
   },
   
+  cancelReply: async (replyId) => {
+    const response = await api.post(`/reply/${replyId}/cancel`);
+    return response.data;
+  },
+  
+  rescheduleReply: async (replyId, timing) => {
+    const response = await api.post(`/reply/${replyId}/reschedule`, timing);
+    return response.data;
+  },
+  
+  // Approvals
+  getCurrentApprover: async () => {
+    const response = await api.get('/approvals/me');
+    return response.data;
+  },
+  
+  getApprovals: async () => {
+    const response = await api.get('/approvals');
+    return response.data;
+  },
+  
+  approveReply: async (replyId, comment) => {
+    const response = await api.post(`/approvals/${replyId}/approve`, { comment });
+    return response.data;
+  },
+  
+  rejectReply: async (replyId, comment) => {
+    const response = await api.post(`/approvals/${replyId}/reject`, { comment });
+    return response.data;
+  },
+  
+  getApprovalPolicies: async () => {
+    const response = await api.get('/approvals/policies');
+    return response.data;
+  },
+  
+  // Reply templates
+  getTemplates: async (params = {}) => {
+    const response = await api.get('/templates', { params });
+    return response.data;
+  },
+  
+  renderTemplate: async (templateId, context) => {
+    const response = await api.post(`/templates/${templateId}/render`, context);
+    return response.data;
+  },
+  
   // Client context
   getClients: async () => {
     const response = await api.get('/clients');
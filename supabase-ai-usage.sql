@@ -0,0 +1,29 @@
+-- ======================================
+-- 💰 ai_usage (Token usage and cost ledger)
+-- ======================================
+create table if not exists ai_usage (
+  id uuid primary key default gen_random_uuid(),
+  source text, -- 'slack', 'zendesk', 'harvest', 'email', 'all', 'combined'
+  provider text not null,
+  model text,
+  prompt_tokens integer default 0,
+  completion_tokens integer default 0,
+  total_tokens integer default 0,
+  latency_ms integer, -- includes retries
+  retries integer default 0,
+  estimated_cost numeric(12, 6), -- USD, null when the model has no known price
+  status text default 'succeeded', -- 'succeeded' | 'failed'
+  error text,
+  created_at timestamp with time zone default timezone('utc', now())
+);
+
+create index if not exists ai_usage_created_at_idx on ai_usage (created_at);
+
+-- Enable Row-Level Security
+alter table ai_usage enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to ai_usage"
+on ai_usage for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
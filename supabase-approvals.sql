@@ -0,0 +1,106 @@
+-- ======================================
+-- ✅ approval_policies (Which replies need sign-off before they are sent)
+-- ======================================
+create table if not exists approval_policies (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  -- The policy applies when every condition it sets holds; empty means any
+  services text[] default '{}', -- 'slack', 'zendesk', 'email'
+  client_tags text[] default '{}', -- any of these in clients.profile.tags, e.g. '{vip}'
+  keywords text[] default '{}', -- any of these in the subject or message, e.g. '{invoice}'
+  required_approvals integer not null default 1, -- different people who must approve
+  required_role text, -- approvers must have this role (APPROVERS), e.g. 'finance'
+  enabled boolean default true,
+  created_at timestamp with time zone default timezone('utc', now()),
+  updated_at timestamp with time zone default timezone('utc', now())
+);
+
+-- Enable Row-Level Security
+alter table approval_policies enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to approval_policies"
+on approval_policies for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 🖊️ reply_approvals (Each approver's decision on a reply)
+-- ======================================
+create table if not exists reply_approvals (
+  id uuid primary key default gen_random_uuid(),
+  reply_id uuid references replies(id) on delete cascade,
+  approver text not null,
+  roles text[] default '{}', -- the approver's roles when they decided
+  decision text not null, -- 'approved' | 'rejected'
+  comment text,
+  created_at timestamp with time zone default timezone('utc', now()),
+  unique (reply_id, approver)
+);
+
+-- Enable Row-Level Security
+alter table reply_approvals enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to reply_approvals"
+on reply_approvals for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 📤 Update replies table for approvals
+-- status adds 'pending_approval' and 'rejected'
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'approval_steps'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN approval_steps jsonb; -- the policies that applied: [{ policy_id, name, required_approvals, required_role }]
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'approved_at'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN approved_at timestamp with time zone;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'submitted_by'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN submitted_by text; -- who approved the suggestion in the dashboard
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'requested_send_at'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN requested_send_at timestamp with time zone; -- sendAt asked for while the reply waits for approval
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'client_name'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN client_name text;
+    END IF;
+END $$;
@@ -0,0 +1,31 @@
+-- ======================================
+-- 📬 Update schedules table so a scheduled run can deliver the morning digest
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'schedules'
+        AND column_name = 'send_digest'
+    ) THEN
+        ALTER TABLE schedules
+        ADD COLUMN send_digest boolean default false; -- queue a digest job once the run's summaries are stored
+    END IF;
+END $$;
+
+-- ======================================
+-- 👍 Update feedback table so each suggested reply is reviewed on its own
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'feedback'
+        AND column_name = 'suggestion_index'
+    ) THEN
+        ALTER TABLE feedback
+        ADD COLUMN suggestion_index integer; -- position in suggested_messages; null for feedback on the whole summary
+    END IF;
+END $$;
@@ -0,0 +1,23 @@
+-- ======================================
+-- 💸 invoice_reminders (Dunning stages drafted for each Harvest invoice)
+-- ======================================
+create table if not exists invoice_reminders (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id bigint not null, -- Harvest invoice ID
+  invoice_number text,
+  stage text not null, -- 'friendly', 'firm', 'final'
+  client_name text,
+  recipient text, -- the client contact the reminder was addressed to
+  summary_id uuid references summaries(id) on delete set null, -- the Harvest summary it was suggested in
+  created_at timestamp with time zone default timezone('utc', now()),
+  unique (invoice_id, stage) -- each stage fires once per invoice
+);
+
+-- Enable Row-Level Security
+alter table invoice_reminders enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to invoice_reminders"
+on invoice_reminders for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
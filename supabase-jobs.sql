@@ -0,0 +1,62 @@
+-- ======================================
+-- 🧾 jobs (Background job queue)
+-- ======================================
+create table if not exists jobs (
+  id uuid primary key default gen_random_uuid(),
+  type text not null, -- 'summarize'
+  payload jsonb default '{}'::jsonb,
+  status text not null default 'queued', -- 'queued' | 'running' | 'succeeded' | 'failed'
+  attempts integer default 0,
+  max_attempts integer default 3,
+  run_at timestamp with time zone default timezone('utc', now()), -- not claimed before this (retry backoff)
+  locked_by text, -- worker that claimed the job
+  locked_at timestamp with time zone,
+  result jsonb,
+  last_error text,
+  created_at timestamp with time zone default timezone('utc', now()),
+  started_at timestamp with time zone,
+  finished_at timestamp with time zone,
+  updated_at timestamp with time zone default timezone('utc', now())
+);
+
+create index if not exists jobs_status_run_at_idx on jobs (status, run_at);
+
+-- Enable Row-Level Security
+alter table jobs enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to jobs"
+on jobs for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 🔒 claim_job (Atomically claim the next due job)
+-- ======================================
+-- Jobs left running by a worker that died are claimed again once their lock is stale.
+-- SKIP LOCKED lets several workers poll without claiming the same job.
+create or replace function claim_job(p_worker_id text, p_stale_after_seconds integer default 900)
+returns setof jobs
+language plpgsql
+as $$
+begin
+  return query
+  update jobs
+  set status = 'running',
+      attempts = jobs.attempts + 1,
+      locked_by = p_worker_id,
+      locked_at = timezone('utc', now()),
+      started_at = coalesce(jobs.started_at, timezone('utc', now())),
+      updated_at = timezone('utc', now())
+  where jobs.id = (
+    select candidate.id from jobs candidate
+    where (candidate.status = 'queued' and candidate.run_at <= timezone('utc', now()))
+       or (candidate.status = 'running'
+           and candidate.locked_at < timezone('utc', now()) - make_interval(secs => p_stale_after_seconds))
+    order by candidate.run_at
+    for update skip locked
+    limit 1
+  )
+  returning jobs.*;
+end;
+$$;
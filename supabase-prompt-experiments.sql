@@ -0,0 +1,45 @@
+-- ======================================
+-- 🧪 prompt_experiments (A/B tests between prompt versions)
+-- ======================================
+create table if not exists prompt_experiments (
+  id uuid primary key default gen_random_uuid(),
+  prompt_name text not null, -- e.g. 'slack-summary'
+  description text,
+  variants jsonb not null, -- [{ key: 'A', version: 3, weight: 1 }, { key: 'B', version: 4, weight: 1 }]
+  status text default 'running', -- 'running' | 'stopped' | 'promoted'
+  winner text, -- variant key when promoted
+  created_at timestamp with time zone default timezone('utc', now()),
+  ended_at timestamp with time zone
+);
+
+-- At most one running experiment per prompt
+create unique index if not exists prompt_experiments_running_idx
+on prompt_experiments (prompt_name) where status = 'running';
+
+-- Enable Row-Level Security
+alter table prompt_experiments enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to prompt_experiments"
+on prompt_experiments for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 🧩 Update summaries table to record the experiment variant that produced each summary
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'summaries'
+        AND column_name = 'experiment_id'
+    ) THEN
+        ALTER TABLE summaries
+        ADD COLUMN experiment_id uuid references prompt_experiments(id) on delete set null,
+        ADD COLUMN experiment_variant text;
+    END IF;
+END $$;
+
+create index if not exists summaries_experiment_id_idx on summaries (experiment_id);
@@ -0,0 +1,43 @@
+-- ======================================
+-- 📝 prompt_versions (Versioned prompt registry)
+-- ======================================
+create table if not exists prompt_versions (
+  id uuid primary key default gen_random_uuid(),
+  name text not null, -- 'slack-summary', 'zendesk-summary', 'harvest-summary', 'email-summary', 'reduce-summary', 'synthesis-summary'
+  version integer not null,
+  template text not null,
+  variables jsonb default '[]', -- placeholders used by the template, e.g. ["DATA", "DATE_RANGE"]
+  description text,
+  is_active boolean default false,
+  created_at timestamp with time zone default timezone('utc', now()),
+  unique (name, version)
+);
+
+-- At most one active version per prompt
+create unique index if not exists prompt_versions_active_idx
+on prompt_versions (name) where is_active;
+
+-- Enable Row-Level Security
+alter table prompt_versions enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to prompt_versions"
+on prompt_versions for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 🧩 Update summaries table to record which prompt version produced each summary
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'summaries'
+        AND column_name = 'prompt_version_id'
+    ) THEN
+        ALTER TABLE summaries
+        ADD COLUMN prompt_version_id uuid references prompt_versions(id) on delete set null;
+    END IF;
+END $$;
@@ -9,7 +9,7 @@ create table if not exists replies (
   thread_id text,
   ticket_id text,
   email_id text,
-  status text, -- 'pending', 'ready', 'sent'
+  status text, -- 'pending_approval', 'rejected', 'scheduled', 'sending', 'sent', 'cancelled', 'failed' (see supabase-reply-outbox.sql, supabase-approvals.sql)
   created_at timestamp with time zone default timezone('utc', now())
 );
 
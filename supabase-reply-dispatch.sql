@@ -0,0 +1,88 @@
+-- ======================================
+-- 📨 Update replies table to track sends through Slack, Zendesk and Gmail
+-- status: 'pending', 'sending', 'sent', 'failed'
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'channel_id'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN channel_id text; -- Slack channel the reply is posted to
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'subject'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN subject text; -- email subject; defaults to Re: the original's
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'is_public'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN is_public boolean default true; -- Zendesk: public reply or internal note
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'provider_message_id'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN provider_message_id text; -- Slack ts, Zendesk comment ID or Gmail message ID
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'provider_thread_id'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN provider_thread_id text; -- Slack thread, Zendesk ticket or Gmail thread it landed in
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'error'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN error text; -- why the last send failed
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'sent_at'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN sent_at timestamp with time zone;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'updated_at'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN updated_at timestamp with time zone default timezone('utc', now());
+    END IF;
+END $$;
+
+create index if not exists idx_replies_status on replies(status, created_at desc);
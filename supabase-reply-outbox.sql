@@ -0,0 +1,39 @@
+-- ======================================
+-- 📮 Update replies table for the outbox (undo window and scheduled send)
+-- status: 'scheduled', 'sending', 'sent', 'cancelled', 'failed'
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'send_at'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN send_at timestamp with time zone default timezone('utc', now()); -- when the outbox sends it
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'cancelled_at'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN cancelled_at timestamp with time zone;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'feedback_id'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN feedback_id uuid references feedback(id) on delete set null; -- the approval it came from, withdrawn on undo
+    END IF;
+END $$;
+
+-- The outbox looks up scheduled replies by send time
+create index if not exists idx_replies_outbox on replies(status, send_at);
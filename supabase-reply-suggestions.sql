@@ -0,0 +1,31 @@
+-- ======================================
+-- 🔗 Update replies table to link each reply to the suggestion it came from
+-- A suggestion approved in both the dashboard and a Slack card gets one reply
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'summary_id'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN summary_id uuid references summaries(id) on delete set null;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'replies'
+        AND column_name = 'suggestion_index'
+    ) THEN
+        ALTER TABLE replies
+        ADD COLUMN suggestion_index integer; -- position in the summary's suggested_messages
+    END IF;
+END $$;
+
+-- One live reply per suggestion; an undone or rejected reply frees it to be approved again
+create unique index if not exists idx_replies_one_per_suggestion
+on replies(summary_id, suggestion_index)
+where summary_id is not null and status not in ('cancelled', 'rejected');
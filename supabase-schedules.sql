@@ -0,0 +1,61 @@
+-- ======================================
+-- ⏰ schedules (Recurring summarize runs)
+-- ======================================
+create table if not exists schedules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  cron text not null, -- 5-field cron expression, e.g. '0 */2 * * MON-FRI'
+  timezone text not null default 'UTC', -- IANA time zone the cron expression is read in
+  services text[] not null, -- 'slack', 'zendesk', 'harvest', 'email'
+  days integer, -- look-back window, null for each service's default
+  incremental boolean default true,
+  combine boolean default false, -- also build a combined briefing from the run
+  enabled boolean default true,
+  next_run_at timestamp with time zone,
+  last_run_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc', now()),
+  updated_at timestamp with time zone default timezone('utc', now())
+);
+
+create index if not exists schedules_next_run_at_idx on schedules (next_run_at) where enabled;
+
+-- Enable Row-Level Security
+alter table schedules enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to schedules"
+on schedules for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 📜 schedule_runs (Run history)
+-- ======================================
+create table if not exists schedule_runs (
+  id uuid primary key default gen_random_uuid(),
+  schedule_id uuid references schedules(id) on delete cascade,
+  job_id uuid references jobs(id) on delete set null, -- the queued summarize job (supabase-jobs.sql)
+  trigger text default 'schedule', -- 'schedule' | 'manual'
+  scheduled_for timestamp with time zone, -- the cron time this run was due
+  error text, -- set when the job couldn't be queued
+  created_at timestamp with time zone default timezone('utc', now())
+);
+
+create index if not exists schedule_runs_schedule_id_idx on schedule_runs (schedule_id, created_at desc);
+
+-- Enable Row-Level Security
+alter table schedule_runs enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to schedule_runs"
+on schedule_runs for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- Example schedules (next_run_at is filled in by the scheduler):
+-- insert into schedules (name, cron, timezone, services) values
+--   ('Slack every 2 hours on weekdays', '0 */2 * * MON-FRI', 'America/New_York', '{slack}'),
+--   ('Zendesk at 8am', '0 8 * * *', 'America/New_York', '{zendesk}'),
+--   ('Harvest on Mondays', '0 7 * * MON', 'America/New_York', '{harvest}');
+-- insert into schedules (name, cron, timezone, services, combine) values
+--   ('Morning briefing', '30 7 * * MON-FRI', 'America/New_York', '{slack,zendesk,harvest,email}', true);
@@ -0,0 +1,38 @@
+-- ======================================
+-- 💬 slack_messages (Messages received from the Slack Events API)
+-- ======================================
+create table if not exists slack_messages (
+  id uuid primary key default gen_random_uuid(),
+  channel_id text not null,
+  channel_name text,
+  ts text not null, -- Slack message ts, e.g. '1712345678.000100'
+  thread_ts text, -- set on thread replies and on messages that started a thread
+  posted_at timestamp with time zone not null, -- ts as a timestamp
+  user_id text,
+  user_name text,
+  user_email text,
+  bot_id text,
+  subtype text,
+  text text,
+  is_mention boolean default false, -- received as an app_mention
+  reactions jsonb default '[]', -- [{ name, user_id, user_name }]
+  event_id text, -- Slack event ID of the delivery that stored it
+  edited_at timestamp with time zone,
+  deleted_at timestamp with time zone,
+  alerted_at timestamp with time zone, -- when an urgent mention alert was sent
+  created_at timestamp with time zone default timezone('utc', now()),
+  updated_at timestamp with time zone default timezone('utc', now()),
+  unique (channel_id, ts)
+);
+
+-- Summaries read recent messages by post time
+create index if not exists idx_slack_messages_posted_at on slack_messages(posted_at);
+
+-- Enable Row-Level Security
+alter table slack_messages enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to slack_messages"
+on slack_messages for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
@@ -0,0 +1,17 @@
+-- ======================================
+-- 🧩 Update summaries table to store cross-source correlations
+-- ======================================
+
+-- Add correlations column if it doesn't exist
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'summaries'
+        AND column_name = 'correlations'
+    ) THEN
+        ALTER TABLE summaries
+        ADD COLUMN correlations jsonb; -- [{ client, sources, description, priority }] for 'all' / 'combined' briefings
+    END IF;
+END $$;
@@ -0,0 +1,43 @@
+-- ======================================
+-- 🧩 reply_templates (Reusable replies with {{variables}})
+-- ======================================
+create table if not exists reply_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  category text, -- e.g. 'invoice_reminder', 'ticket_ack', 'scheduling'
+  services text[] default '{}', -- 'slack', 'zendesk', 'email'; empty for all
+  subject text, -- email subject, may use variables
+  body text not null, -- e.g. 'Hi {{client.name}}, invoice {{invoice_number}} was due {{due_date}}'
+  enabled boolean default true,
+  created_at timestamp with time zone default timezone('utc', now()),
+  updated_at timestamp with time zone default timezone('utc', now())
+);
+
+-- Enable Row-Level Security
+alter table reply_templates enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to reply_templates"
+on reply_templates for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- Starter templates
+insert into reply_templates (name, description, category, services, subject, body)
+select 'Invoice reminder', 'Friendly nudge for an overdue Harvest invoice', 'invoice_reminder', '{email}',
+  'Invoice {{invoice_number}} is past due',
+  E'Hi {{recipient}},\n\nA quick reminder that invoice {{invoice_number}} for {{amount}} was due on {{due_date}}. Could you let me know when we can expect payment?\n\nThanks,\n{{founder_name}}'
+where not exists (select 1 from reply_templates where name = 'Invoice reminder');
+
+insert into reply_templates (name, description, category, services, subject, body)
+select 'Ticket acknowledgement', 'Let the requester know the ticket is being worked on', 'ticket_ack', '{zendesk}',
+  null,
+  E'Hi {{recipient}},\n\nThanks for reaching out. We''re looking into ticket #{{ticket_id}} and will update you as soon as we know more.'
+where not exists (select 1 from reply_templates where name = 'Ticket acknowledgement');
+
+insert into reply_templates (name, description, category, services, subject, body)
+select 'Scheduling reply', 'Offer times for a call', 'scheduling', '{}',
+  'Re: {{subject}}',
+  E'Hi {{recipient}},\n\nHappy to find a time. Would {{proposed_time}} work for you? If not, send over a few times that suit you.\n\n{{founder_name}}'
+where not exists (select 1 from reply_templates where name = 'Scheduling reply');
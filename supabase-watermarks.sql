@@ -0,0 +1,18 @@
+-- ======================================
+-- 🔖 source_watermarks (Incremental summarization high-water marks)
+-- ======================================
+create table if not exists source_watermarks (
+  source text primary key, -- 'slack', 'zendesk', 'email'
+  watermark text, -- Slack ts, Zendesk updated_at (ms) or Gmail internalDate (ms)
+  summary_id uuid references summaries(id) on delete set null, -- summary that covered items up to the watermark
+  updated_at timestamp with time zone default timezone('utc', now())
+);
+
+-- Enable Row-Level Security
+alter table source_watermarks enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to source_watermarks"
+on source_watermarks for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
@@ -0,0 +1,17 @@
+-- ======================================
+-- ⏱️ Update summaries table to store Zendesk tickets at risk of breaching
+-- ======================================
+
+-- Add at_risk column if it doesn't exist
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'summaries'
+        AND column_name = 'at_risk'
+    ) THEN
+        ALTER TABLE summaries
+        ADD COLUMN at_risk jsonb; -- [{ ticket_id, subject, priority, awaiting, waiting_minutes, target_minutes, breach_at, reopens, state, reasons }] for 'zendesk' summaries
+    END IF;
+END $$;
@@ -0,0 +1,78 @@
+-- ======================================
+-- 🎫 zendesk_tickets (Local copy of tickets from the incremental export)
+-- ======================================
+create table if not exists zendesk_tickets (
+  id bigint primary key, -- Zendesk ticket ID
+  status text, -- 'new', 'open', 'pending', 'hold', 'solved', 'closed', 'deleted'
+  ticket jsonb not null, -- ticket with comments, requester_name, assignee_name, organization_name
+  ticket_updated_at timestamp with time zone, -- the ticket's updated_at in Zendesk
+  synced_at timestamp with time zone default timezone('utc', now())
+);
+
+-- Tickets are read by update time and status
+create index if not exists idx_zendesk_tickets_updated on zendesk_tickets(ticket_updated_at desc);
+create index if not exists idx_zendesk_tickets_status on zendesk_tickets(status);
+
+-- Enable Row-Level Security
+alter table zendesk_tickets enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to zendesk_tickets"
+on zendesk_tickets for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 🔖 zendesk_sync_state (Where each incremental export stopped)
+-- ======================================
+create table if not exists zendesk_sync_state (
+  resource text primary key, -- e.g. 'tickets'
+  cursor text, -- after_cursor to resume from
+  start_time timestamp with time zone, -- where the export started; a wider window restarts it from further back
+  updated_at timestamp with time zone default timezone('utc', now())
+);
+
+-- Enable Row-Level Security
+alter table zendesk_sync_state enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to zendesk_sync_state"
+on zendesk_sync_state for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');
+
+-- ======================================
+-- 🔖 Update zendesk_sync_state so a wider window can restart the export
+-- ======================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'zendesk_sync_state'
+        AND column_name = 'start_time'
+    ) THEN
+        ALTER TABLE zendesk_sync_state
+        ADD COLUMN start_time timestamp with time zone;
+    END IF;
+END $$;
+
+-- ======================================
+-- 🔁 zendesk_comment_retries (Tickets whose comments couldn't be fetched yet)
+-- ======================================
+create table if not exists zendesk_comment_retries (
+  ticket_id bigint primary key, -- Zendesk ticket ID
+  ticket jsonb not null, -- the ticket as exported, stored once its comments are fetched
+  attempts integer not null default 1,
+  last_error text,
+  updated_at timestamp with time zone default timezone('utc', now())
+);
+
+-- Enable Row-Level Security
+alter table zendesk_comment_retries enable row level security;
+
+-- RLS Policy (Service Role Only)
+create policy "Allow service access to zendesk_comment_retries"
+on zendesk_comment_retries for all
+using (auth.role() = 'service_role')
+with check (auth.role() = 'service_role');